@@ -1,10 +1,16 @@
 import readline from 'readline';
 import { chat, toggleRag } from './chatbot.js';
 import userStore from './services/user-store-singleton.js';
+import userMemory from './services/user-memory-singleton.js';
 import { DatabaseService } from './services/database.js';
 import { InitService } from './services/init-service.js';
 import ragService from './services/rag-service-singleton.js';
 import agentToolService from './services/agent-tool-service.js';
+import eventManager from './services/event-manager.js';
+import { compileFilter } from './services/rag/MetadataFilter.js';
+import { formatSource } from './services/rag/Citations.js';
+import { formatSelector } from './services/rag/KnowledgeBaseSelector.js';
+import { RagEvaluator, loadEvalSet } from './services/rag/Evaluation.js';
 import chalk from 'chalk';
 import fs from 'fs/promises';  // 使用 promises API
 
@@ -15,8 +21,11 @@ const initService = new InitService();
 let currentUserId = null;
 let currentConversationId = null;
 let userName = null;
-let isRagEnabled = false;
 let isDebugMode = false;
+// 当前会话的知识库元数据过滤条件
+let ragFilter = null;
+// kb show 每页显示的文档块数量
+const CHUNKS_PER_PAGE = 20;
 let thinkingAnimation = null;
 
 // 初始化调试模式
@@ -74,13 +83,36 @@ function showWelcome() {
     console.log(chalk.yellow('- tools:   🛠️  查看已注册工具'));
     console.log(chalk.yellow('- rag:     🧠 切换专业知识模式'));
     console.log(chalk.yellow('  • rag single       单知识库模式 (需要先用 kb switch 选择)'));
-    console.log(chalk.yellow('  • rag multi        多知识库模式 (自动使用所有知识库)'));
+    console.log(chalk.yellow('  • rag multi [选择]  多知识库模式 (默认使用所有知识库，可选 hr,finance、tag:<标签>、collection:<集合>)'));
     console.log(chalk.yellow('- kb:      📚 知识库管理'));
     console.log(chalk.yellow('  • kb list          列出所有知识库'));
-    console.log(chalk.yellow('  • kb add <path>    添加新知识库'));
-    console.log(chalk.yellow('  • kb del <n>       删除知识库'));
+    console.log(chalk.yellow('  • kb add <path> [name] [--chunker <c>]  添加知识库 (文件、目录或 glob)'));
+    console.log(chalk.yellow('  • kb sync <n>      增量同步知识库'));
+    console.log(chalk.yellow('  • kb chunker <n> <c> [key=value]  更换分块方式 (recursive, markdown, sentence, token, semantic)'));
+    console.log(chalk.yellow('  • kb weight <n> <weight> [prior]  设置多知识库检索时的权重和先验'));
+    console.log(chalk.yellow('  • kb rerank <n> <llm|local|none|default>  设置知识库的重排序方式'));
+    console.log(chalk.yellow('  • kb tag <n> <tag,...|clear>  设置知识库标签'));
+    console.log(chalk.yellow('  • kb collection [name] [kb,...|clear]  查看、定义或删除知识库集合'));
+    console.log(chalk.yellow('  • kb filter <expr|clear>  按元数据过滤检索 (如 year>=2024 section~安装)'));
+    console.log(chalk.yellow('  • kb show <n> [page]  列出知识库的文档块'));
+    console.log(chalk.yellow('  • kb search <n> <query>  只检索不回答，显示匹配分数'));
+    console.log(chalk.yellow('  • kb chunk <id>    查看文档块及其前后内容 (id 如 docs#12)'));
+    console.log(chalk.yellow('  • kb versions <n>  列出知识库的版本'));
+    console.log(chalk.yellow('  • kb diff <n> <from> [to]  比较两个版本的文件和文档块'));
+    console.log(chalk.yellow('  • kb rollback <n> <version>  回滚或恢复到指定版本'));
+    console.log(chalk.yellow('  • kb del <n> [--purge]  删除知识库 (--purge 同时删除所有版本)'));
     console.log(chalk.yellow('  • kb switch <n>    切换知识库'));
     console.log(chalk.yellow('  • kb status        查看知识库状态'));
+    console.log(chalk.yellow('  • kb cache [prune [days]]  查看或清理向量缓存 (清理其他模型及超过天数未使用的向量)'));
+    console.log(chalk.yellow('- memory:  🧠 管理助手记住的信息'));
+    console.log(chalk.yellow('  • memory list      列出全部记忆'));
+    console.log(chalk.yellow('  • memory search <query>  检索相关的记忆'));
+    console.log(chalk.yellow('  • memory add <text>  添加记忆'));
+    console.log(chalk.yellow('  • memory forget <id>  删除记忆 (id 可以只写开头几位)'));
+    console.log(chalk.yellow('  • memory wipe      删除全部记忆'));
+    console.log(chalk.yellow('  • memory export [file]  导出记忆为 JSON (不指定文件时直接显示)'));
+    console.log(chalk.yellow('- eval:    📏 评估 RAG 检索和回答'));
+    console.log(chalk.yellow('  • eval <file.jsonl> [--kb <n>] [--mode vector|keyword|hybrid] [--k 5] [--retrieval-only] [--out report.json]'));
     console.log(chalk.yellow('- debug:   🔍 切换调试模式'));
     console.log(chalk.yellow('- clear:   🧹 清除屏幕'));
     console.log(chalk.yellow('- init:    🔄 初始化系统 (清除所有数据)'));
@@ -149,7 +181,8 @@ async function getConversationsFromStore() {
             createdAt: conv.messages[0]?.timestamp || conv.created || Date.now(),
             firstMessage: conv.messages[0]?.content,
             lastMessage: conv.messages[conv.messages.length - 1]?.content,
-            messageCount: conv.messages.length
+            messageCount: conv.messages.length,
+            summary: conv.summary || null
         }));
         
         console.log('DEBUG: 格式化后的会话:', {
@@ -172,18 +205,20 @@ async function getConversationsFromStore() {
 async function showConversationList() {
     console.log('DEBUG: 开始获取会话列表...');
     
-    // 优先从数据库获取，如果失败或为空则从 UserStore 获取
-    let conversations = await getConversationsFromDB();
-    console.log('DEBUG: 数据库获取结果:', conversations ? `成功，获取到 ${conversations.length} 条会话` : '失败');
+    // 合并数据库和 UserStore 中的会话；数据库中的会话可能只保存了摘要，同一会话以 UserStore 为准
+    const dbConversations = await getConversationsFromDB();
+    console.log('DEBUG: 数据库获取结果:', dbConversations ? `成功，获取到 ${dbConversations.length} 条会话` : '失败');
+    const storeConversations = await getConversationsFromStore();
+    console.log('DEBUG: UserStore 获取结果:', 
+        storeConversations ? `成功，获取到 ${storeConversations.length} 条会话` : '失败');
     
-    if (!conversations || conversations.length === 0) {
-        console.log('DEBUG: 数据库无数据，尝试从 UserStore 获取...');
-        conversations = await getConversationsFromStore();
-        console.log('DEBUG: UserStore 获取结果:', 
-            conversations ? `成功，获取到 ${conversations.length} 条会话` : '失败');
-    }
+    const storeIds = new Set((storeConversations || []).map(conv => conv.id));
+    const conversations = [
+        ...(storeConversations || []),
+        ...(dbConversations || []).filter(conv => !storeIds.has(conv.id))
+    ];
     
-    if (!conversations || conversations.length === 0) {
+    if (conversations.length === 0) {
         console.log(chalk.yellow('\n📭 暂无历史对话\n'));
         return null;
     }
@@ -202,6 +237,9 @@ async function showConversationList() {
             console.log(chalk.gray('💬 最新: ') + conv.lastMessage.substring(0, 50) + (conv.lastMessage.length > 50 ? '...' : ''));
         }
         console.log(chalk.gray(`📊 消息数: ${conv.messageCount}`));
+        if (conv.summary) {
+            console.log(chalk.gray('📝 摘要: ') + conv.summary.substring(0, 50) + (conv.summary.length > 50 ? '...' : ''));
+        }
         if (conv.id === currentConversationId) {
             console.log(chalk.green('✅ (当前对话)'));
         }
@@ -351,9 +389,22 @@ async function handleInput(input) {
                     return true;
                 }
             }
-            const currentStatus = await toggleRag(!isRagEnabled, mode);
+            // multi 后面的参数为知识库选择，如 rag multi hr,finance 或 rag multi tag:policy
+            const selection = mode === 'multi' && args.length > 1 ? args.slice(1).join(',') : null;
+            // 指定模式时开启 RAG，否则切换开关；只影响当前会话（尚未开始会话时为当前用户的默认设置）
+            const currentStatus = await toggleRag(mode ? true : null, mode, getRagScope(), selection);
             stopThinking();
-            console.log(chalk.green(`\n🧠 ${currentStatus.message}`));
+            if (currentStatus.success) {
+                console.log(chalk.green(`\n🧠 ${currentStatus.message}`));
+            } else {
+                console.log(chalk.red(`\n❌ ${currentStatus.message}`));
+            }
+            return true;
+        case 'eval':
+            await handleEval(args);
+            return true;
+        case 'memory':
+            await handleMemory(args);
             return true;
         case 'tools':
             console.log(chalk.blue('\n=== 🛠️ 已注册工具列表 ===\n'));
@@ -369,7 +420,7 @@ async function handleInput(input) {
             break;
         case 'kb':
             if (args.length < 1) {
-                console.log(chalk.red('❌ 请指定知识库操作：list, add, del, switch, status'));
+                console.log(chalk.red('❌ 请指定知识库操作：list, add, sync, chunker, weight, rerank, tag, collection, filter, show, search, chunk, versions, diff, rollback, del, switch, status, cache'));
                 return true;
             }
             
@@ -380,17 +431,23 @@ async function handleInput(input) {
                 switch (subCommand) {
                     case 'list':
                         try {
-                            const status = await ragService.getKnowledgeBaseStatus();
+                            const status = await ragService.getKnowledgeBaseStatus(getRagScope());
                             const kbs = status.loadedKnowledgeBases;
+                            const details = new Map(
+                                (await ragService.listKnowledgeBases(getRagScope())).map(kb => [kb.name, kb])
+                            );
                             stopThinking();
                             console.log('\n\n📚 知识库列表:');
                             if (kbs.length === 0) {
                                 console.log(chalk.yellow('  暂无知识库'));
                             } else {
                                 for (const kb of kbs) {
-                                    // 在多知识库模式下全部选中，单知识库模式下只选中当前知识库
-                                    const isActive = status.mode === 'multi' || kb === status.currentKnowledgeBase;
-                                    console.log(`  ${isActive ? '✓' : ' '} ${kb}`);
+                                    // 单知识库模式下选中当前知识库，多知识库模式下选中本次选择的知识库
+                                    const { weight = 1, prior = 0, chunker, tags = [], active } = details.get(kb) || {};
+                                    const ranking = weight !== 1 || prior !== 0 ? ` (权重 ${weight}, 先验 ${prior})` : '';
+                                    const chunkerName = chunker ? ` [${chunker.name}]` : '';
+                                    const tagNames = tags.length > 0 ? ` ${tags.map(tag => `#${tag}`).join(' ')}` : '';
+                                    console.log(`  ${active ? '✓' : ' '} ${kb}${chunkerName}${tagNames}${ranking}`);
                                 }
                             }
                         } catch (error) {
@@ -402,11 +459,17 @@ async function handleInput(input) {
                     case 'add':
                         if (args.length < 2) {
                             stopThinking();
-                            console.log(chalk.red('❌ 请指定文件路径'));
+                            console.log(chalk.red('❌ 请指定文件、目录或 glob 路径'));
                             return true;
                         }
-                        const filePath = args[1];
-                        const result = await ragService.addKnowledgeBase(filePath);
+                        // --chunker <名称> 可以出现在路径之后的任意位置
+                        const addArgs = args.slice(1);
+                        const chunkerIndex = addArgs.indexOf('--chunker');
+                        const chunkerName = chunkerIndex !== -1 ? addArgs.splice(chunkerIndex, 2)[1] : null;
+                        const [sourcePath, kbNameArg] = addArgs;
+                        const result = await ragService.addKnowledgeBase(sourcePath, kbNameArg || null, {
+                            chunker: chunkerName
+                        });
                         stopThinking();
                         if (result.success) {
                             console.log(chalk.green(`\n✅ ${result.message}`));
@@ -415,6 +478,226 @@ async function handleInput(input) {
                         }
                         break;
                         
+                    case 'sync':
+                        if (args.length < 2) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 请指定知识库名称'));
+                            return true;
+                        }
+                        const syncResult = await ragService.syncKnowledgeBase(args[1]);
+                        stopThinking();
+                        if (syncResult.success) {
+                            console.log(chalk.green(`\n✅ ${syncResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${syncResult.message}`));
+                        }
+                        break;
+                        
+                    case 'chunker':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb chunker <知识库名称> <分块方式> [参数=值 ...]'));
+                            return true;
+                        }
+                        const chunkerParams = Object.fromEntries(
+                            args.slice(3).map(arg => arg.split('=')).filter(pair => pair.length === 2)
+                        );
+                        const chunkerResult = await ragService.setKnowledgeBaseChunker(args[1], {
+                            name: args[2],
+                            params: chunkerParams
+                        });
+                        stopThinking();
+                        if (chunkerResult.success) {
+                            console.log(chalk.green(`\n✅ ${chunkerResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${chunkerResult.message}`));
+                        }
+                        break;
+                        
+                    case 'weight':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb weight <知识库名称> <权重> [先验]'));
+                            return true;
+                        }
+                        const rankingResult = await ragService.setKnowledgeBaseRanking(args[1], {
+                            weight: Number(args[2]),
+                            prior: args[3] !== undefined ? Number(args[3]) : undefined
+                        });
+                        stopThinking();
+                        if (rankingResult.success) {
+                            console.log(chalk.green(`\n✅ ${rankingResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${rankingResult.message}`));
+                        }
+                        break;
+                        
+                    case 'rerank':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb rerank <知识库名称> <llm|local|none|default>'));
+                            return true;
+                        }
+                        const rerankResult = await ragService.setKnowledgeBaseReranker(
+                            args[1],
+                            args[2] === 'default' ? null : args[2]
+                        );
+                        stopThinking();
+                        if (rerankResult.success) {
+                            console.log(chalk.green(`\n✅ ${rerankResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${rerankResult.message}`));
+                        }
+                        break;
+                        
+                    case 'tag':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb tag <知识库名称> <标签,...|clear>'));
+                            return true;
+                        }
+                        const tags = args[2] === 'clear' ? [] : args.slice(2).join(',').split(/[,，]/);
+                        const tagResult = await ragService.setKnowledgeBaseTags(args[1], tags);
+                        stopThinking();
+                        if (tagResult.success) {
+                            console.log(chalk.green(`\n✅ ${tagResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${tagResult.message}`));
+                        }
+                        break;
+                        
+                    case 'collection':
+                        if (args.length < 2) {
+                            const collections = await ragService.listCollections();
+                            stopThinking();
+                            console.log('\n\n🗂️  知识库集合:');
+                            if (collections.length === 0) {
+                                console.log(chalk.yellow('  暂无集合，使用 kb collection <名称> <知识库,...> 创建'));
+                            }
+                            for (const collection of collections) {
+                                console.log(`  ${collection.name}: ${collection.knowledgeBases.join(', ') || '(空)'}`);
+                            }
+                            return true;
+                        }
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb collection <集合名称> <知识库,...|tag:<标签>|clear>'));
+                            return true;
+                        }
+                        const collectionResult = args[2] === 'clear'
+                            ? await ragService.removeCollection(args[1])
+                            : await ragService.setCollection(args[1], args.slice(2).join(','));
+                        stopThinking();
+                        if (collectionResult.success) {
+                            console.log(chalk.green(`\n✅ ${collectionResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${collectionResult.message}`));
+                        }
+                        break;
+                        
+                    case 'filter':
+                        stopThinking();
+                        if (args.length < 2) {
+                            console.log(chalk.cyan(`\n🔎 当前过滤条件: ${ragFilter || '无'}`));
+                            return true;
+                        }
+                        if (args[1] === 'clear') {
+                            ragFilter = null;
+                            console.log(chalk.green('\n✅ 已清除过滤条件'));
+                            return true;
+                        }
+                        const filterExpression = args.slice(1).join(' ');
+                        try {
+                            compileFilter(filterExpression);
+                            ragFilter = filterExpression;
+                            console.log(chalk.green(`\n✅ 检索将只使用符合 "${ragFilter}" 的文档块`));
+                        } catch (error) {
+                            console.log(chalk.red(`\n❌ ${error.message}`));
+                        }
+                        break;
+                        
+                    case 'show':
+                        if (args.length < 2) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb show <知识库名称> [页码]'));
+                            return true;
+                        }
+                        const page = Math.max(parseInt(args[2]) || 1, 1);
+                        const listing = await ragService.getKnowledgeBaseChunks(args[1], {
+                            offset: (page - 1) * CHUNKS_PER_PAGE,
+                            limit: CHUNKS_PER_PAGE
+                        });
+                        stopThinking();
+                        const pageCount = Math.max(Math.ceil(listing.total / CHUNKS_PER_PAGE), 1);
+                        console.log(`\n\n📄 知识库 "${listing.name}" 共 ${listing.total} 个文档块 (第 ${page}/${pageCount} 页):`);
+                        if (listing.chunker) {
+                            console.log(chalk.gray(`  分块方式: ${listing.chunker.name}`));
+                        }
+                        for (const chunk of listing.chunks) {
+                            console.log(`  ${chalk.cyan(chunk.id)} ${chalk.gray(`${chunk.length} 字符`)} ${formatSource(chunk) || '未知来源'}`);
+                            console.log(chalk.gray(`    ${previewText(chunk.content)}`));
+                        }
+                        break;
+                        
+                    case 'search':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb search <知识库名称> <检索内容>'));
+                            return true;
+                        }
+                        const hits = await ragService.searchKnowledgeBase(args[1], args.slice(2).join(' '), {
+                            filter: ragFilter
+                        });
+                        stopThinking();
+                        console.log(`\n\n🔍 检索结果 (${hits.length} 个${ragFilter ? `，过滤条件: ${ragFilter}` : ''}):`);
+                        if (hits.length === 0) {
+                            console.log(chalk.yellow('  没有文档块通过相关度阈值'));
+                        }
+                        hits.forEach((hit, index) => {
+                            const { mode, vectorScore, keywordScore } = hit.retrieval;
+                            const scores = [`得分 ${(hit.score * 100).toFixed(1)}%`];
+                            if (vectorScore !== null) {
+                                scores.push(`向量 ${vectorScore.toFixed(3)}`);
+                            }
+                            if (keywordScore !== null) {
+                                scores.push(`关键词 ${keywordScore.toFixed(3)}`);
+                            }
+                            if (hit.rerank) {
+                                scores.push(`重排序 ${hit.rerank.before} → ${hit.rerank.after}`);
+                            }
+                            console.log(`\n  ${index + 1}. ${chalk.cyan(hit.id)} ${chalk.gray(`[${mode}] ${scores.join(', ')}`)}`);
+                            console.log(chalk.gray(`     来源: ${formatSource(hit) || '未知来源'}`));
+                            console.log(chalk.white(`     ${previewText(hit.content, 200)}`));
+                        });
+                        break;
+                        
+                    case 'chunk':
+                        if (args.length < 2) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb chunk <知识库#序号>'));
+                            return true;
+                        }
+                        const { chunk, metadata, before, after } = await ragService.getChunk(args[1], { scope: getRagScope() });
+                        stopThinking();
+                        console.log(`\n\n🧩 文档块 ${chalk.cyan(chunk.id)} (${chunk.length} 字符)`);
+                        console.log(chalk.gray(`  来源: ${formatSource(chunk) || '未知来源'}`));
+                        const extraMetadata = Object.entries(metadata)
+                            .filter(([key]) => !['source', 'loc', 'section', 'page', 'parentIndex'].includes(key));
+                        if (extraMetadata.length > 0) {
+                            console.log(chalk.gray(`  元数据: ${extraMetadata.map(([key, value]) => `${key}=${value}`).join(', ')}`));
+                        }
+                        for (const neighbor of before) {
+                            console.log(chalk.gray(`\n--- 上文 ${neighbor.id} ---`));
+                            console.log(chalk.gray(neighbor.content));
+                        }
+                        console.log(chalk.cyan(`\n=== ${chunk.id} ===`));
+                        console.log(chalk.white(chunk.content));
+                        for (const neighbor of after) {
+                            console.log(chalk.gray(`\n--- 下文 ${neighbor.id} ---`));
+                            console.log(chalk.gray(neighbor.content));
+                        }
+                        break;
+                        
                     case 'del':
                         if (args.length < 2) {
                             stopThinking();
@@ -422,9 +705,71 @@ async function handleInput(input) {
                             return true;
                         }
                         const kbName = args[1];
-                        await ragService.removeKnowledgeBase(kbName);
+                        const removeResult = await ragService.removeKnowledgeBase(kbName, {
+                            purge: args.includes('--purge')
+                        });
                         stopThinking();
-                        console.log(chalk.green(`\n✅ 知识库 "${kbName}" 删除成功`));
+                        if (removeResult.success) {
+                            console.log(chalk.green(`\n✅ ${removeResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${removeResult.message}`));
+                        }
+                        break;
+                        
+                    case 'versions':
+                        if (args.length < 2) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 请指定知识库名称'));
+                            return true;
+                        }
+                        const { current, pinned, versions } = await ragService.getKnowledgeBaseVersions(args[1]);
+                        stopThinking();
+                        console.log(`\n\n🗂️  知识库 "${args[1]}" 的版本${pinned ? chalk.gray(' (已固定在回滚的版本)') : ''}:`);
+                        versions.forEach(entry => {
+                            const marker = entry.version === current ? chalk.green('*') : ' ';
+                            const createdAt = new Date(entry.createdAt).toLocaleString();
+                            console.log(`${marker} v${entry.version}  ${chalk.gray(createdAt)}  ${Object.keys(entry.sources).length} 个文件、${entry.chunkCount} 个文档块  ${chalk.gray(`${entry.embeddingModel}, ${entry.chunker?.name || 'recursive'}`)}`);
+                        });
+                        break;
+                        
+                    case 'diff':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb diff <知识库名称> <旧版本> [新版本]'));
+                            return true;
+                        }
+                        const diff = await ragService.diffKnowledgeBaseVersions(args[1], Number(args[2]), args[3] ? Number(args[3]) : null);
+                        stopThinking();
+                        console.log(`\n\n🔀 知识库 "${diff.name}" v${diff.from} → v${diff.to}`);
+                        for (const [label, files, color] of [
+                            ['新增文件', diff.files.added, chalk.green],
+                            ['删除文件', diff.files.removed, chalk.red],
+                            ['修改文件', diff.files.changed, chalk.yellow]
+                        ]) {
+                            files.forEach(file => console.log(color(`  ${label}: ${formatSource({ source: file })}`)));
+                        }
+                        console.log(`  文档块: 新增 ${diff.chunks.added.length}，删除 ${diff.chunks.removed.length}，未变化 ${diff.chunks.unchanged}`);
+                        diff.chunks.added.forEach(chunk => {
+                            console.log(chalk.green(`  + ${formatSource(chunk) || '未知来源'}  ${previewText(chunk.preview, 60)}`));
+                        });
+                        diff.chunks.removed.forEach(chunk => {
+                            console.log(chalk.red(`  - ${formatSource(chunk) || '未知来源'}  ${previewText(chunk.preview, 60)}`));
+                        });
+                        break;
+                        
+                    case 'rollback':
+                        if (args.length < 3) {
+                            stopThinking();
+                            console.log(chalk.red('❌ 用法: kb rollback <知识库名称> <版本>'));
+                            return true;
+                        }
+                        const rollbackResult = await ragService.rollbackKnowledgeBase(args[1], Number(args[2]));
+                        stopThinking();
+                        if (rollbackResult.success) {
+                            console.log(chalk.green(`\n✅ ${rollbackResult.message}`));
+                        } else {
+                            console.log(chalk.red(`\n❌ ${rollbackResult.message}`));
+                        }
                         break;
                         
                     case 'switch':
@@ -434,7 +779,7 @@ async function handleInput(input) {
                             return true;
                         }
                         const targetKb = args[1];
-                        const switchResult = await ragService.switchKnowledgeBase(targetKb);
+                        const switchResult = await ragService.switchKnowledgeBase(targetKb, getRagScope());
                         stopThinking();
                         if (switchResult.success) {
                             console.log(chalk.green(`\n✅ 已切换到知识库 "${targetKb}"`));
@@ -443,10 +788,37 @@ async function handleInput(input) {
                         }
                         break;
                         
+                    case 'cache':
+                        if (args[1] === 'prune') {
+                            const pruneResult = await ragService.pruneEmbeddingCache({
+                                maxAgeDays: args[2] !== undefined ? Number(args[2]) : null
+                            });
+                            stopThinking();
+                            if (pruneResult.success) {
+                                console.log(chalk.green(`\n✅ ${pruneResult.message}`));
+                            } else {
+                                console.log(chalk.red(`\n❌ ${pruneResult.message}`));
+                            }
+                            break;
+                        }
+                        const { embeddingModel, embeddingCache } = await ragService.getStatus();
+                        stopThinking();
+                        if (!embeddingCache) {
+                            console.log(chalk.gray(`\n当前 embedding 模型 ${embeddingModel} 未使用向量缓存`));
+                            break;
+                        }
+                        console.log(`\n\n💾 向量缓存 ${chalk.gray(embeddingCache.path)}`);
+                        console.log(`  ${formatCacheStats(embeddingCache)}`);
+                        Object.entries(embeddingCache.models).forEach(([model, count]) => {
+                            const marker = model === embeddingModel ? chalk.green('*') : ' ';
+                            console.log(`  ${marker} ${model}: ${count} 条`);
+                        });
+                        break;
+                        
                     case 'status':
                         startThinking('获取状态');
-                        const status = await ragService.getKnowledgeBaseStatus();
-                        const ragStatus = await ragService.getStatus();
+                        const status = await ragService.getKnowledgeBaseStatus(getRagScope());
+                        const ragStatus = await ragService.getStatus(getRagScope());
                         stopThinking();
                         console.log('\n\n📊 知识库状态:');
                         console.log(`  当前知识库: ${status.currentKnowledgeBase}`);
@@ -454,10 +826,23 @@ async function handleInput(input) {
                             console.log(`  已加载知识库: ${status.loadedKnowledgeBases.join(', ')}`);
                         }
                         console.log(`  知识库模式: ${status.mode === 'single' ? '单知识库' : '多知识库'}`);
+                        if (status.mode === 'multi') {
+                            console.log(`  检索范围: ${formatSelector(status.selection)} (${status.activeKnowledgeBases.join(', ') || '无'})`);
+                        }
                         console.log(`  RAG 状态: ${status.enabled ? '已启用' : '已禁用'}`);
                         console.log(`  文档数量: ${ragStatus.documentCount}`);
                         console.log(`  分块大小: ${ragStatus.chunkSize}`);
                         console.log(`  块重叠: ${ragStatus.chunkOverlap}`);
+                        console.log(`  默认分块方式: ${ragStatus.chunker.name}`);
+                        console.log(`  Embedding 模型: ${ragStatus.embeddingModel}`);
+                        if (ragStatus.embeddingCache) {
+                            console.log(`  向量缓存: ${formatCacheStats(ragStatus.embeddingCache)}`);
+                        }
+                        console.log(`  检索方式: ${ragStatus.retrievalMode}`);
+                        console.log(`  重排序: ${ragStatus.rerank || '未启用'}`);
+                        console.log(`  上下文扩展: ${ragStatus.contextExpansion}，上限 ${ragStatus.contextTokenBudget || '不限'} tokens`);
+                        console.log(`  未命中策略: ${ragStatus.noHitPolicy}`);
+                        console.log(`  过滤条件: ${ragFilter || '无'}`);
                         return true;
 
                     default:
@@ -512,7 +897,9 @@ async function handleInput(input) {
         default:
             const userInput = input;
             startThinking();
-            const response = await chat(userInput, currentUserId, currentConversationId);
+            const response = await chat(userInput, currentUserId, currentConversationId, {
+                filter: ragFilter
+            });
             stopThinking();
             
             // 显示回答
@@ -521,6 +908,23 @@ async function handleInput(input) {
                 console.log(chalk.cyan('\n=== 📚 知识库匹配信息 ==='));
                 console.log(chalk.gray(`📖 使用知识库: ${response.metadata.knowledgeBase}`));
                 console.log(chalk.gray(`🎯 匹配文档数: ${response.metadata.matchCount}`));
+                if (response.metadata.noHit) {
+                    const policyNames = { general: '通用知识回答', dont_know: '无法回答', clarify: '请求澄清' };
+                    console.log(chalk.yellow(`⚠️  ${response.metadata.noHitReason}，处理策略: ${policyNames[response.metadata.noHitPolicy] || response.metadata.noHitPolicy}`));
+                }
+                const query = response.metadata.query;
+                if (query?.rewritten) {
+                    console.log(chalk.gray(`✏️  检索问题: ${query.standalone}`));
+                }
+                if (query?.expansions?.length > 0) {
+                    console.log(chalk.gray(`🔀 扩展问法: ${query.expansions.join(' | ')}`));
+                }
+                const expansion = response.metadata.contextExpansion;
+                if (expansion) {
+                    const budget = expansion.budget ? ` / ${expansion.budget}` : '';
+                    const dropped = expansion.dropped > 0 ? `，超出预算去掉 ${expansion.dropped} 个结果` : '';
+                    console.log(chalk.gray(`🧩 上下文: ${expansion.mode}，${expansion.tokens}${budget} tokens${dropped}`));
+                }
                 
                 if (response.metadata.references?.length > 0) {
                     console.log(chalk.gray('\n📊 相关度评分和匹配内容:'));
@@ -529,8 +933,11 @@ async function handleInput(input) {
                         const scoreColor = score >= 90 ? 'green' : (score >= 70 ? 'yellow' : 'red');
                         
                         // 显示分数
-                        console.log(chalk.gray(`\n文档 ${ref.id}:`));
+                        console.log(chalk.gray(`\n文档 ${ref.id}: ${ref.chunkId}`));
                         console.log(chalk.gray(`相关度: `) + chalk[scoreColor](`${score}%`));
+                        if (ref.source) {
+                            console.log(chalk.gray(`来源: ${formatSource(ref)}`));
+                        }
                         
                         // 显示匹配内容
                         if (ref.excerpt) {
@@ -539,15 +946,28 @@ async function handleInput(input) {
                             console.log(chalk.white(ref.excerpt));
                             console.log(chalk.gray('----------------------------------------'));
                         }
+                        if (ref.expanded) {
+                            console.log(chalk.gray(`扩展为 ${ref.expanded.length} 字的段落`));
+                        }
                     });
                 }
                 
                 console.log(chalk.cyan('\n=== 💡 AI 回答 ==='));
             }
             
-            // 显示最后一条消息
+            // 显示最后一条消息；调试模式下标出没有检索依据的句子
             const lastMessage = response.messages[response.messages.length - 1];
-            console.log('\n' + chalk.green(lastMessage.content) + '\n');
+            const grounding = response.metadata?.grounding;
+            if (isDebugMode && grounding) {
+                console.log('\n' + highlightUnsupported(lastMessage.content, grounding) + '\n');
+                printGroundingSummary(grounding);
+            } else {
+                console.log('\n' + chalk.green(lastMessage.content) + '\n');
+            }
+            
+            if (response.metadata?.mode === 'rag') {
+                printSourcesFooter(response.metadata.references || []);
+            }
             
             // 更新当前会话ID
             currentConversationId = response.conversationId;
@@ -555,10 +975,217 @@ async function handleInput(input) {
     }
 }
 
+// RAG 设置的作用域：已开始会话时为当前会话，否则为当前用户
+function getRagScope() {
+    return { userId: currentUserId, conversationId: currentConversationId };
+}
+
+// 向量缓存统计的可读形式
+function formatCacheStats({ entries, size, hits, misses, hitRate }) {
+    return `${entries} 条 (${(size / 1024 / 1024).toFixed(1)} MB)，本次运行命中 ${hits}/${hits + misses} (${(hitRate * 100).toFixed(1)}%)`;
+}
+
+// 单行预览，过长时截断
+function previewText(text, maxLength = 80) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength)}…` : singleLine;
+}
+
+// 在回答下方列出来源；回答没有标注引用时列出全部检索结果
+function printSourcesFooter(references) {
+    if (references.length === 0) {
+        return;
+    }
+    const cited = references.filter(ref => ref.cited);
+    const sources = cited.length > 0 ? cited : references;
+    
+    console.log(chalk.cyan(cited.length > 0 ? '📎 来源:' : '📎 参考资料 (回答未标注引用):'));
+    for (const ref of sources) {
+        const source = ref.source ? formatSource(ref) : '未知来源';
+        console.log(chalk.gray(`  [${ref.id}] ${source} (知识库: ${ref.knowledgeBase})`));
+    }
+    console.log('');
+}
+
+// 回答中没有依据的句子用黄色下划线标出，其余保持绿色
+function highlightUnsupported(content, grounding) {
+    const ranges = grounding.claims
+        .filter(claim => !claim.supported)
+        .sort((a, b) => a.start - b.start);
+    let output = '';
+    let last = 0;
+    for (const { start, end } of ranges) {
+        output += chalk.green(content.slice(last, start)) + chalk.yellow.underline(content.slice(start, end));
+        last = end;
+    }
+    return output + chalk.green(content.slice(last));
+}
+
+function printGroundingSummary(grounding) {
+    if (grounding.score === null) {
+        console.log(chalk.gray('🧪 依据检查: 回答中没有需要核对的陈述'));
+        return;
+    }
+    const percent = (grounding.score * 100).toFixed(0);
+    const color = grounding.score >= 0.8 ? 'green' : (grounding.score >= 0.5 ? 'yellow' : 'red');
+    console.log(chalk.gray('🧪 依据检查: ') + chalk[color](`${percent}%`) +
+        chalk.gray(` (${grounding.supported}/${grounding.total} 句有依据，${grounding.method})`));
+    grounding.unsupported.forEach(sentence => {
+        console.log(chalk.yellow(`  ⚠️  ${sentence}`));
+    });
+    console.log('');
+}
+
+// 单条记忆的显示格式
+function formatMemory(memory) {
+    const source = memory.source === 'extracted' ? '对话提取' : '手动添加';
+    const date = (memory.updatedAt || memory.timestamp || '').slice(0, 10);
+    return `${chalk.cyan(memory.id.slice(0, 8))} ${memory.content} ${chalk.gray(`[${memory.type || 'other'}，${source}，${date}]`)}`;
+}
+
+// 处理 memory 命令：memory [list | search <内容> | add <内容> | forget <ID> | wipe | export [文件]]
+async function handleMemory(args) {
+    const [subCommand, ...rest] = args;
+    const text = rest.join(' ').trim();
+
+    try {
+        switch ((subCommand || 'list').toLowerCase()) {
+            case 'list': {
+                const memories = userMemory.list(currentUserId);
+                console.log(chalk.blue(`\n🧠 记忆 (${memories.length} 条)`));
+                if (memories.length === 0) {
+                    console.log(chalk.yellow('  暂无记忆'));
+                }
+                memories.forEach(memory => console.log(`  ${formatMemory(memory)}`));
+                break;
+            }
+            case 'search': {
+                if (!text) {
+                    console.log(chalk.red('❌ 请输入检索内容'));
+                    break;
+                }
+                startThinking('检索记忆');
+                const memories = await userMemory.recall(currentUserId, text);
+                stopThinking();
+                console.log(chalk.blue(`\n🔎 相关记忆 (${memories.length} 条)`));
+                if (memories.length === 0) {
+                    console.log(chalk.yellow('  没有相关的记忆'));
+                }
+                memories.forEach(memory => {
+                    console.log(`  ${formatMemory(memory)} ${chalk.gray(`${(memory.score * 100).toFixed(1)}%`)}`);
+                });
+                break;
+            }
+            case 'add': {
+                startThinking('保存记忆');
+                const result = await userMemory.add(currentUserId, text);
+                stopThinking();
+                console.log(result.success ? chalk.green(`\n✅ ${result.message}`) : chalk.red(`\n❌ ${result.message}`));
+                break;
+            }
+            case 'forget': {
+                if (!text) {
+                    console.log(chalk.red('❌ 请指定记忆 ID，可以用 memory list 查看'));
+                    break;
+                }
+                const result = await userMemory.forget(currentUserId, text);
+                console.log(result.success ? chalk.green(`\n✅ ${result.message}`) : chalk.red(`\n❌ ${result.message}`));
+                break;
+            }
+            case 'wipe': {
+                const confirm = await new Promise(resolve => {
+                    rl.question(chalk.red('⚠️  将删除助手记住的关于你的全部信息，确定要继续吗？(y/N) '), resolve);
+                });
+                if (confirm.toLowerCase() !== 'y') {
+                    console.log(chalk.yellow('🛑 已取消'));
+                    break;
+                }
+                const result = await userMemory.wipe(currentUserId);
+                console.log(chalk.green(`\n✅ ${result.message}`));
+                break;
+            }
+            case 'export': {
+                const json = JSON.stringify(userMemory.export(currentUserId), null, 2);
+                if (text) {
+                    await fs.writeFile(text, json, 'utf8');
+                    console.log(chalk.green(`\n✅ 记忆已导出到 ${text}`));
+                } else {
+                    console.log('\n' + json);
+                }
+                break;
+            }
+            default:
+                console.log(chalk.red('❌ 请指定记忆操作：list, search, add, forget, wipe, export'));
+        }
+    } catch (error) {
+        stopThinking();
+        console.log(chalk.red('\n❌ 记忆操作失败：' + error.message));
+    }
+}
+
+// 处理 eval 命令：eval <评估集> [--kb 名称] [--mode 检索方式] [--k 数量] [--retrieval-only] [--out 报告文件]
+async function handleEval(args) {
+    const takeOption = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args.splice(index, 2)[1] : undefined;
+    };
+    const knowledgeBase = takeOption('--kb');
+    const retrievalMode = takeOption('--mode');
+    const k = Number(takeOption('--k') || 5);
+    const outFile = takeOption('--out');
+    const retrievalOnly = args.includes('--retrieval-only');
+    const [evalFile] = args.filter(arg => !arg.startsWith('--'));
+    if (!evalFile || !Number.isInteger(k) || k <= 0) {
+        console.log(chalk.red('❌ 用法: eval <评估集.jsonl> [--kb 名称] [--mode vector|keyword|hybrid] [--k 5] [--retrieval-only] [--out 报告.json]'));
+        return;
+    }
+
+    try {
+        const cases = await loadEvalSet(evalFile);
+        const evaluator = new RagEvaluator(ragService);
+        console.log(chalk.blue(`\n📏 评估 ${cases.length} 个问题 (k=${k}${retrievalOnly ? '，只评估检索' : ''})`));
+        const report = await evaluator.evaluate(cases, {
+            k,
+            retrievalOnly,
+            searchOptions: {
+                ...getRagScope(),
+                retrievalMode,
+                // 指定知识库时按单知识库模式评估
+                ...(knowledgeBase ? { knowledgeBase, mode: 'single' } : {})
+            },
+            onProgress: (result, done, total) => {
+                const recall = result.recall === null ? '-' : result.recall.toFixed(2);
+                const status = result.noHit ? chalk.red('未命中') : `recall ${recall}`;
+                console.log(chalk.gray(`  [${done}/${total}] ${previewText(result.question, 40)} ${status}`));
+            }
+        });
+
+        const { summary } = report;
+        const format = (value, digits = 3) => value === null ? '-' : value.toFixed(digits);
+        console.log(chalk.blue('\n📊 评估结果:'));
+        console.log(`  问题数量: ${summary.questions}，未命中率: ${format(summary.noHitRate)}`);
+        console.log(`  recall@${summary.k}: ${format(summary.recallAtK)}`);
+        console.log(`  MRR: ${format(summary.mrr)}`);
+        if (!retrievalOnly) {
+            console.log(`  忠实度: ${format(summary.faithfulness)}，正确性: ${format(summary.correctness)}，失败: ${summary.errors}`);
+        }
+        console.log(`  检索耗时: 平均 ${format(summary.latency.retrievalAvg, 0)} ms，P95 ${format(summary.latency.retrievalP95, 0)} ms`);
+        if (!retrievalOnly) {
+            console.log(`  回答耗时: 平均 ${format(summary.latency.answerAvg, 0)} ms，P95 ${format(summary.latency.answerP95, 0)} ms`);
+        }
+        if (outFile) {
+            await fs.writeFile(outFile, JSON.stringify(report, null, 2));
+            console.log(chalk.green(`\n✅ 评估报告已保存到 ${outFile}`));
+        }
+    } catch (error) {
+        console.log(chalk.red(`\n❌ 评估失败: ${error.message}`));
+    }
+}
+
 // 处理 kb status 命令
 async function handleKbStatus() {
-    const status = await ragService.getKnowledgeBaseStatus();
-    const ragStatus = await ragService.getStatus();
+    const status = await ragService.getKnowledgeBaseStatus(getRagScope());
+    const ragStatus = await ragService.getStatus(getRagScope());
     
     console.log('\n\n📊 知识库状态:');
     console.log(`  当前知识库: ${status.currentKnowledgeBase}`);
@@ -566,10 +1193,22 @@ async function handleKbStatus() {
         console.log(`  已加载知识库: ${status.loadedKnowledgeBases.join(', ')}`);
     }
     console.log(`  知识库模式: ${status.mode === 'single' ? '单知识库' : '多知识库'}`);
+    if (status.mode === 'multi') {
+        console.log(`  检索范围: ${formatSelector(status.selection)} (${status.activeKnowledgeBases.join(', ') || '无'})`);
+    }
     console.log(`  RAG 状态: ${status.enabled ? '已启用' : '已禁用'}`);
     console.log(`  文档数量: ${ragStatus.documentCount}`);
     console.log(`  分块大小: ${ragStatus.chunkSize}`);
     console.log(`  块重叠: ${ragStatus.chunkOverlap}`);
+    console.log(`  默认分块方式: ${ragStatus.chunker.name}`);
+    console.log(`  Embedding 模型: ${ragStatus.embeddingModel}`);
+    if (ragStatus.embeddingCache) {
+        console.log(`  向量缓存: ${formatCacheStats(ragStatus.embeddingCache)}`);
+    }
+    console.log(`  检索方式: ${ragStatus.retrievalMode}`);
+    console.log(`  重排序: ${ragStatus.rerank || '未启用'}`);
+    console.log(`  上下文扩展: ${ragStatus.contextExpansion}，上限 ${ragStatus.contextTokenBudget || '不限'} tokens`);
+    console.log(`  未命中策略: ${ragStatus.noHitPolicy}`);
 }
 
 // 主循环
@@ -591,6 +1230,22 @@ async function main() {
         // 设置提示符
         rl.prompt();
 
+        // 记忆在回答返回后于后台提取，完成时显示变化并恢复提示符
+        eventManager.on('memory:extracted', ({ userId, added, updated, removed }) => {
+            if (userId !== currentUserId) {
+                return;
+            }
+            const waiting = !thinkingAnimation;
+            if (waiting) {
+                process.stdout.clearLine(0);
+                process.stdout.cursorTo(0);
+            }
+            console.log(chalk.gray(`🧠 记忆已更新: 新增 ${added}，修改 ${updated}，删除 ${removed}`));
+            if (waiting) {
+                rl.prompt(true);
+            }
+        });
+
         // 处理输入
         rl.on('line', async (input) => {
             const shouldContinue = await handleInput(input);
@@ -1,9 +1,17 @@
-import { HumanMessage, SystemMessage, AIMessage } from '@langchain/core/messages';
 import toolServiceIntegration from './services/tool-service-integration.js';
-import { ChatOpenAI } from '@langchain/openai';
 import { DatabaseService } from './services/database.js';
 import ragService from './services/rag-service-singleton.js';
+import { formatSelector } from './services/rag/KnowledgeBaseSelector.js';
+import { buildRagPrompt } from './services/rag/Citations.js';
+import { answerWithContext } from './services/chat/RagAnswer.js';
+import { answerWithoutHits } from './services/rag/NoHitPolicy.js';
+import { ErrorCodes } from './utils/ErrorHandler.js';
+import { PromptBuilder } from './services/chat/PromptBuilder.js';
+import { ConversationSummarizer } from './services/conversation/ConversationSummarizer.js';
+import OpenAIClient from './utils/OpenAIClient.js';
 import userStore from './services/user-store-singleton.js';
+import userMemory from './services/user-memory-singleton.js';
+import { withMemories } from './services/memory/UserMemoryService.js';
 import dotenv from 'dotenv';
 import { v4 as uuidv4 } from 'uuid';
 import eventManager from './services/event-manager.js';
@@ -13,6 +21,8 @@ dotenv.config();
 
 // 初始化服务
 const db = new DatabaseService();
+// 较早的对话合并为摘要，摘要同时写入数据库
+const summarizer = new ConversationSummarizer({ db });
 
 // 初始化所有服务
 await Promise.all([
@@ -20,39 +30,31 @@ await Promise.all([
     userStore.initialize()
 ]);
 
-// RAG模式状态
-let isRagEnabled = false;
-let ragMode = 'single';  // 'single' 或 'multi'
-
-// 监听 RAG 状态变化事件
+// 监听 RAG 状态变化事件；启用状态和模式按会话保存，每次对话时从 ragService 读取
 eventManager.on('rag:stateLoaded', (state) => {
     if (process.env.DEBUG === 'true') {
         console.log('RAG 状态已加载:', state);
     }
-    isRagEnabled = state.enabled;
-    ragMode = state.mode;
 });
 
 eventManager.on('rag:modeChanged', (event) => {
     if (process.env.DEBUG === 'true') {
         console.log(`RAG 模式从 ${event.oldMode} 切换到 ${event.newMode}`);
     }
-    ragMode = event.newMode;
 });
 
 eventManager.on('rag:enabledChanged', (event) => {
     if (process.env.DEBUG === 'true') {
         console.log(`RAG 状态从 ${event.oldValue} 切换到 ${event.newValue}`);
     }
-    isRagEnabled = event.newValue;
 });
 
 
 // 检查 RAG 服务状态
-async function checkRagStatus() {
+async function checkRagStatus(scope) {
     try {
         console.log('\n=== RAG Service Status ===');
-        const status = await ragService.getStatus();
+        const status = await ragService.getStatus(scope);
         console.log('Initialized:', status.isInitialized);
         console.log('Current KB:', status.currentKnowledgeBase);
         console.log('Document Count:', status.documentCount);
@@ -65,50 +67,31 @@ async function checkRagStatus() {
 
 /**
  * 切换RAG模式
+ * @param {boolean|null} enable 开启或关闭，null 表示切换当前状态
+ * @param {string|null} mode 'single' | 'multi'，null 表示不修改
+ * @param {{userId?: string, conversationId?: string}} scope 有会话 ID 时只修改该会话，只有用户 ID 时修改该用户的默认设置
+ * @param {string|null} knowledgeBases multi 模式检索的知识库，如 "hr,finance"、"tag:policy"、"collection:legal"，null 表示全部
  * @returns {Promise<Object>} 返回切换结果，包含状态和消息
  */
-export async function toggleRag(enable = null, mode = null) {
+export async function toggleRag(enable = null, mode = null, scope = {}, knowledgeBases = null) {
     console.log('Toggling RAG mode:', enable, 'Mode:', mode);
-    const status = await checkRagStatus();
+    await checkRagStatus(scope);
+    const settings = await ragService.getSettings(scope);
     
     // 处理开关状态
-    const newState = enable === null ? !isRagEnabled : enable;
+    const newState = enable === null ? !settings.enabled : enable;
     
     // 处理模式切换
-    if (mode) {
-        if (mode !== 'single' && mode !== 'multi') {
-            return {
-                success: false,
-                message: '无效的查询模式，只支持 single 或 multi'
-            };
-        }
-        
-        // 等待模式切换和系统知识库加载完成
-        const modeChangePromise = ragService.mode = mode;
-        if (modeChangePromise instanceof Promise) {
-            await modeChangePromise;
-        }
-        
-        // 如果是切换到 multi 模式，等待系统知识库加载完成
-        if (mode === 'multi') {
-            await new Promise(resolve => {
-                const listener = () => {
-                    eventManager.off('rag:systemKnowledgeBasesLoaded', listener);
-                    resolve();
-                };
-                eventManager.once('rag:systemKnowledgeBasesLoaded', listener);
-                
-                // 如果已经加载完成，直接返回
-                if (ragService._systemKnowledgeBasesLoaded) {
-                    resolve();
-                }
-            });
-        }
+    if (mode && mode !== 'single' && mode !== 'multi') {
+        return {
+            success: false,
+            message: '无效的查询模式，只支持 single 或 multi'
+        };
     }
     
     if (newState) {
         // 确保RAG服务已初始化
-        if (!status.currentKnowledgeBase && ragMode === 'single') {
+        if (!settings.currentKnowledgeBase && (mode || settings.mode) === 'single') {
             return {
                 success: false,
                 message: '请先使用 kb switch 选择一个知识库'
@@ -116,18 +99,33 @@ export async function toggleRag(enable = null, mode = null) {
         }
     }
     
-    // 通过 RAG 服务设置启用状态，这会触发事件
-    ragService.enabled = newState;
+    // 切换到 multi 模式时会等待系统知识库加载完成；重新选择 multi 模式时同时更新知识库选择
+    let updated;
+    try {
+        updated = await ragService.updateSettings(scope, {
+            enabled: newState,
+            ...(mode ? { mode } : {}),
+            ...(mode === 'multi' ? { knowledgeBases } : {})
+        });
+    } catch (error) {
+        return {
+            success: false,
+            message: error.message
+        };
+    }
     
+    const scopeText = updated.mode === 'multi' ? `: ${formatSelector(updated.knowledgeBases)}` : '';
     return {
         success: true,
-        enabled: isRagEnabled,
-        mode: ragMode,
-        message: `RAG ${isRagEnabled ? '已开启' : '已关闭'}${isRagEnabled ? ` (${ragMode} 模式)` : ''}`
+        enabled: updated.enabled,
+        mode: updated.mode,
+        knowledgeBases: updated.knowledgeBases,
+        message: `RAG ${updated.enabled ? '已开启' : '已关闭'}${updated.enabled ? ` (${updated.mode} 模式${scopeText})` : ''}`
     };
 }
 
-export async function chat(userMessage, userId, conversationId) {
+// options.filter: RAG 检索的元数据过滤条件
+export async function chat(userMessage, userId, conversationId, options = {}) {
     try {
         // 获取或创建用户的对话历史
         let user = await getUser(userId);
@@ -150,6 +148,11 @@ export async function chat(userMessage, userId, conversationId) {
             await saveUser(user);
         }
 
+        // 新会话开始时召回与第一条消息相关的长期记忆，整个会话的系统提示都附带这些记忆
+        if (conversation.messages.length === 0 && !conversation.memories) {
+            conversation.memories = await recallMemories(userId, userMessage);
+        }
+
         const conversationHistory = conversation.messages;
         let response;
 
@@ -164,13 +167,12 @@ export async function chat(userMessage, userId, conversationId) {
                     { role: 'assistant', content: agentResult.output }
                 );
 
-                // 保持历史记录在合理范围内
-                if (conversationHistory.length > 10) {
-                    conversationHistory.splice(0, conversationHistory.length - 10);
-                }
+                trimHistory(conversationHistory);
+                await summarizer.maybeSummarize(conversation, { userId });
 
                 // 保存用户数据
                 await saveUser(user);
+                rememberTurn(userId, conversation, userMessage, agentResult.output);
 
                 return {
                     messages: conversationHistory,
@@ -187,20 +189,38 @@ export async function chat(userMessage, userId, conversationId) {
         }
 
         // 如果 agent 未处理，继续使用 RAG 或普通对话模式
+        // RAG 设置按会话读取，会话未单独设置时使用用户的默认设置
+        const ragScope = { userId, conversationId: conversation.id };
+        const ragSettings = await ragService.getSettings(ragScope);
+        const ragMode = ragSettings.mode;
+        // 按模型的上下文窗口分配系统提示、检索内容和对话历史的 token
+        const promptBuilder = new PromptBuilder();
+        // 发送给模型的对话：已并入摘要的较早消息由 conversation.summary 代替
+        const promptHistory = ConversationSummarizer.pendingMessages(conversation);
         if (process.env.DEBUG) {
             console.log('\n=== Debug: Chat Processing ===');
-            console.log('RAG Enabled:', isRagEnabled);
+            console.log('RAG Enabled:', ragSettings.enabled);
         }
         
-        if (isRagEnabled) {
+        if (ragSettings.enabled) {
             try {
                 if (process.env.DEBUG) {
                     console.log('Attempting RAG processing...');
                     console.log('Current RAG mode:', ragMode);
                 }
                 
-                // 使用RAG处理消息
-                const ragResult = await ragService.processMessage(userMessage, { mode: ragMode });
+                // 使用RAG处理消息，检索内容的 token 上限由提示词预算决定
+                const ragResult = await ragService.processMessage(userMessage, {
+                    ...ragScope,
+                    mode: ragMode,
+                    filter: options.filter,
+                    // 对话历史用于把追问改写为独立问题
+                    history: promptHistory,
+                    contextTokenBudget: promptBuilder.contextBudget({
+                        systemPrompt: withMemories(buildRagPrompt('', userMessage), conversation.memories),
+                        message: userMessage
+                    })
+                });
                 if (process.env.DEBUG) {
                     console.log('RAG Result received:', !!ragResult);
                 }
@@ -212,8 +232,7 @@ export async function chat(userMessage, userId, conversationId) {
                     if (ragMode === 'multi' && ragResult.metadata?.knowledgeBases) {
                         console.log('查询的知识库:', ragResult.metadata.knowledgeBases.join(', '));
                     } else {
-                        const status = await ragService.getStatus();
-                        console.log('查询的知识库:', status.currentKnowledgeBase);
+                        console.log('查询的知识库:', ragResult.metadata.knowledgeBase);
                     }
                     
                     // 显示相关度分数
@@ -228,128 +247,137 @@ export async function chat(userMessage, userId, conversationId) {
                     }
                 }
 
-                // 组合提示
-                const prompt = ragResult.context ? 
-                    `基于以下内容回答问题:\n\n${ragResult.context}\n\n问题: ${userMessage}` :
-                    userMessage;
-
-                // 构建系统消息
-                const systemMessage = new SystemMessage(prompt);
-
-                // 构建消息历史
-                const messages = [
-                    systemMessage,
-                    ...conversationHistory.map(msg => 
-                        msg.role === 'user' ? new HumanMessage(msg.content) : new AIMessage(msg.content)
-                    ),
-                    new HumanMessage(userMessage)
-                ];
-
-                console.log('消息历史:', messages);  // 新添加的调试日志
-
-                // 调用OpenAI API
-                const model = new ChatOpenAI({
-                    openAIApiKey: CONFIG.OPENAI.API_KEY,
-                    modelName: CONFIG.OPENAI.MODEL_NAME,
-                    temperature: CONFIG.OPENAI.CHAT_TEMPERATURE,
-                    configuration: {
-                        apiKey: CONFIG.OPENAI.API_KEY,
-                        basePath: CONFIG.OPENAI.API_BASE,
-                        baseURL: CONFIG.OPENAI.API_BASE,
-                        defaultHeaders: {
-                            'Content-Type': 'application/json'
-                        }
-                    }
+                // 要求模型用 [n] 标注引用，移除无效的引用并检查回答的依据
+                const {
+                    answer: aiMessage,
+                    references,
+                    citations,
+                    grounding,
+                    usage,
+                    dropped
+                } = await answerWithContext({
+                    client: OpenAIClient.getInstance(),
+                    promptBuilder,
+                    ragResult,
+                    message: userMessage,
+                    history: promptHistory,
+                    summary: conversation.summary,
+                    memories: conversation.memories,
+                    checkGrounding: (answer, refs) => ragService.checkGrounding(answer, refs)
                 });
 
-                const result = await model.invoke(messages);
-
-                // 获取AI回复
-                const aiMessage = result.content;
-
                 // 更新消息历史
                 conversationHistory.push(
                     { role: 'user', content: userMessage },
                     { role: 'assistant', content: aiMessage }
                 );
 
-                // 保持历史记录在合理范围内
-                if (conversationHistory.length > 10) {
-                    conversationHistory.splice(0, conversationHistory.length - 10);
-                }
+                trimHistory(conversationHistory);
 
                 // 返回结果
                 response = {
                     messages: conversationHistory,
                     metadata: {
                         mode: 'rag',
-                        knowledgeBase: ragMode === 'multi' ? ragResult.metadata.knowledgeBases.join(', ') : (await ragService.getStatus()).currentKnowledgeBase,
+                        knowledgeBase: ragMode === 'multi' ? ragResult.metadata.knowledgeBases.join(', ') : ragResult.metadata.knowledgeBase,
                         matchCount: ragResult.metadata?.matchCount,
-                        references: ragResult.documents?.map((doc, index) => ({
-                            id: index + 1,
-                            score: doc.score,
-                            excerpt: doc.content
-                        })),
+                        references,
+                        citations,
+                        grounding,
+                        query: ragResult.metadata?.query,
+                        contextExpansion: ragResult.metadata?.contextExpansion,
+                        prompt: { ...usage, droppedMessages: dropped },
                         context: ragResult.context
                     },
                     conversationId: conversation.id
                 };
             } catch (error) {
-                console.error('RAG处理失败，切换到普通对话模式:', error.message);
-                isRagEnabled = false;
-                throw error;
+                // 只有未命中按策略处理，其他错误直接抛出；两种情况都不修改 RAG 开关
+                if (error.code !== ErrorCodes.RAG_NO_HIT) {
+                    console.error('RAG处理失败:', error.message);
+                    throw error;
+                }
+                
+                const policy = error.metadata?.noHitPolicy || 'general';
+                // 本次检索的知识库，多知识库模式为当前作用域选择的知识库
+                const knowledgeBases = error.metadata?.knowledgeBases || [];
+                const aiMessage = await answerWithoutHits({
+                    policy,
+                    knowledgeBases,
+                    buildMessages: systemPrompt => promptBuilder.build({
+                        systemPrompt: withMemories(systemPrompt, conversation.memories),
+                        summary: conversation.summary,
+                        history: promptHistory,
+                        message: userMessage
+                    }).messages,
+                    complete: messages => OpenAIClient.getInstance().chatCompletion(messages)
+                });
+                
+                conversationHistory.push(
+                    { role: 'user', content: userMessage },
+                    { role: 'assistant', content: aiMessage }
+                );
+                trimHistory(conversationHistory);
+                
+                response = {
+                    messages: conversationHistory,
+                    metadata: {
+                        mode: 'rag',
+                        knowledgeBase: knowledgeBases.join(', '),
+                        matchCount: 0,
+                        references: [],
+                        noHit: true,
+                        noHitPolicy: policy,
+                        noHitReason: error.message
+                    },
+                    conversationId: conversation.id
+                };
             }
         }
 
         if (!response) {
             // 使用普通对话模式
-            const model = new ChatOpenAI({
-                apiKey: CONFIG.OPENAI.API_KEY,
-                modelName: CONFIG.OPENAI.MODEL_NAME,
-                configuration: {
-                    baseURL: CONFIG.OPENAI.API_BASE,
-                    defaultHeaders: {
-                        'Content-Type': 'application/json'
-                    }
-                },
-                temperature: CONFIG.OPENAI.CHAT_TEMPERATURE,
-                streaming: true
+            const { messages, usage, dropped } = promptBuilder.build({
+                systemPrompt: withMemories(CONFIG.systemPrompts.default, conversation.memories),
+                summary: conversation.summary,
+                history: promptHistory,
+                message: userMessage
             });
 
-            const messages = [
-                new SystemMessage(CONFIG.defaultSystemPrompt),
-                ...conversationHistory.map(msg => 
-                    msg.role === 'user' ? new HumanMessage(msg.content) : new AIMessage(msg.content)
-                ),
-                new HumanMessage(userMessage)
-            ];
-
             console.log('消息历史:', messages);
 
-            const result = await model.invoke(messages);
+            const aiMessage = await OpenAIClient.getInstance().chatCompletion(messages);
 
             conversationHistory.push(
                 { role: 'user', content: userMessage },
-                { role: 'assistant', content: result.content }
+                { role: 'assistant', content: aiMessage }
             );
 
-            if (conversationHistory.length > CONFIG.maxConversationLength) {
-                conversationHistory.splice(0, conversationHistory.length - CONFIG.maxConversationLength);
-            }
+            trimHistory(conversationHistory);
 
             response = {
                 messages: conversationHistory,
                 metadata: { 
                     mode: 'chat',
-                    model: CONFIG.OPENAI.MODEL_NAME
+                    model: CONFIG.openai.modelName,
+                    prompt: { ...usage, droppedMessages: dropped }
                 },
                 conversationId: conversation.id
             };
         }
 
+        // 未摘要的消息过多时把较早的消息合并为摘要，下一轮起发送摘要
+        const summarized = await summarizer.maybeSummarize(conversation, { userId });
+        if (summarized) {
+            response.metadata.summarizedCount = summarized.summarizedCount;
+        }
+
         // 保存更新后的对话历史
         await saveUser(user);
 
+        // 从本轮对话中提取关于用户的长期记忆
+        rememberTurn(userId, conversation, userMessage, conversationHistory[conversationHistory.length - 1].content);
+
         return response;
     } catch (error) {
         console.error('聊天错误:', error);
@@ -363,6 +391,54 @@ export async function chat(userMessage, userId, conversationId) {
     }
 }
 
+// 召回的记忆只保存 id 和内容，失败时本会话不使用记忆
+async function recallMemories(userId, userMessage) {
+    if (!CONFIG.memory.enabled) {
+        return [];
+    }
+    try {
+        const memories = await userMemory.recall(userId, userMessage);
+        return memories.map(({ id, content }) => ({ id, content }));
+    } catch (error) {
+        console.error('召回用户记忆失败:', error);
+        return [];
+    }
+}
+
+// 提取本轮对话中的记忆；在后台进行，不延迟回答，有变化时发出 memory:extracted 事件
+function rememberTurn(userId, conversation, userMessage, assistantMessage) {
+    userMemory.maybeExtract(userId, {
+        userMessage,
+        assistantMessage,
+        conversationId: conversation.id
+    }).then(result => {
+        if (!result) {
+            return;
+        }
+        const changes = {
+            added: result.added.length,
+            updated: result.updated.length,
+            removed: result.removed.length
+        };
+        if (changes.added + changes.updated + changes.removed > 0) {
+            eventManager.emit('memory:extracted', {
+                userId,
+                conversationId: conversation.id,
+                ...changes,
+                timestamp: new Date()
+            });
+        }
+    }).catch(error => console.error('提取用户记忆失败:', error));
+}
+
+// 保存的对话记录条数上限；发送给模型的对话由 PromptBuilder 按 token 预算选取
+function trimHistory(history) {
+    const limit = CONFIG.conversation.maxConversationLength;
+    if (history.length > limit) {
+        history.splice(0, history.length - limit);
+    }
+}
+
 async function getUser(userId) {
     try {
         const userData = await userStore.getUserData(userId);
@@ -9,6 +9,17 @@ const rootDir = resolve(__dirname, '../..');
 // 加载环境变量
 dotenv.config({ path: resolve(rootDir, '.env') });
 
+/**
+ * 读取整数环境变量，允许设置为 0；未设置或不是数字时使用默认值
+ * @param {string} name 环境变量名
+ * @param {number} def 默认值
+ * @returns {number}
+ */
+export function intEnv(name, def) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? def : value;
+}
+
 const config = {
     openai: {
         apiKey: process.env.OPENAI_API_KEY,
@@ -21,24 +32,83 @@ const config = {
             tools: parseFloat(process.env.OPENAI_TOOLS_TEMPERATURE) || 0
         }
     },
+    embeddings: {
+        // embedding 提供方：openai（OpenAI 兼容接口）、local（本地哈希 n-gram 向量，可离线使用）
+        provider: process.env.EMBEDDINGS_PROVIDER || 'openai',
+        // 本地向量的维度
+        dimensions: parseInt(process.env.LOCAL_EMBEDDINGS_DIMENSIONS) || 512,
+        // 按文本和模型缓存向量，设置为 false 关闭
+        cache: process.env.EMBEDDINGS_CACHE !== 'false',
+        cachePath: process.env.EMBEDDINGS_CACHE_PATH || resolve(rootDir, 'embedding-cache.jsonl')
+    },
     rag: {
         chunkSize: parseInt(process.env.RAG_CHUNK_SIZE) || 1000,
         chunkOverlap: parseInt(process.env.RAG_CHUNK_OVERLAP) || 200,
+        // 新建知识库的默认分块方式：recursive、markdown、sentence、token、semantic
+        chunker: process.env.RAG_CHUNKER || 'recursive',
         maxRetrievedDocs: parseInt(process.env.RAG_MAX_DOCS) || 4,
-        minRelevanceScore: parseFloat(process.env.RAG_MIN_SCORE) || 0.7
+        minRelevanceScore: parseFloat(process.env.RAG_MIN_SCORE) || 0.7,
+        // 检索方式：vector（向量）、keyword（BM25 关键词）、hybrid（混合）
+        retrievalMode: process.env.RAG_RETRIEVAL_MODE || 'vector',
+        // 重排序方式：llm（聊天模型打分）、local（本地打分），未设置时不重排序
+        rerank: process.env.RAG_RERANK || null,
+        rerankCandidates: parseInt(process.env.RAG_RERANK_CANDIDATES) || 20,
+        // 结合对话历史改写追问，设置为 false 关闭
+        condenseQuestion: process.env.RAG_CONDENSE_QUESTION !== 'false',
+        // 多查询检索额外生成的问法数量，0 表示不启用
+        multiQuery: parseInt(process.env.RAG_MULTI_QUERY) || 0,
+        // 知识库未命中时的策略：general（通用知识回答并声明）、dont_know（回复无法回答）、clarify（请用户澄清）
+        noHitPolicy: process.env.RAG_NO_HIT_POLICY || 'general',
+        // 回答的依据检查：lexical（字面比较）、llm（字面比较后由模型复核），设置为 off 关闭
+        grounding: process.env.RAG_GROUNDING === 'off' ? null : process.env.RAG_GROUNDING || 'lexical',
+        groundingThreshold: parseFloat(process.env.RAG_GROUNDING_THRESHOLD) || 0.5,
+        // 上下文扩展：none（只用命中的分块）、neighbors（加入前后相邻的分块）、parent（使用分块所在的章节）
+        contextExpansion: process.env.RAG_CONTEXT_EXPANSION || 'none',
+        contextNeighbors: intEnv('RAG_CONTEXT_NEIGHBORS', 1),
+        // 注入提示词的检索内容 token 上限，0 表示不限制
+        contextTokenBudget: intEnv('RAG_CONTEXT_TOKENS', 4000),
+        // 建索引时保存分块所在的章节，设置为 false 关闭
+        storeParents: process.env.RAG_STORE_PARENTS !== 'false',
+        // 每个知识库保留的版本数量，0 表示全部保留
+        maxVersions: intEnv('RAG_MAX_VERSIONS', 10),
+        // RAG 设置文件和知识库索引目录，未设置时使用当前目录下的 rag-state.json 和 kb-data
+        statePath: process.env.RAG_STATE_PATH || null,
+        indexPath: process.env.RAG_INDEX_PATH || null
+    },
+    prompt: {
+        // 提示词的 token 上限，0 表示使用模型的上下文窗口
+        maxTokens: parseInt(process.env.PROMPT_MAX_TOKENS) || 0,
+        // 为模型回答预留的 token 数量
+        reserveTokens: parseInt(process.env.PROMPT_RESERVE_TOKENS) || 1024,
+        // 扣除系统提示和当前消息后检索内容最多占用的比例
+        contextShare: parseFloat(process.env.PROMPT_CONTEXT_SHARE) || 0.5,
+        // 再扣除检索内容后对话摘要最多占用的比例，其余留给最近的对话
+        summaryShare: parseFloat(process.env.PROMPT_SUMMARY_SHARE) || 0.2
     },
     conversation: {
         maxConversationLength: parseInt(process.env.MAX_CONVERSATION_LENGTH || '100'),
+        // 未摘要的消息超过该条数时把较早的消息合并为摘要，0 表示不摘要
+        summaryThreshold: intEnv('CONVERSATION_SUMMARY_THRESHOLD', 20),
+        // 摘要时保留原文的最近消息条数
+        summaryKeepRecent: intEnv('CONVERSATION_SUMMARY_KEEP', 6),
         maxMessageLength: parseInt(process.env.MAX_MESSAGE_LENGTH || '4000'),
         maxMessagesPerUser: parseInt(process.env.MAX_MESSAGES_PER_USER || '50')
     },
+    memory: {
+        // 每轮对话后从对话中提取关于用户的长期记忆，设为 false 关闭提取和召回
+        enabled: process.env.MEMORY_ENABLED !== 'false',
+        // 新会话开始时注入系统提示的记忆条数
+        recallLimit: intEnv('MEMORY_RECALL_LIMIT', 5),
+        // 提取时发送给模型用于去重的已有记忆条数
+        extractionCandidates: intEnv('MEMORY_EXTRACTION_CANDIDATES', 10)
+    },
     systemPrompts: {
         default: process.env.DEFAULT_SYSTEM_PROMPT || 'You are a helpful AI assistant.'
     }
 };
 
-// 验证必要的配置
-if (!config.openai.apiKey) {
+// 验证必要的配置；使用本地 embedding 时可以不配置密钥离线建索引，聊天仍需要密钥
+if (!config.openai.apiKey && config.embeddings.provider === 'openai') {
     throw new Error('OPENAI_API_KEY environment variable is required');
 }
 
@@ -1,7 +1,7 @@
 import MessageProcessor from './MessageProcessor.js';
 import ConversationService from '../conversation/ConversationService.js';
 import UserService from '../user/UserService.js';
-import { RAGService } from '../rag-service.js';
+import ragService from '../rag-service-singleton.js';
 import RateLimiter from '../../utils/RateLimiter.js';
 
 class ChatService {
@@ -20,7 +20,7 @@ class ChatService {
         this.#messageProcessor = MessageProcessor.getInstance();
         this.#conversationService = ConversationService.getInstance();
         this.#userService = UserService.getInstance();
-        this.#ragService = RAGService.getInstance();
+        this.#ragService = ragService;
         this.rateLimiter = new RateLimiter();
         ChatService.#instance = this;
     }
@@ -47,14 +47,16 @@ class ChatService {
                     conversationId
                 );
 
-                // 准备上下文
+                // 准备上下文，RAG 设置按会话读取，会话未单独设置时使用用户的默认设置
+                const ragScope = { userId, conversationId: conversation.id };
                 const context = {
                     conversation,
                     user,
                     rag: {
-                        enabled: await this.#ragService.isEnabled(conversationId),
-                        mode: await this.#ragService.getMode(conversationId),
-                        currentKnowledgeBase: await this.#ragService.getCurrentKnowledgeBase()
+                        scope: ragScope,
+                        enabled: await this.#ragService.isEnabled(ragScope),
+                        mode: await this.#ragService.getMode(ragScope),
+                        currentKnowledgeBase: await this.#ragService.getCurrentKnowledgeBase(ragScope)
                     }
                 };
 
@@ -112,17 +114,17 @@ class ChatService {
         }
     }
 
-    // 切换RAG模式
-    async toggleRag(enabled, mode = null) {
+    // 切换RAG模式，scope 为 { userId, conversationId }：有会话 ID 时只修改该会话，只有用户 ID 时修改用户默认设置
+    async toggleRag(enabled, mode = null, scope = null) {
         try {
-            await this.#ragService.setEnabled(enabled);
-            if (mode) {
-                await this.#ragService.setMode(mode);
-            }
+            const settings = await this.#ragService.updateSettings(scope, {
+                enabled: !!enabled,
+                ...(mode ? { mode } : {})
+            });
             return {
                 success: true,
-                enabled,
-                mode: await this.#ragService.getMode()
+                enabled: settings.enabled,
+                mode: settings.mode
             };
         } catch (error) {
             console.error('Error toggling RAG:', error);
@@ -131,13 +133,9 @@ class ChatService {
     }
 
     // 获取RAG状态
-    async getRagStatus() {
+    async getRagStatus(scope = null) {
         try {
-            return {
-                enabled: await this.#ragService.isEnabled(),
-                mode: await this.#ragService.getMode(),
-                currentKnowledgeBase: await this.#ragService.getCurrentKnowledgeBase()
-            };
+            return await this.#ragService.getSettings(scope);
         } catch (error) {
             console.error('Error getting RAG status:', error);
             throw error;
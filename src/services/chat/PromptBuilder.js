@@ -0,0 +1,138 @@
+import { HumanMessage, SystemMessage, AIMessage } from '@langchain/core/messages';
+import CONFIG from '../../config/index.js';
+import { getEncoder, getModelEncoding, getContextWindow } from '../../utils/TokenCounter.js';
+
+// 每条消息在聊天格式中额外占用的 token（角色和分隔符）
+const MESSAGE_OVERHEAD = 4;
+
+// 截断摘要时附加的标记
+const TRUNCATION_MARK = '…';
+
+// 摘要消息的开头
+const SUMMARY_HEADER = '以下是之前对话的摘要：\n';
+
+// 对话记录转为模型消息
+export function toChatMessage(message) {
+    if (message.role === 'user') {
+        return new HumanMessage(message.content);
+    }
+    if (message.role === 'system') {
+        return new SystemMessage(message.content);
+    }
+    return new AIMessage(message.content);
+}
+
+/**
+ * 按 token 预算组装提示词
+ * 预算为模型的上下文窗口（或 maxTokens）减去为回答预留的 reserveTokens，
+ * 系统提示（含检索内容）和当前消息总会保留；扣除它们后，对话摘要最多占 summaryShare，
+ * 其余从最近的对话开始依次加入，放不下的较早对话不再发送，由调用方决定是否摘要
+ */
+export class PromptBuilder {
+    constructor({
+        model = CONFIG.openai.modelName,
+        maxTokens = CONFIG.prompt.maxTokens,
+        reserveTokens = CONFIG.prompt.reserveTokens,
+        contextShare = CONFIG.prompt.contextShare,
+        summaryShare = CONFIG.prompt.summaryShare
+    } = {}) {
+        this.model = model;
+        this.maxTokens = maxTokens;
+        this.reserveTokens = reserveTokens;
+        this.contextShare = contextShare;
+        this.summaryShare = summaryShare;
+        this.encoder = getEncoder(getModelEncoding(model));
+    }
+
+    // 提示词可用的 token 数量
+    get budget() {
+        const window = getContextWindow(this.model);
+        const limit = this.maxTokens > 0 ? Math.min(this.maxTokens, window) : window;
+        return Math.max(limit - this.reserveTokens, 0);
+    }
+
+    count(text) {
+        return this.encoder.encode(String(text ?? '')).length;
+    }
+
+    countMessage(content) {
+        return this.count(content) + MESSAGE_OVERHEAD;
+    }
+
+    // 截断到 maxTokens 以内，保留开头部分
+    truncate(text, maxTokens) {
+        const tokens = this.encoder.encode(String(text));
+        if (tokens.length <= maxTokens) {
+            return text;
+        }
+        const keep = Math.max(maxTokens - this.count(TRUNCATION_MARK), 0);
+        return this.encoder.decode(tokens.slice(0, keep)) + TRUNCATION_MARK;
+    }
+
+    /**
+     * 检索内容可用的 token 数量，检索前调用，作为 processMessage 的 contextTokenBudget
+     * @param {{systemPrompt: string, message: string}} options systemPrompt 为不含检索内容的系统提示
+     */
+    contextBudget({ systemPrompt, message }) {
+        const available = this.budget - this.countMessage(systemPrompt) - this.countMessage(message);
+        return Math.max(Math.floor(available * this.contextShare), 0);
+    }
+
+    /**
+     * 组装发送给模型的消息
+     * @param {Object} options
+     * @param {string} options.systemPrompt 系统提示，RAG 时已包含检索内容
+     * @param {string|null} [options.summary] 较早对话的摘要
+     * @param {Array<{role: string, content: string}>} [options.history] 按时间顺序排列的对话记录，不含当前消息
+     * @param {string} options.message 当前消息
+     * @returns {{messages: BaseMessage[], usage: Object, dropped: number}}
+     *   usage 为预算和各部分的 token 数量，dropped 为未发送的较早对话条数
+     */
+    build({ systemPrompt, summary = null, history = [], message }) {
+        const budget = this.budget;
+        const usage = {
+            budget,
+            system: this.countMessage(systemPrompt),
+            summary: 0,
+            history: 0,
+            message: this.countMessage(message)
+        };
+        let remaining = budget - usage.system - usage.message;
+
+        let summaryText = null;
+        if (summary && remaining > 0) {
+            const limit = Math.floor(remaining * this.summaryShare) - this.countMessage(SUMMARY_HEADER);
+            if (limit > 0) {
+                summaryText = SUMMARY_HEADER + this.truncate(summary, limit);
+                usage.summary = this.countMessage(summaryText);
+                remaining -= usage.summary;
+            }
+        }
+
+        // 从最近的对话开始加入，遇到放不下的消息即停止，保证发送的对话是连续的
+        let start = history.length;
+        while (start > 0) {
+            const size = this.countMessage(history[start - 1].content);
+            if (size > remaining) {
+                break;
+            }
+            remaining -= size;
+            usage.history += size;
+            start--;
+        }
+        usage.total = usage.system + usage.summary + usage.history + usage.message;
+
+        return {
+            messages: [
+                new SystemMessage(systemPrompt),
+                ...(summaryText ? [new SystemMessage(summaryText)] : []),
+                ...history.slice(start).map(toChatMessage),
+                new HumanMessage(message)
+            ],
+            usage,
+            dropped: start
+        };
+    }
+}
+
+export default PromptBuilder;
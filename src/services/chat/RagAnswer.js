@@ -0,0 +1,61 @@
+import { buildRagPrompt, validateCitations } from '../rag/Citations.js';
+import { withMemories } from '../memory/UserMemoryService.js';
+
+/**
+ * 根据检索结果生成回答
+ * 按 token 预算组装要求 [n] 引用的提示词，调用模型后移除不对应任何检索结果的引用标记，
+ * 传入 checkGrounding 时再检查回答中的陈述是否有检索内容作为依据
+ * @param {Object} options
+ * @param {{chatCompletion: Function}} options.client 聊天模型，通常为 OpenAIClient
+ * @param {import('./PromptBuilder.js').PromptBuilder} options.promptBuilder
+ * @param {{context: string, metadata?: Object}} options.ragResult RAGService.processMessage 的返回值
+ * @param {string} options.message 用户消息
+ * @param {Array} [options.history] 尚未并入摘要的对话
+ * @param {string} [options.summary] 对话摘要
+ * @param {Array} [options.memories] 附加在系统提示之后的用户记忆
+ * @param {Function} [options.checkGrounding] (answer, references) => 依据检查结果
+ * @returns {Promise<{answer: string, references: Array, citations: Object, grounding: Object|null, usage: Object, dropped: number}>}
+ */
+export async function answerWithContext({
+    client,
+    promptBuilder,
+    ragResult,
+    message,
+    history = [],
+    summary = null,
+    memories = [],
+    checkGrounding = null
+}) {
+    const prompt = ragResult.context ? buildRagPrompt(ragResult.context, message) : message;
+    const { messages, usage, dropped } = promptBuilder.build({
+        systemPrompt: withMemories(prompt, memories),
+        summary,
+        history,
+        message
+    });
+
+    const response = await client.chatCompletion(messages);
+    const references = ragResult.metadata?.references || [];
+    const citations = validateCitations(response, references);
+    if (citations.invalid.length > 0) {
+        console.warn('回答中包含无效的引用编号:', citations.invalid.join(', '));
+    }
+    const grounding = checkGrounding ? await checkGrounding(citations.answer, references) : null;
+
+    return {
+        answer: citations.answer,
+        references: references.map(reference => ({
+            ...reference,
+            cited: citations.cited.includes(reference.id)
+        })),
+        citations: {
+            cited: citations.cited,
+            invalid: citations.invalid
+        },
+        grounding,
+        usage,
+        dropped
+    };
+}
+
+export default answerWithContext;
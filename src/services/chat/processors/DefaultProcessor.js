@@ -1,24 +1,27 @@
 import BaseProcessor from './BaseProcessor.js';
 import OpenAIClient from '../../../utils/OpenAIClient.js';
 import CONFIG from '../../../config/index.js';
-import { HumanMessage, SystemMessage, AIMessage } from '@langchain/core/messages';
+import { PromptBuilder } from '../PromptBuilder.js';
+import { ConversationSummarizer } from '../../conversation/ConversationSummarizer.js';
 
 class DefaultProcessor extends BaseProcessor {
     #openAIClient;
+    #promptBuilder;
 
     constructor() {
         super();
         this.#openAIClient = OpenAIClient.getInstance();
+        this.#promptBuilder = new PromptBuilder();
     }
 
     async process(message, context) {
-        const messages = [
-            new SystemMessage(CONFIG.systemPrompts.default),
-            ...context.conversation.messages.map(msg => 
-                msg.role === 'user' ? new HumanMessage(msg.content) : new AIMessage(msg.content)
-            ),
-            new HumanMessage(message)
-        ];
+        // 按 token 预算选取对话历史，已并入摘要的消息由摘要代替
+        const { messages, usage, dropped } = this.#promptBuilder.build({
+            systemPrompt: CONFIG.systemPrompts.default,
+            summary: context.conversation.summary,
+            history: ConversationSummarizer.pendingMessages(context.conversation),
+            message
+        });
 
         const result = await this.#openAIClient.chatClient.invoke(messages);
 
@@ -31,7 +34,8 @@ class DefaultProcessor extends BaseProcessor {
             context.conversation.messages,
             { 
                 mode: 'chat',
-                model: CONFIG.openai.modelName
+                model: CONFIG.openai.modelName,
+                prompt: { ...usage, droppedMessages: dropped }
             },
             context.conversation.id
         );
@@ -1,13 +1,18 @@
 import BaseProcessor from './BaseProcessor.js';
-import { HumanMessage, SystemMessage, AIMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../../utils/OpenAIClient.js';
 import { ErrorHandler, ErrorCodes } from '../../../utils/ErrorHandler.js';
+import { PromptBuilder } from '../PromptBuilder.js';
+import { ConversationSummarizer } from '../../conversation/ConversationSummarizer.js';
+import { answerWithoutHits } from '../../rag/NoHitPolicy.js';
+import { buildRagPrompt, validateCitations } from '../../rag/Citations.js';
 
 export class RagProcessor extends BaseProcessor {
     constructor(openAIClient, config) {
         super();
-        this.openAIClient = openAIClient;
+        this.openAIClient = openAIClient || OpenAIClient.getInstance();
         this.config = config;
         this.ragService = null;
+        this.promptBuilder = new PromptBuilder();
     }
 
     async init(ragService) {
@@ -20,50 +25,77 @@ export class RagProcessor extends BaseProcessor {
                 throw new Error('RAG 服务未初始化');
             }
 
-            // 执行相似度搜索
-            const searchResults = await this.ragService.processMessage(input);
+            // 已并入摘要的消息由摘要代替
+            const history = context.conversation ? ConversationSummarizer.pendingMessages(context.conversation) : [];
 
-            // 如果没有找到相关文档
-            if (!searchResults || searchResults.length === 0) {
+            // 按 token 预算选取对话历史
+            const buildMessages = systemPrompt => this.promptBuilder.build({
+                systemPrompt,
+                summary: context.conversation?.summary,
+                history,
+                message: input
+            });
+
+            // 执行相似度搜索，检索内容的 token 上限由提示词预算决定
+            let searchResults;
+            try {
+                searchResults = await this.ragService.processMessage(input, {
+                    ...context.rag?.scope,
+                    mode: context.rag?.mode,
+                    history,
+                    contextTokenBudget: this.promptBuilder.contextBudget({
+                        systemPrompt: buildRagPrompt('', input),
+                        message: input
+                    })
+                });
+            } catch (error) {
+                // 未命中时按配置的策略回答，其他错误继续抛出
+                if (error.code !== ErrorCodes.RAG_NO_HIT) {
+                    throw error;
+                }
+                const policy = error.metadata?.noHitPolicy || 'general';
+                const content = await answerWithoutHits({
+                    policy,
+                    knowledgeBases: error.metadata?.knowledgeBases || [],
+                    buildMessages: systemPrompt => buildMessages(systemPrompt).messages,
+                    complete: messages => this.openAIClient.chatCompletion(messages)
+                });
                 return {
-                    content: '抱歉，我没有找到相关的参考信息来回答你的问题。',
+                    content,
                     metadata: {
-                        searchResults: []
+                        searchResults: [],
+                        references: [],
+                        noHit: true,
+                        noHitPolicy: policy,
+                        noHitReason: error.message
                     }
                 };
             }
 
-            // 构建系统提示
-            const systemPrompt = `你是一个专业的 AI 助手。请根据以下参考信息来回答用户的问题。
-参考信息：
-${searchResults.map((doc, i) => `[${i + 1}] ${doc.pageContent}`).join('\n\n')}
-
-请注意：
-1. 使用参考信息来构建答案
-2. 如果参考信息不足以完整回答问题，请说明
-3. 保持专业、准确、简洁的回答风格`;
-
-            // 构建消息历史
-            const messages = [
-                new SystemMessage(systemPrompt),
-                new HumanMessage(input)
-            ];
+            // 与 chatbot 使用相同的提示词，要求模型用 [n] 标注引用
+            const { messages, usage, dropped } = buildMessages(buildRagPrompt(searchResults.context, input));
 
-            // 如果有对话历史，添加到消息中
-            if (context.conversation?.messages) {
-                const historyMessages = context.conversation.messages.map(msg => 
-                    msg.role === 'user' ? new HumanMessage(msg.content) : new AIMessage(msg.content)
-                );
-                messages.splice(1, 0, ...historyMessages);
-            }
-
-            // 获取 AI 回复
+            // 获取 AI 回复，并移除不对应任何检索结果的引用标记
             const response = await this.openAIClient.chatCompletion(messages);
+            const references = searchResults.metadata?.references || [];
+            const citations = validateCitations(response, references);
+            if (citations.invalid.length > 0) {
+                console.warn('回答中包含无效的引用编号:', citations.invalid.join(', '));
+            }
 
             return {
-                content: response,
+                content: citations.answer,
                 metadata: {
-                    searchResults: searchResults
+                    searchResults: searchResults.documents,
+                    references: references.map(reference => ({
+                        ...reference,
+                        cited: citations.cited.includes(reference.id)
+                    })),
+                    citations: {
+                        cited: citations.cited,
+                        invalid: citations.invalid
+                    },
+                    prompt: { ...usage, droppedMessages: dropped }
                 }
             };
 
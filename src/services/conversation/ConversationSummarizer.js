@@ -0,0 +1,123 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import CONFIG from '../../config/index.js';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+
+// 发送给摘要模型的单条消息最大长度，过长的回答只保留开头
+const MAX_MESSAGE_LENGTH = 2000;
+
+const SUMMARY_PROMPT = `你是一个对话摘要助手。把给出的对话整理为简洁的摘要，供后续对话参考：
+- 保留用户的目标、偏好、已确认的事实和结论，以及尚未解决的问题
+- 给出已有摘要时，把新的对话合并进去，删除已经过时的内容
+- 使用与对话相同的语言，只输出摘要内容，不要添加说明`;
+
+const ROLE_LABELS = { user: '用户', assistant: '助手', system: '系统' };
+
+/**
+ * 滚动对话摘要
+ * 会话中未摘要的消息超过 threshold 条时，把除最近 keepRecent 条以外的消息与已有摘要合并为新的摘要，
+ * 这些消息标记为 summarized，之后的提示词只发送摘要和未摘要的消息。
+ * 摘要保存在会话的 summary 字段；传入 db 时同时写入数据库的 Conversation.summary，
+ * 并追加一条 isSummary 消息记录每次摘要的内容
+ */
+export class ConversationSummarizer {
+    constructor({
+        db = null,
+        client = null,
+        threshold = CONFIG.conversation.summaryThreshold,
+        keepRecent = CONFIG.conversation.summaryKeepRecent
+    } = {}) {
+        this.db = db;
+        this.client = client;
+        this.threshold = threshold;
+        this.keepRecent = keepRecent;
+    }
+
+    // 尚未并入摘要的消息，即发送给模型的对话历史
+    static pendingMessages(conversation) {
+        return (conversation.messages || []).filter(message => !message.summarized);
+    }
+
+    shouldSummarize(conversation) {
+        return this.threshold > 0 && ConversationSummarizer.pendingMessages(conversation).length > this.threshold;
+    }
+
+    _buildPrompt(previousSummary, messages) {
+        const transcript = messages
+            .map(message => {
+                const content = String(message.content);
+                const text = content.length > MAX_MESSAGE_LENGTH ? `${content.slice(0, MAX_MESSAGE_LENGTH)}…` : content;
+                return `${ROLE_LABELS[message.role] || message.role}: ${text}`;
+            })
+            .join('\n');
+        return previousSummary
+            ? `已有摘要：\n${previousSummary}\n\n新的对话：\n${transcript}`
+            : `对话：\n${transcript}`;
+    }
+
+    async _persist(conversation, userId, summarizedCount) {
+        if (!this.db) {
+            return;
+        }
+        try {
+            await this.db.ensureConversation(conversation.id, userId);
+            await this.db.updateConversationSummary(conversation.id, conversation.summary);
+            await this.db.addMessage(conversation.id, {
+                role: 'system',
+                content: conversation.summary,
+                isSummary: true,
+                metadata: { summarizedCount }
+            });
+        } catch (error) {
+            // 数据库不可用时摘要仍保存在会话中
+            console.error('保存对话摘要到数据库失败:', error);
+        }
+    }
+
+    /**
+     * 摘要较早的消息
+     * @param {Object} conversation 会话，包含 id、messages 和可选的 summary，会被直接修改
+     * @param {{userId?: string}} options userId 用于在数据库中创建会话
+     * @returns {Promise<{summary: string, summarizedCount: number}|null>} 没有可摘要的消息时为 null
+     */
+    async summarize(conversation, { userId } = {}) {
+        const pending = ConversationSummarizer.pendingMessages(conversation);
+        const older = pending.slice(0, Math.max(pending.length - this.keepRecent, 0));
+        if (older.length === 0) {
+            return null;
+        }
+
+        // 首次使用时才获取客户端
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.chatCompletion([
+            new SystemMessage(SUMMARY_PROMPT),
+            new HumanMessage(this._buildPrompt(conversation.summary, older))
+        ]);
+        const summary = String(response ?? '').trim();
+        if (!summary) {
+            throw new Error('摘要模型返回了空内容');
+        }
+
+        for (const message of older) {
+            message.summarized = true;
+        }
+        conversation.summary = summary;
+        conversation.summaryUpdatedAt = new Date().toISOString();
+        await this._persist(conversation, userId, older.length);
+        return { summary, summarizedCount: older.length };
+    }
+
+    // 超过阈值时摘要，失败时只记录错误，不影响本轮对话
+    async maybeSummarize(conversation, options = {}) {
+        if (!this.shouldSummarize(conversation)) {
+            return null;
+        }
+        try {
+            return await this.summarize(conversation, options);
+        } catch (error) {
+            console.error('对话摘要失败:', error);
+            return null;
+        }
+    }
+}
+
+export default ConversationSummarizer;
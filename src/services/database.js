@@ -40,6 +40,21 @@ export class DatabaseService {
         return conversation.id;
     }
 
+    // 确保对话存在，使用调用方给出的 ID（如 UserStore 中的会话 ID）
+    async ensureConversation(conversationId, userId, userName = 'default') {
+        return await this.prisma.conversation.upsert({
+            where: {
+                id: conversationId
+            },
+            update: {},
+            create: {
+                id: conversationId,
+                userId,
+                metadata: JSON.stringify({ userName })
+            }
+        });
+    }
+
     // 添加消息到对话
     async addMessage(conversationId, { role, content, isSummary = false, metadata = null }) {
         return await this.prisma.message.create({
@@ -0,0 +1,44 @@
+import { Embeddings } from '@langchain/core/embeddings';
+
+/**
+ * 为 embedding 实现加上缓存，只为缓存中没有的文本调用接口
+ * 文档和问题使用相同的缓存键，适用于两者向量相同的模型（OpenAI 和本地向量都是如此）
+ */
+export class CachedEmbeddings extends Embeddings {
+    constructor(embeddings, cache) {
+        super({});
+        this.embeddings = embeddings;
+        this.cache = cache;
+    }
+
+    // 与被包装的实现使用相同的模型标识，已有索引仍可复用
+    get model() {
+        return this.embeddings.model || this.embeddings.modelName;
+    }
+
+    async embedDocuments(texts) {
+        const cached = await this.cache.getMany(this.model, texts);
+        // 同一批中重复的文本只请求一次
+        const missing = Array.from(new Set(texts.filter((_, index) => !cached[index])));
+        if (missing.length === 0) {
+            return cached;
+        }
+
+        const embedded = await this.embeddings.embedDocuments(missing);
+        await this.cache.setMany(this.model, missing, embedded);
+        const byText = new Map(missing.map((text, index) => [text, embedded[index]]));
+        return texts.map((text, index) => cached[index] || byText.get(text));
+    }
+
+    async embedQuery(text) {
+        const [cached] = await this.cache.getMany(this.model, [text]);
+        if (cached) {
+            return cached;
+        }
+        const embedding = await this.embeddings.embedQuery(text);
+        await this.cache.setMany(this.model, [text], [embedding]);
+        return embedding;
+    }
+}
+
+export default CachedEmbeddings;
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * 按文本内容和模型寻址的向量缓存
+ * 保存为 JSON Lines 文件，每行一个 { key, model, embedding, usedAt }，新向量追加写入；
+ * 命中时追加 { key, usedAt } 记录使用时间（同一向量每小时最多一条），整理时合并到向量所在的行。
+ * 同一文本重复出现时（多个知识库中的相同分块、重复的问题、重启后重建索引）直接返回缓存的向量。
+ * 缓存只作加速用，文件损坏的行会被忽略
+ */
+export class EmbeddingCache {
+    constructor(filePath = path.join(process.cwd(), 'embedding-cache.jsonl')) {
+        this.filePath = filePath;
+        this.entries = null;
+        this.hits = 0;
+        this.misses = 0;
+        this._loading = null;
+        this._pending = Promise.resolve();
+    }
+
+    static key(model, text) {
+        return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+    }
+
+    // 文件写入依次执行，避免追加和整理同时进行
+    _enqueue(task) {
+        const run = this._pending.then(task, task);
+        this._pending = run.catch(() => {});
+        return run;
+    }
+
+    async _load() {
+        if (this.entries) {
+            return;
+        }
+        this._loading ??= (async () => {
+            const entries = new Map();
+            let content = '';
+            try {
+                content = await fs.readFile(this.filePath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('读取 embedding 缓存失败:', error);
+                }
+            }
+            for (const line of content.split('\n')) {
+                if (!line) {
+                    continue;
+                }
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.embedding) {
+                        entries.set(entry.key, entry);
+                    } else if (entries.has(entry.key)) {
+                        // 使用时间记录
+                        const cached = entries.get(entry.key);
+                        cached.usedAt = Math.max(cached.usedAt, entry.usedAt);
+                    }
+                } catch {
+                    // 写入中断留下的不完整行
+                }
+            }
+            this.entries = entries;
+        })();
+        await this._loading;
+    }
+
+    /**
+     * 读取缓存的向量
+     * @returns {Promise<Array<number[]|undefined>>} 与 texts 一一对应，未命中为 undefined
+     */
+    async getMany(model, texts) {
+        await this._load();
+        const now = Date.now();
+        const touched = [];
+        const embeddings = texts.map(text => {
+            const entry = this.entries.get(EmbeddingCache.key(model, text));
+            if (!entry) {
+                this.misses++;
+                return undefined;
+            }
+            this.hits++;
+            // 使用时间精确到小时，避免每次命中都写文件
+            if (now - entry.usedAt >= HOUR) {
+                entry.usedAt = now;
+                touched.push(entry);
+            }
+            return entry.embedding;
+        });
+        if (touched.length > 0) {
+            await this._append(touched.map(({ key, usedAt }) => ({ key, usedAt })));
+        }
+        return embeddings;
+    }
+
+    async _append(records) {
+        await this._enqueue(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.appendFile(this.filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            } catch (error) {
+                console.error('写入 embedding 缓存失败:', error);
+            }
+        });
+    }
+
+    async setMany(model, texts, embeddings) {
+        await this._load();
+        const now = Date.now();
+        const added = [];
+        texts.forEach((text, index) => {
+            const key = EmbeddingCache.key(model, text);
+            if (!this.entries.has(key)) {
+                const entry = { key, model, embedding: embeddings[index], usedAt: now };
+                this.entries.set(key, entry);
+                added.push(entry);
+            }
+        });
+        if (added.length > 0) {
+            await this._append(added);
+        }
+    }
+
+    // 命中率统计，hits 和 misses 为本进程启动以来的次数
+    async getStats() {
+        await this._load();
+        const models = {};
+        for (const entry of this.entries.values()) {
+            models[entry.model] = (models[entry.model] || 0) + 1;
+        }
+        let size = 0;
+        try {
+            size = (await fs.stat(this.filePath)).size;
+        } catch {
+            // 尚未写入
+        }
+        const lookups = this.hits + this.misses;
+        return {
+            path: this.filePath,
+            entries: this.entries.size,
+            models,
+            size,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? this.hits / lookups : 0
+        };
+    }
+
+    /**
+     * 清理缓存并重写文件
+     * @param {{keepModels?: string[], maxAgeDays?: number}} options keepModels 之外的模型的向量全部删除；
+     *   最近一次使用（重启前的使用也计算在内）早于 maxAgeDays 天的向量删除，0 表示清空
+     * @returns {Promise<{removed: number, remaining: number}>}
+     */
+    async prune({ keepModels = null, maxAgeDays = null } = {}) {
+        await this._load();
+        const cutoff = maxAgeDays === null ? null : Date.now() - maxAgeDays * DAY;
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if ((keepModels && !keepModels.includes(entry.model)) || (cutoff !== null && entry.usedAt <= cutoff)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        await this._enqueue(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempFile = `${this.filePath}.tmp`;
+            const lines = Array.from(this.entries.values()).map(entry => JSON.stringify(entry) + '\n');
+            await fs.writeFile(tempFile, lines.join(''), 'utf8');
+            await fs.rename(tempFile, this.filePath);
+        });
+        return { removed, remaining: this.entries.size };
+    }
+}
+
+export default EmbeddingCache;
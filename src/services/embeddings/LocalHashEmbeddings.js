@@ -0,0 +1,85 @@
+import { Embeddings } from '@langchain/core/embeddings';
+
+// 中日韩文字没有空格分词，按单字和相邻两字生成特征
+const CJK_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯]/;
+const TOKEN_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯]+|[\p{L}\p{N}_]+/gu;
+
+// FNV-1a 32 位哈希，结果与平台无关，相同文本始终得到相同向量
+function hashFeature(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        hash ^= feature.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 本地哈希 n-gram 向量，不调用任何接口，用于离线建索引和测试
+ * 文本拆分为词、词内字符 n-gram（中日韩文字为单字和相邻两字），
+ * 特征哈希到固定维度后按 log(1 + 词频) 加权并归一化。
+ * 只反映字面重合程度，不理解语义，检索效果不如 embedding 模型
+ */
+export class LocalHashEmbeddings extends Embeddings {
+    constructor({ dimensions = 512, ngramSize = 3, ...params } = {}) {
+        super(params);
+        if (!Number.isInteger(dimensions) || dimensions <= 0) {
+            throw new Error('本地向量维度必须是正整数');
+        }
+        this.dimensions = dimensions;
+        this.ngramSize = ngramSize;
+        // 维度和 n-gram 长度不同的向量不能混用，一并写入模型标识
+        this.model = `local-hash-${dimensions}-${ngramSize}`;
+    }
+
+    _features(text) {
+        const features = [];
+        for (const [token] of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+            if (CJK_PATTERN.test(token[0])) {
+                const chars = Array.from(token);
+                chars.forEach((char, index) => {
+                    features.push(char);
+                    if (index + 1 < chars.length) {
+                        features.push(char + chars[index + 1]);
+                    }
+                });
+                continue;
+            }
+            features.push(`w:${token}`);
+            // 词内字符 n-gram 使拼写相近的词（如单复数）也有重合
+            const padded = `<${token}>`;
+            for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+                features.push(`g:${padded.slice(i, i + this.ngramSize)}`);
+            }
+        }
+        return features;
+    }
+
+    _embed(text) {
+        const counts = new Map();
+        for (const feature of this._features(text)) {
+            counts.set(feature, (counts.get(feature) || 0) + 1);
+        }
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [feature, count] of counts) {
+            const hash = hashFeature(feature);
+            // 最高位决定符号，减少哈希冲突带来的偏差
+            const sign = hash & 0x80000000 ? -1 : 1;
+            vector[hash % this.dimensions] += sign * Math.log1p(count);
+        }
+
+        const norm = Math.hypot(...vector);
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this._embed(text));
+    }
+
+    async embedQuery(text) {
+        return this._embed(text);
+    }
+}
+
+export default LocalHashEmbeddings;
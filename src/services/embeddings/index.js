@@ -0,0 +1,56 @@
+import { OpenAIEmbeddings } from '@langchain/openai';
+import { LocalHashEmbeddings } from './LocalHashEmbeddings.js';
+import { CachedEmbeddings } from './CachedEmbeddings.js';
+import { EmbeddingCache } from './EmbeddingCache.js';
+import CONFIG from '../../config/index.js';
+
+/**
+ * 可选的 embedding 提供方，均实现 LangChain 的 Embeddings 接口（embedDocuments、embedQuery），
+ * model 属性标识生成向量的模型，持久化的索引只在模型相同时复用。
+ * cache 为 true 的提供方默认使用向量缓存
+ */
+const PROVIDERS = {
+    // OpenAI 兼容接口，使用 config.openai 中的密钥、地址和模型
+    openai: {
+        create: (options) => new OpenAIEmbeddings({
+            openAIApiKey: CONFIG.openai.apiKey,
+            modelName: CONFIG.openai.embeddingsModel,
+            batchSize: CONFIG.openai.embeddingsBatchSize,
+            configuration: {
+                baseURL: CONFIG.openai.apiBase
+            },
+            ...options
+        }),
+        cache: true
+    },
+    // 本地哈希 n-gram 向量，不需要网络，计算比读取缓存更快
+    local: {
+        create: (options) => new LocalHashEmbeddings({
+            dimensions: CONFIG.embeddings.dimensions,
+            ...options
+        }),
+        cache: false
+    }
+};
+
+export const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS);
+
+// RAGService、VectorStoreService 和 OpenAIClient 共用的向量缓存
+export const embeddingCache = new EmbeddingCache(CONFIG.embeddings.cachePath);
+
+/**
+ * 创建 embedding 实例
+ * @param {string} [provider] 提供方名称，默认使用 config.embeddings.provider
+ * @param {Object} [options] 传给具体实现的参数，如 maxRetries、timeout；
+ *   cache 为 false 时不使用缓存，默认按 config.embeddings.cache 和提供方决定
+ */
+export function createEmbeddings(provider = CONFIG.embeddings.provider, { cache = CONFIG.embeddings.cache, ...options } = {}) {
+    const definition = PROVIDERS[provider];
+    if (!definition) {
+        throw new Error(`不支持的 embedding 提供方: ${provider}。支持: ${EMBEDDING_PROVIDERS.join(', ')}`);
+    }
+    const embeddings = definition.create(options);
+    return cache && definition.cache ? new CachedEmbeddings(embeddings, embeddingCache) : embeddings;
+}
+
+export { LocalHashEmbeddings, CachedEmbeddings, EmbeddingCache };
@@ -1,13 +1,16 @@
 import fs from 'fs/promises';
 import { join } from 'path';
+import CONFIG from '../config/index.js';
 import { DatabaseService } from './database.js';
-import { VectorStoreService } from './vector-store.js';
+import { embeddingCache } from './embeddings/index.js';
 import userStore from './user-store-singleton.js';
+import userMemory from './user-memory-singleton.js';
 
 export class InitService {
     constructor() {
         this.db = new DatabaseService();
-        this.vectorStore = new VectorStoreService();
+        // 与聊天共用记忆向量库，清理后重新加载，避免保留已删除的记忆
+        this.vectorStore = userMemory.vectorStore;
         this.userStore = userStore;
     }
 
@@ -20,6 +23,11 @@ export class InitService {
             await this.clearDirectory(join(process.cwd(), 'memory-data'));
             await this.clearDirectory(join(process.cwd(), 'data'));
             await this.clearDirectory(join(process.cwd(), 'user-data'));
+            // 知识库索引和 RAG 设置可能通过 RAG_INDEX_PATH、RAG_STATE_PATH 配置到其他位置
+            await this.clearDirectory(CONFIG.rag.indexPath || join(process.cwd(), 'kb-data'));
+            await fs.rm(CONFIG.rag.statePath || join(process.cwd(), 'rag-state.json'), { force: true });
+            // 清空 embedding 缓存文件，同时丢弃已加载到内存中的缓存
+            await embeddingCache.prune({ maxAgeDays: 0 });
             
             // 2. 删除用户ID文件
             console.log('🗑️  清理用户数据...');
@@ -77,7 +85,7 @@ export class InitService {
             // 删除所有文件
             await Promise.all(
                 files.map(file => 
-                    fs.unlink(join(dirPath, file))
+                    fs.rm(join(dirPath, file), { recursive: true, force: true })
                         .catch(error => console.warn(`警告: 无法删除文件 ${file}:`, error))
                 )
             );
@@ -0,0 +1,96 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+
+// 记忆类别
+export const MEMORY_TYPES = ['identity', 'preference', 'project', 'other'];
+
+// 发送给提取模型的回答最大长度，只用于理解用户消息的上下文
+const MAX_REPLY_LENGTH = 1000;
+
+const EXTRACTION_PROMPT = `你负责维护关于用户的长期记忆。根据最新一轮对话，找出以后的对话中仍然有用的、关于用户本人的稳定信息，如姓名、身份、偏好、习惯、正在进行的项目和目标：
+- 只记录用户明确表达的信息，不记录一次性的问题、闲聊或助手回答中的知识
+- 每条记忆是一句独立完整的陈述，如“用户叫小明”“用户偏好使用 Python”
+- 与已有记忆重复时不要添加；与已有记忆冲突或是其更新时，用 update 修改该记忆；用户表示已有记忆不再成立时，用 delete 删除
+- type 取 identity（身份）、preference（偏好）、project（项目和目标）或 other
+只输出 JSON 对象，格式为：
+{"operations": [{"action": "add", "content": "...", "type": "preference"}, {"action": "update", "id": "m1", "content": "...", "type": "project"}, {"action": "delete", "id": "m2"}]}
+没有需要记录的信息时输出 {"operations": []}`;
+
+// 已有记忆使用短编号发送给模型，避免模型改写 uuid
+function memoryLabel(index) {
+    return `m${index + 1}`;
+}
+
+// 组装提取请求，memories 为与本轮对话相关的已有记忆
+export function buildExtractionInput({ userMessage, assistantMessage = '', memories = [] }) {
+    const existing = memories.length > 0
+        ? memories.map((memory, index) => `${memoryLabel(index)}. ${memory.content}`).join('\n')
+        : '（无）';
+    const reply = String(assistantMessage);
+    const replyText = reply.length > MAX_REPLY_LENGTH ? `${reply.slice(0, MAX_REPLY_LENGTH)}…` : reply;
+    return `已有记忆：\n${existing}\n\n用户: ${userMessage}\n助手: ${replyText}`;
+}
+
+/**
+ * 解析模型返回的记忆操作，丢弃格式不正确或引用了未知编号的操作
+ * @param {string} response 模型的回复，可以包含代码块
+ * @param {Array<{id: string}>} memories 发送给模型的已有记忆，编号按顺序对应
+ * @returns {Array<{action: string, id?: string, content?: string, type?: string}>} id 为记忆的真实 id
+ */
+export function parseOperations(response, memories = []) {
+    const text = String(response ?? '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return [];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return [];
+    }
+
+    const ids = new Map(memories.map((memory, index) => [memoryLabel(index), memory.id]));
+    const operations = [];
+    for (const item of Array.isArray(parsed.operations) ? parsed.operations : []) {
+        const content = typeof item?.content === 'string' ? item.content.trim() : '';
+        const type = MEMORY_TYPES.includes(item?.type) ? item.type : 'other';
+        const id = ids.get(String(item?.id ?? '').trim());
+
+        if (item?.action === 'add' && content) {
+            operations.push({ action: 'add', content, type });
+        } else if (item?.action === 'update' && id && content) {
+            operations.push({ action: 'update', id, content, type });
+        } else if (item?.action === 'delete' && id) {
+            operations.push({ action: 'delete', id });
+        }
+    }
+    return operations;
+}
+
+/**
+ * 用模型从一轮对话中提取记忆操作
+ */
+export class MemoryExtractor {
+    constructor({ client = null } = {}) {
+        this.client = client;
+    }
+
+    /**
+     * @param {{userMessage: string, assistantMessage?: string, memories?: Array<{id: string, content: string}>}} turn
+     * @returns {Promise<Array<Object>>} 记忆操作，见 parseOperations
+     */
+    async extract(turn) {
+        // 首次使用时才获取客户端
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.chatCompletion([
+            new SystemMessage(EXTRACTION_PROMPT),
+            new HumanMessage(buildExtractionInput(turn))
+        ]);
+        return parseOperations(response, turn.memories);
+    }
+}
+
+export default MemoryExtractor;
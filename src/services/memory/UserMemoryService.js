@@ -0,0 +1,246 @@
+import CONFIG from '../../config/index.js';
+import { BM25Index } from '../rag/BM25Index.js';
+import { reciprocalRankFusion } from '../rag/RankFusion.js';
+import { MemoryExtractor } from './MemoryExtractor.js';
+
+// 注入系统提示的记忆开头
+const MEMORY_HEADER = '以下是关于用户的已知信息，回答时可以参考，不需要主动复述：';
+
+// 记忆拼接到系统提示之后，没有记忆时返回原提示
+export function withMemories(systemPrompt, memories = []) {
+    if (!memories || memories.length === 0) {
+        return systemPrompt;
+    }
+    const lines = memories.map(memory => `- ${memory.content}`).join('\n');
+    return `${systemPrompt}\n\n${MEMORY_HEADER}\n${lines}`;
+}
+
+// 忽略空白和大小写差异的内容比较，用于去重
+function normalize(content) {
+    return String(content).replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 用户长期记忆
+ * 记忆保存在 UserStore 中，向量库只作为语义检索的索引，记录 memoryId 指向 UserStore 中的记忆；
+ * 召回时融合向量检索和 BM25 关键词检索的排名，向量库中已删除或内容已修改的记忆会被忽略
+ */
+export class UserMemoryService {
+    constructor({
+        userStore,
+        vectorStore = null,
+        extractor = null,
+        recallLimit = CONFIG.memory.recallLimit,
+        extractionCandidates = CONFIG.memory.extractionCandidates
+    }) {
+        this.userStore = userStore;
+        this.vectorStore = vectorStore;
+        this.extractor = extractor || new MemoryExtractor();
+        this.recallLimit = recallLimit;
+        this.extractionCandidates = extractionCandidates;
+    }
+
+    // 向量检索的排名，向量库不可用时为空
+    async _vectorRanking(userId, query, memories, limit) {
+        if (!this.vectorStore) {
+            return [];
+        }
+        try {
+            const results = await this.vectorStore.searchMemories(userId, query, limit);
+            const ranking = [];
+            for (const result of results) {
+                const index = memories.findIndex(memory => memory.id === result.metadata?.memoryId);
+                if (index !== -1 && memories[index].content === result.content && !ranking.some(item => item.index === index)) {
+                    ranking.push({ index });
+                }
+            }
+            return ranking;
+        } catch (error) {
+            console.error('记忆向量检索失败:', error);
+            return [];
+        }
+    }
+
+    async _indexMemory(userId, memory) {
+        if (!this.vectorStore) {
+            return;
+        }
+        try {
+            await this.vectorStore.addMemory(memory.content, {
+                userId,
+                memoryId: memory.id,
+                conversationId: memory.conversationId,
+                type: memory.type,
+                timestamp: memory.updatedAt || memory.timestamp
+            });
+        } catch (error) {
+            // 记忆仍保存在 UserStore 中，可以通过关键词召回
+            console.error('记忆写入向量库失败:', error);
+        }
+    }
+
+    /**
+     * 召回与 query 相关的记忆
+     * @param {string} userId
+     * @param {string} query
+     * @param {number} limit
+     * @returns {Promise<Array<Object>>} 记忆按相关度排序，附带融合后的 score
+     */
+    async recall(userId, query, limit = this.recallLimit) {
+        const memories = this.userStore.getMemories(userId);
+        if (memories.length === 0 || limit <= 0) {
+            return [];
+        }
+
+        const candidates = limit * 2;
+        const keyword = new BM25Index(memories.map(memory => memory.content)).search(query, candidates);
+        const vector = await this._vectorRanking(userId, query, memories, candidates);
+
+        return reciprocalRankFusion([vector, keyword])
+            .slice(0, limit)
+            .map(({ index, score }) => ({ ...memories[index], score }));
+    }
+
+    /**
+     * 从一轮对话中提取记忆并写入 UserStore 和向量库
+     * @param {string} userId
+     * @param {{userMessage: string, assistantMessage?: string, conversationId?: string}} turn
+     * @returns {Promise<{added: Object[], updated: Object[], removed: Object[]}>}
+     */
+    async extract(userId, { userMessage, assistantMessage = '', conversationId = null }) {
+        const memories = this.userStore.getMemories(userId);
+        // 记忆较少时全部发送给模型，否则只发送与本轮对话相关的记忆
+        const existing = memories.length <= this.extractionCandidates
+            ? [...memories]
+            : await this.recall(userId, userMessage, this.extractionCandidates);
+
+        const operations = await this.extractor.extract({ userMessage, assistantMessage, memories: existing });
+        const result = { added: [], updated: [], removed: [] };
+
+        for (const operation of operations) {
+            if (operation.action === 'add') {
+                const key = normalize(operation.content);
+                if (memories.some(memory => normalize(memory.content) === key)) {
+                    continue;
+                }
+                const memory = await this.userStore.addMemory(userId, operation.content, {
+                    type: operation.type,
+                    source: 'extracted',
+                    conversationId
+                });
+                await this._indexMemory(userId, memory);
+                result.added.push(memory);
+            } else if (operation.action === 'update') {
+                const memory = await this.userStore.updateMemory(userId, operation.id, operation.content, {
+                    type: operation.type
+                });
+                if (memory) {
+                    await this._unindexMemories(metadata => metadata.memoryId === memory.id);
+                    await this._indexMemory(userId, memory);
+                    result.updated.push(memory);
+                }
+            } else if (operation.action === 'delete') {
+                const memory = await this.userStore.removeMemory(userId, operation.id);
+                if (memory) {
+                    await this._unindexMemories(metadata => metadata.memoryId === memory.id);
+                    result.removed.push(memory);
+                }
+            }
+        }
+        return result;
+    }
+
+    // 从向量库删除记忆，向量库不可用时召回仍会忽略这些记忆
+    async _unindexMemories(predicate) {
+        if (!this.vectorStore) {
+            return;
+        }
+        try {
+            await this.vectorStore.deleteMemories(predicate);
+        } catch (error) {
+            console.error('从向量库删除记忆失败:', error);
+        }
+    }
+
+    // 按 id 或 id 的开头查找记忆，匹配多条时视为未找到
+    findMemory(userId, idOrPrefix) {
+        const key = String(idOrPrefix ?? '').trim();
+        if (!key) {
+            return null;
+        }
+        const memories = this.userStore.getMemories(userId);
+        const exact = memories.find(memory => memory.id === key);
+        if (exact) {
+            return exact;
+        }
+        const matches = memories.filter(memory => memory.id.startsWith(key));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    // 用户的全部记忆，按创建时间排序
+    list(userId) {
+        return [...this.userStore.getMemories(userId)];
+    }
+
+    // 手动添加记忆
+    async add(userId, content, { type = 'other' } = {}) {
+        const text = String(content ?? '').trim();
+        if (!text) {
+            return { success: false, message: '记忆内容不能为空' };
+        }
+        const key = normalize(text);
+        if (this.userStore.getMemories(userId).some(memory => normalize(memory.content) === key)) {
+            return { success: false, message: '已有相同的记忆' };
+        }
+
+        const memory = await this.userStore.addMemory(userId, text, { type, source: 'manual' });
+        await this._indexMemory(userId, memory);
+        return { success: true, message: `已添加记忆 ${memory.id.slice(0, 8)}`, memory };
+    }
+
+    // 删除一条记忆，memoryId 可以是 id 的开头
+    async forget(userId, memoryId) {
+        const memory = this.findMemory(userId, memoryId);
+        if (!memory) {
+            return { success: false, message: `记忆 ${memoryId} 不存在或匹配多条记忆` };
+        }
+
+        await this.userStore.removeMemory(userId, memory.id);
+        await this._unindexMemories(metadata => metadata.memoryId === memory.id);
+        return { success: true, message: `已删除记忆: ${memory.content}`, memory };
+    }
+
+    // 删除用户的全部记忆，包括向量库中的记录
+    async wipe(userId) {
+        const memories = this.userStore.getMemories(userId);
+        const count = memories.length;
+        memories.splice(0, count);
+        await this.userStore.saveUsers();
+        await this._unindexMemories(metadata => metadata.userId === userId);
+        return { success: true, message: `已删除 ${count} 条记忆`, count };
+    }
+
+    // 导出用户的全部记忆
+    export(userId) {
+        return {
+            userId,
+            exportedAt: new Date().toISOString(),
+            memories: this.list(userId)
+        };
+    }
+
+    // 提取失败时只记录错误，不影响本轮对话
+    async maybeExtract(userId, turn) {
+        if (!CONFIG.memory.enabled) {
+            return null;
+        }
+        try {
+            return await this.extract(userId, turn);
+        } catch (error) {
+            console.error('提取用户记忆失败:', error);
+            return null;
+        }
+    }
+}
+
+export default UserMemoryService;
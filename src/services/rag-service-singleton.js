@@ -1,11 +1,28 @@
 import { RAGService } from './rag-service.js';
+import CONFIG from '../config/index.js';
 
 // 创建单例
 const ragService = new RAGService({
     chunkSize: 1000,
     chunkOverlap: 200,
+    chunker: CONFIG.rag.chunker,
     maxRetrievedDocs: 2,
     minRelevanceScore: 0.7,
+    retrievalMode: CONFIG.rag.retrievalMode,
+    rerank: CONFIG.rag.rerank,
+    rerankCandidates: CONFIG.rag.rerankCandidates,
+    condenseQuestion: CONFIG.rag.condenseQuestion,
+    multiQuery: CONFIG.rag.multiQuery,
+    noHitPolicy: CONFIG.rag.noHitPolicy,
+    grounding: CONFIG.rag.grounding,
+    groundingThreshold: CONFIG.rag.groundingThreshold,
+    contextExpansion: CONFIG.rag.contextExpansion,
+    contextNeighbors: CONFIG.rag.contextNeighbors,
+    contextTokenBudget: CONFIG.rag.contextTokenBudget,
+    storeParents: CONFIG.rag.storeParents,
+    maxVersions: CONFIG.rag.maxVersions,
+    statePath: CONFIG.rag.statePath,
+    indexPath: CONFIG.rag.indexPath,
     debug: true
 });
 
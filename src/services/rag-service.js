@@ -1,13 +1,33 @@
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
 import { MemoryVectorStore } from "langchain/vectorstores/memory";
-import { OpenAIEmbeddings } from "@langchain/openai";
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import eventManager from './event-manager.js';
+import { KnowledgeBaseStore } from './rag/KnowledgeBaseStore.js';
+import documentLoaders from './rag/loaders/index.js';
+import { resolveSourceFiles, isGlobPattern, getGlobBase, statSource } from './rag/SourceFiles.js';
+import { BM25Index, saturateScore } from './rag/BM25Index.js';
+import { reciprocalRankFusion } from './rag/RankFusion.js';
+import { weightScores, WEIGHTING_METHODS, DEFAULT_RANKING } from './rag/ScoreWeighting.js';
+import { createReranker, rerankDocuments, RERANK_METHODS } from './rag/Reranker.js';
+import { compileFilter } from './rag/MetadataFilter.js';
+import { getSourceLocation, formatSource } from './rag/Citations.js';
+import { QueryRewriter } from './rag/QueryRewriter.js';
+import { validateNoHitPolicy } from './rag/NoHitPolicy.js';
+import { RagSettingsStore, normalizeScope } from './rag/RagSettingsStore.js';
+import { parseSelector, resolveSelector, formatSelector } from './rag/KnowledgeBaseSelector.js';
+import { ChatError, ErrorCodes } from '../utils/ErrorHandler.js';
+import { resolveChunker, isSameChunker, splitDocuments } from './rag/chunkers/index.js';
+import { createEmbeddings } from './embeddings/index.js';
+import { GroundingChecker } from './rag/Grounding.js';
+import { EXPANSION_MODES, expandHits, packGroups, joinChunks } from './rag/ContextExpansion.js';
+import { countTokens } from '../utils/TokenCounter.js';
 
 dotenv.config();
 
+// 支持的检索方式
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
 export class RAGService {
     constructor(config = {}) {
         // RAG 配置选项
@@ -15,14 +35,54 @@ export class RAGService {
             // 文档分割配置
             chunkSize: config.chunkSize || 1000,
             chunkOverlap: config.chunkOverlap || 200,
+            // 新建知识库的默认分块方式：'recursive' | 'markdown' | 'sentence' | 'token' | 'semantic'，
+            // 也可以是 { name, params }；每个知识库保存自己的分块方式
+            chunker: config.chunker || 'recursive',
             
             // 检索配置
             maxRetrievedDocs: config.maxRetrievedDocs || 5,
             minRelevanceScore: config.minRelevanceScore || 0.9,
+            // 检索方式：'vector' | 'keyword' | 'hybrid'
+            retrievalMode: config.retrievalMode || 'vector',
+            // 混合检索时倒数排名融合的平滑常数
+            rrfK: config.rrfK || 60,
+            // 关键词检索的 BM25 分数按 score / (score + k) 映射到 [0, 1)
+            keywordScoreK: config.keywordScoreK || 5,
             
-            // 结果处理配置
+            // 结果处理配置：多知识库检索时按知识库归一化分数并加权
             useScoreWeighting: config.useScoreWeighting ?? true,
             weightingMethod: config.weightingMethod || 'linear', // 'linear' | 'exponential'
+            // exponential 加权的指数系数，越大越偏向各知识库中的高分结果
+            exponentialFactor: config.exponentialFactor || 3,
+            
+            // 重排序配置：'llm' | 'local' | null（不重排序），可按知识库单独设置
+            rerank: config.rerank || null,
+            // 重排序前每个知识库召回的候选数量
+            rerankCandidates: config.rerankCandidates || 20,
+            
+            // 问题改写配置：结合对话历史把追问改写为独立问题
+            condenseQuestion: config.condenseQuestion ?? true,
+            // 多查询检索时额外生成的等价问法数量，0 表示不启用
+            multiQuery: config.multiQuery || 0,
+            
+            // 知识库未命中时的处理策略：'general' | 'dont_know' | 'clarify'，由调用方执行
+            noHitPolicy: config.noHitPolicy || 'general',
+            
+            // 回答的依据检查：'lexical' | 'llm' | null（不检查）
+            grounding: config.grounding === undefined ? 'lexical' : config.grounding,
+            // 陈述的词元在检索内容中出现的比例达到该值时视为有依据
+            groundingThreshold: config.groundingThreshold || 0.5,
+            
+            // 上下文扩展：'none' | 'neighbors' | 'parent'，把命中的小分块扩展为前后相邻的分块或所在章节
+            contextExpansion: config.contextExpansion || 'none',
+            // neighbors 方式前后各加入的分块数量
+            contextNeighbors: config.contextNeighbors ?? 1,
+            // 注入提示词的检索内容 token 上限，0 或 null 表示不限制
+            contextTokenBudget: config.contextTokenBudget ?? 4000,
+            // 超过该 token 数量的章节不整体注入，改用相邻分块
+            parentMaxTokens: config.parentMaxTokens || 1500,
+            // 建索引时保存分块所在的章节（加载器给出的文档，如 Markdown 章节、PDF 页）
+            storeParents: config.storeParents ?? true,
             
             // API 重试配置
             maxRetries: config.maxRetries || 3,
@@ -32,12 +92,31 @@ export class RAGService {
             debug: config.debug || false
         };
         
+        if (!WEIGHTING_METHODS.includes(this.config.weightingMethod)) {
+            throw new Error(`不支持的加权方式: ${this.config.weightingMethod}。支持: ${WEIGHTING_METHODS.join(', ')}`);
+        }
+        validateNoHitPolicy(this.config.noHitPolicy);
+        this._resolveExpansionMode();
+        this._resolveChunker();
+        if (this.config.rerank && !RERANK_METHODS.includes(this.config.rerank)) {
+            throw new Error(`不支持的重排序方式: ${this.config.rerank}。支持: ${RERANK_METHODS.join(', ')}`);
+        }
+        // 回答生成后的依据检查
+        this.groundingChecker = this.config.grounding
+            ? new GroundingChecker({ method: this.config.grounding, threshold: this.config.groundingThreshold })
+            : null;
+        
         // 设置知识库目录路径
         this.knowledgeBasePath = config.knowledgeBasePath || path.join(process.cwd(), 'docs');
         
-        // 初始化 OpenAI embeddings，添加重试逻辑
-        this.embeddings = new OpenAIEmbeddings({
-            openAIApiKey: process.env.OPENAI_API_KEY,
+        // 知识库索引持久化目录
+        this.indexStore = new KnowledgeBaseStore(
+            config.indexPath || path.join(process.cwd(), 'kb-data'),
+            { maxVersions: config.maxVersions ?? 10 }
+        );
+        
+        // 初始化 embeddings，添加重试逻辑；config.embeddingProvider 未指定时使用 config.embeddings.provider
+        this.embeddings = createEmbeddings(config.embeddingProvider, {
             maxRetries: this.config.maxRetries,
             timeout: 60000
         });
@@ -50,57 +129,403 @@ export class RAGService {
         this._systemKnowledgeBasesLoaded = false;
         // 系统知识库是否正在加载标志
         this._loadingSystemKnowledgeBases = false;
-        // 当前激活的知识库名称
-        this.currentKnowledgeBase = null;
-        // RAG 服务启用状态
-        this._enabled = true;
-        // RAG 服务模式
-        this._mode = 'single';
+        // 启用状态、模式和当前知识库，按会话和用户分别保存；
+        // enabled、mode、currentKnowledgeBase 属性对应全局默认设置
+        this.settings = new RagSettingsStore(
+            config.statePath || path.join(process.cwd(), 'rag-state.json')
+        );
+        // 重排序器实例，按方式缓存
+        this._rerankers = new Map();
+        // 检索前的问题改写
+        this.queryRewriter = new QueryRewriter();
 
-        // 初始化状态持久化
-        this._loadState();
+        // 加载持久化状态和知识库索引，公共方法执行前都会等待其完成
+        this._ready = this._initialize();
+    }
+
+    // 启动时恢复状态和磁盘上的知识库索引
+    async _initialize() {
+        try {
+            await this._loadState();
+            await this._restoreKnowledgeBases();
+            
+            // 当前知识库已不存在时重置，避免指向内存中没有的知识库
+            if (this.currentKnowledgeBase) {
+                const current = this._getKnowledgeBase(this.currentKnowledgeBase);
+                if (current) {
+                    current.active = true;
+                } else {
+                    console.log(`知识库 "${this.currentKnowledgeBase}" 已不存在，重置当前知识库`);
+                    // 初始化尚未完成，不能排在 _ready 之后
+                    await this.settings.update(null, { currentKnowledgeBase: null });
+                }
+            }
+        } catch (error) {
+            console.error('初始化 RAG 服务失败:', error);
+        }
     }
 
     // 状态持久化方法
     async _saveState() {
         try {
-            const state = {
-                enabled: this._enabled,
-                mode: this._mode,
-                currentKnowledgeBase: this.currentKnowledgeBase
-            };
-            await fs.writeFile(
-                path.join(process.cwd(), 'rag-state.json'),
-                JSON.stringify(state, null, 2)
-            );
+            await this.settings.save();
         } catch (error) {
             console.error('保存 RAG 状态失败:', error);
         }
     }
 
+    /**
+     * 修改全局默认设置，供同步的 setter 使用：立即修改内存中的值，写入排在初始化之后，
+     * 之后的公共方法会等待写入完成；写入时重新读取文件，不会被启动时加载的旧状态覆盖
+     * @returns {Promise<void>}
+     */
+    _updateDefaults(patch) {
+        Object.assign(this.settings.defaults, patch);
+        this._ready = this._ready.then(async () => {
+            try {
+                await this.settings.update(null, patch);
+            } catch (error) {
+                console.error('保存 RAG 状态失败:', error);
+            }
+        });
+        return this._ready;
+    }
+
     async _loadState() {
+        // 如果文件不存在，使用默认值
+        if (!await this.settings.load()) {
+            console.log('使用默认 RAG 状态');
+            return;
+        }
+        
+        // 发出状态加载事件，内容为全局默认设置
+        eventManager.emit('rag:stateLoaded', { ...this.settings.defaults });
+    }
+
+    // 当前 embedding 模型标识，用于判断持久化索引是否可复用
+    _getEmbeddingModel() {
+        return this.embeddings.model || this.embeddings.modelName || 'unknown';
+    }
+
+    // 解析分块器配置，未指定时使用默认分块方式
+    _resolveChunker(chunker = null) {
+        return resolveChunker(chunker || this.config.chunker, {
+            chunkSize: this.config.chunkSize,
+            chunkOverlap: this.config.chunkOverlap
+        });
+    }
+
+    // 索引记录使用的分块器；早期记录只保存了 chunkSize 和 chunkOverlap
+    _getRecordChunker(record) {
+        if (record?.chunker) {
+            return record.chunker;
+        }
+        return this._resolveChunker({
+            name: 'recursive',
+            params: { chunkSize: record?.chunkSize, chunkOverlap: record?.chunkOverlap }
+        });
+    }
+
+    // 持久化索引的模型和分块器与本次构建一致时，其中未变化文件的分块才可复用
+    _isIndexCompatible(record, chunker) {
+        return !!record &&
+            record.embeddingModel === this._getEmbeddingModel() &&
+            isSameChunker(this._getRecordChunker(record), chunker);
+    }
+
+    // 从持久化记录创建知识库，不调用 embedding 接口
+    _createKnowledgeBaseFromRecord(record) {
+        const vectorStore = new MemoryVectorStore(this.embeddings);
+        vectorStore.memoryVectors = record.vectors;
+        return {
+            store: vectorStore,
+            path: record.path,
+            sources: record.sources || {},
+            // 各来源文件的章节内容，分块的 metadata.parentIndex 为章节下标
+            parents: record.parents || {},
+            chunker: this._getRecordChunker(record),
+            ranking: { ...DEFAULT_RANKING, ...record.ranking },
+            rerank: record.rerank,
+            tags: record.tags || [],
+            version: record.version || null,
+            // 回滚后固定在该版本，启动时不自动同步来源文件
+            pinned: !!record.pinned,
+            active: false
+        };
+    }
+
+    // 内存中的知识库转为与磁盘记录相同的结构，用于增量同步
+    _toIndexRecord(kb) {
+        return {
+            path: kb.path,
+            sources: kb.sources || {},
+            ranking: kb.ranking,
+            rerank: kb.rerank,
+            tags: kb.tags,
+            version: kb.version,
+            pinned: kb.pinned || undefined,
+            embeddingModel: this._getEmbeddingModel(),
+            chunker: kb.chunker,
+            parents: kb.parents || {},
+            vectors: kb.store.memoryVectors
+        };
+    }
+
+    // 将知识库的分块、向量和元数据写入磁盘；newVersion 为 true 时同时保存为新版本
+    async _persistKnowledgeBase(name, type, kb, { newVersion = false } = {}) {
         try {
-            const statePath = path.join(process.cwd(), 'rag-state.json');
-            const data = await fs.readFile(statePath, 'utf8');
-            const state = JSON.parse(data);
-            this._enabled = state.enabled;
-            this._mode = state.mode;
-            this.currentKnowledgeBase = state.currentKnowledgeBase;
-            
-            // 发出状态加载事件
-            eventManager.emit('rag:stateLoaded', {
-                enabled: this._enabled,
-                mode: this._mode,
-                currentKnowledgeBase: this.currentKnowledgeBase
+            if (newVersion) {
+                kb.version = await this.indexStore.saveVersion(name, {
+                    type,
+                    ...this._toIndexRecord(kb)
+                });
+            }
+            await this.indexStore.save(name, {
+                type,
+                ...this._toIndexRecord(kb)
             });
         } catch (error) {
-            // 如果文件不存在，使用默认值
-            console.log('使用默认 RAG 状态');
+            console.error(`保存知识库索引 "${name}" 失败:`, error);
+        }
+    }
+
+    // 分块，并把章节内的相对行号换算为文件中的行号
+    async _splitDocuments(sourceDocs, chunker) {
+        const docs = await splitDocuments(sourceDocs, chunker, { embeddings: this.embeddings });
+        return docs.map(doc => {
+            const { lineStart, lineEnd, ...metadata } = doc.metadata;
+            const lines = metadata.loc?.lines;
+            if (lineStart && lineEnd) {
+                metadata.loc = { ...metadata.loc, lines: { from: lineStart, to: lineEnd } };
+            } else if (lineStart && lines) {
+                metadata.loc = {
+                    ...metadata.loc,
+                    lines: {
+                        from: lines.from + lineStart - 1,
+                        to: lines.to + lineStart - 1
+                    }
+                };
+            } else if (!metadata.page) {
+                // 既无行号也无页码（如 JSON 字段），分块器给出的行号没有意义
+                delete metadata.loc;
+            }
+            doc.metadata = metadata;
+            return doc;
+        });
+    }
+
+    /**
+     * 加载单个文件并分块
+     * 保存章节时逐个章节分块，分块记录所在章节的下标
+     * @returns {Promise<{docs: Document[], parents: string[]|null}>}
+     */
+    async _loadFileChunks(filePath, chunker) {
+        const sourceDocs = await documentLoaders.load(filePath);
+        if (!this.config.storeParents) {
+            return { docs: await this._splitDocuments(sourceDocs, chunker), parents: null };
+        }
+        
+        const docs = [];
+        for (const [parentIndex, sourceDoc] of sourceDocs.entries()) {
+            const chunks = await this._splitDocuments([sourceDoc], chunker);
+            for (const chunk of chunks) {
+                chunk.metadata.parentIndex = parentIndex;
+            }
+            docs.push(...chunks);
+        }
+        return { docs, parents: sourceDocs.map(doc => doc.pageContent) };
+    }
+
+    /**
+     * 构建或增量更新知识库
+     * 来源可以是单个文件、目录或 glob 模式；通过修改时间、大小和内容哈希判断文件变化，
+     * 只为新增和修改的文件重新分块并生成向量，未变化文件直接复用 previous 中的向量
+     * @param {string} name 知识库名称
+     * @param {string} sourcePath 知识库来源
+     * @param {string} type 'user' | 'system'
+     * @param {Object|null} previous 已有的索引记录（磁盘记录或 _toIndexRecord 的结果）
+     * @param {string|Object|null} chunker 分块方式，未指定时沿用 previous 中保存的分块方式
+     * @returns {Promise<{kb: Object, changes: Object}>}
+     */
+    async _buildKnowledgeBase(name, sourcePath, type, previous = null, chunker = null) {
+        const files = await resolveSourceFiles(sourcePath);
+        if (files.length === 0) {
+            throw new Error(`"${sourcePath}" 中没有可索引的文件`);
+        }
+        
+        const chunkerConfig = chunker || !previous
+            ? this._resolveChunker(chunker)
+            : this._getRecordChunker(previous);
+        const compatible = this._isIndexCompatible(previous, chunkerConfig);
+        // 旧版本的索引中目录来源记录的是相对路径，统一为绝对路径后再与本次的文件列表比较
+        const previousSources = Object.fromEntries(
+            Object.entries(compatible ? previous.sources || {} : {}).map(([file, source]) => [path.resolve(file), source])
+        );
+        const previousParents = Object.fromEntries(
+            Object.entries(previous?.parents || {}).map(([file, fileParents]) => [path.resolve(file), fileParents])
+        );
+        
+        // 按来源文件分组已有向量
+        const previousVectors = new Map();
+        for (const vector of compatible ? previous.vectors : []) {
+            const source = vector.metadata?.source && path.resolve(vector.metadata.source);
+            if (!previousVectors.has(source)) {
+                previousVectors.set(source, []);
+            }
+            previousVectors.get(source).push({ ...vector, metadata: { ...vector.metadata, source } });
+        }
+        
+        const sources = {};
+        const parents = {};
+        const changes = { added: [], changed: [], removed: [], unchanged: [], failed: [] };
+        const entries = [];
+        let touched = false;
+        
+        for (const file of files) {
+            const stat = await fs.stat(file);
+            const old = previousSources[file];
+            
+            // 修改时间和大小都未变化时不读取文件内容
+            const hash = old && old.mtimeMs === stat.mtimeMs && old.size === stat.size
+                ? old.hash
+                : KnowledgeBaseStore.hashContent(await fs.readFile(file));
+            
+            if (old && old.hash === hash) {
+                sources[file] = { hash, mtimeMs: stat.mtimeMs, size: stat.size };
+                touched = touched || old.mtimeMs !== stat.mtimeMs;
+                changes.unchanged.push(file);
+                if (previousParents[file]) {
+                    parents[file] = previousParents[file];
+                }
+                entries.push({ vectors: previousVectors.get(file) || [] });
+                continue;
+            }
+            
+            try {
+                console.log(`Starting document loading from: ${file}`);
+                const { docs, parents: fileParents } = await this._loadFileChunks(file, chunkerConfig);
+                console.log(`Documents split into ${docs.length} chunks`);
+                sources[file] = { hash, mtimeMs: stat.mtimeMs, size: stat.size };
+                if (fileParents) {
+                    parents[file] = fileParents;
+                }
+                changes[old ? 'changed' : 'added'].push(file);
+                entries.push({ docs });
+            } catch (error) {
+                // 单个文件时直接报错；目录中的文件加载失败则跳过，下次同步时重试
+                if (files.length === 1) {
+                    throw error;
+                }
+                console.error(`加载文件 "${file}" 失败:`, error.message);
+                changes.failed.push(file);
+            }
+        }
+        changes.removed = Object.keys(previousSources).filter(file => !sources[file]);
+        
+        // 只为新增和修改的分块生成向量，并保持分块按文件顺序排列
+        const pendingDocs = entries.flatMap(entry => entry.docs || []);
+        let embeddings = [];
+        if (pendingDocs.length > 0) {
+            console.log('Creating vector store...');
+            embeddings = await this.embeddings.embedDocuments(
+                pendingDocs.map(doc => doc.pageContent)
+            );
+            console.log('Vector store created successfully');
+        }
+        
+        let offset = 0;
+        const vectorStore = new MemoryVectorStore(this.embeddings);
+        vectorStore.memoryVectors = entries.flatMap(entry => entry.vectors || entry.docs.map(doc => ({
+            content: doc.pageContent,
+            embedding: embeddings[offset++],
+            metadata: doc.metadata
+        })));
+        
+        if (vectorStore.memoryVectors.length === 0) {
+            throw new Error(`"${sourcePath}" 中没有可索引的文本内容`);
+        }
+        
+        const kb = {
+            store: vectorStore,
+            path: sourcePath,
+            sources,
+            parents,
+            chunker: chunkerConfig,
+            // 权重、先验和标签与分块无关，重建索引时保留
+            ranking: { ...DEFAULT_RANKING, ...previous?.ranking },
+            rerank: previous?.rerank,
+            tags: previous?.tags || [],
+            version: previous?.version || null,
+            active: false
+        };
+        
+        // 分块有变化时生成新版本；旧版本的索引没有版本记录，首次加载时补建
+        const newVersion = pendingDocs.length > 0 || changes.removed.length > 0 || !compatible || !kb.version;
+        if (newVersion || touched) {
+            await this._persistKnowledgeBase(name, type, kb, { newVersion });
+        }
+        return { kb, changes };
+    }
+
+    // 启动时从磁盘恢复知识库索引
+    async _restoreKnowledgeBases() {
+        const records = await this.indexStore.loadAll();
+        
+        for (const record of records) {
+            if (record.embeddingModel !== this._getEmbeddingModel()) {
+                console.log(`跳过知识库索引 "${record.name}"：embedding 模型已变更`);
+                continue;
+            }
+            
+            const target = record.type === 'system' ? this.systemKnowledgeBases : this.userKnowledgeBases;
+            if (target.has(record.name)) {
+                continue;
+            }
+            
+            try {
+                let kb;
+                const files = record.pinned ? [] : await resolveSourceFiles(record.path);
+                if (files.length > 0) {
+                    // 来源文件存在时增量同步，只重新处理有变化的文件
+                    ({ kb } = await this._buildKnowledgeBase(record.name, record.path, record.type, record));
+                } else {
+                    // 来源文件已删除或已回滚到指定版本，索引本身仍然完整可用
+                    kb = this._createKnowledgeBaseFromRecord(record);
+                }
+                target.set(record.name, kb);
+                console.log(`已恢复知识库 "${record.name}"`);
+            } catch (error) {
+                console.error(`恢复知识库 "${record.name}" 失败:`, error);
+            }
+        }
+    }
+
+    // 系统知识库以文件名（不含扩展名）命名；
+    // 同名不同类型的文件（如 report.txt 和 report.pdf）中，.txt 保留原名，其余使用完整文件名
+    _resolveSystemKnowledgeBaseNames(files) {
+        const groups = new Map();
+        for (const file of files) {
+            const baseName = path.basename(file, path.extname(file));
+            if (!groups.has(baseName)) {
+                groups.set(baseName, []);
+            }
+            groups.get(baseName).push(file);
         }
+        
+        const names = new Map();
+        for (const [baseName, group] of groups.entries()) {
+            const primary = group.find(file => path.extname(file).toLowerCase() === '.txt') || group[0];
+            for (const file of group) {
+                names.set(file, file === primary ? baseName : file);
+            }
+        }
+        return names;
     }
 
     // 自动加载系统知识库目录
     async _loadSystemKnowledgeBases() {
+        await this._ready;
+
         // 添加加载锁，防止并发加载
         if (this._loadingSystemKnowledgeBases) {
             console.log('系统知识库正在加载中，跳过');
@@ -127,15 +552,16 @@ export class RAGService {
                 return;
             }
             
-            // 获取目录下的所有文件
+            // 获取目录下所有支持的文件类型
             const files = await fs.readdir(this.knowledgeBasePath);
-            const txtFiles = files.filter(file => file.toLowerCase().endsWith('.txt'));
+            const kbFiles = files.filter(file => documentLoaders.isSupported(file));
+            const kbNames = this._resolveSystemKnowledgeBaseNames(kbFiles);
             
-            console.log(`找到 ${txtFiles.length} 个系统知识库文件`);
+            console.log(`找到 ${kbFiles.length} 个系统知识库文件`);
             
             // 加载每个文件
-            const loadPromises = txtFiles.map(async file => {
-                const name = path.basename(file, '.txt');
+            const loadPromises = kbFiles.map(async file => {
+                const name = kbNames.get(file);
                 const filePath = path.join(this.knowledgeBasePath, file);
                 
                 // 如果用户知识库中已存在同名知识库，跳过
@@ -151,24 +577,14 @@ export class RAGService {
                 }
                 
                 try {
-                    const content = await fs.readFile(filePath, 'utf-8');
-                    const textSplitter = new RecursiveCharacterTextSplitter({
-                        chunkSize: this.config.chunkSize,
-                        chunkOverlap: this.config.chunkOverlap
-                    });
-                    
                     console.log(`加载系统知识库: ${name}`);
-                    const docs = await textSplitter.createDocuments([content]);
-                    const vectorStore = await MemoryVectorStore.fromDocuments(
-                        docs,
-                        this.embeddings
+                    const { kb } = await this._buildKnowledgeBase(
+                        name,
+                        filePath,
+                        'system',
+                        await this.indexStore.load(name)
                     );
-                    
-                    this.systemKnowledgeBases.set(name, {
-                        store: vectorStore,
-                        path: filePath,
-                        active: false
-                    });
+                    this.systemKnowledgeBases.set(name, kb);
                     
                     console.log(`系统知识库 "${name}" 加载成功`);
                 } catch (error) {
@@ -203,17 +619,21 @@ export class RAGService {
         }
     }
 
-    // 模式的 getter 和 setter
+    _validateMode(mode) {
+        if (mode !== 'single' && mode !== 'multi') {
+            throw new Error('无效的 RAG 模式。支持的模式: single, multi');
+        }
+    }
+
+    // 全局默认模式的 getter 和 setter，按会话或用户设置使用 getMode / setMode
     get mode() {
-        return this._mode;
+        return this.settings.defaults.mode;
     }
 
     set mode(newMode) {
-        if (newMode !== 'single' && newMode !== 'multi') {
-            throw new Error('无效的 RAG 模式。支持的模式: single, multi');
-        }
-        const oldMode = this._mode;
-        this._mode = newMode;
+        this._validateMode(newMode);
+        const oldMode = this.settings.defaults.mode;
+        this._updateDefaults({ mode: newMode });
         
         // 发出模式变更事件
         eventManager.emit('rag:modeChanged', {
@@ -224,23 +644,20 @@ export class RAGService {
         
         // 如果切换到 multi 模式，自动加载系统知识库
         if (newMode === 'multi' && !this._systemKnowledgeBasesLoaded) {
-            // 返回 Promise 以便外部等待加载完成
-            return this._loadSystemKnowledgeBases().catch(error => {
+            this._loadSystemKnowledgeBases().catch(error => {
                 console.error('加载系统知识库失败:', error);
             });
         }
-        
-        this._saveState();
     }
 
-    // 启用状态的 getter 和 setter
+    // 全局默认启用状态的 getter 和 setter，按会话或用户设置使用 isEnabled / setEnabled
     get enabled() {
-        return this._enabled;
+        return this.settings.defaults.enabled;
     }
 
     set enabled(value) {
-        const oldValue = this._enabled;
-        this._enabled = value;
+        const oldValue = this.settings.defaults.enabled;
+        this._updateDefaults({ enabled: value });
         
         // 发出状态变更事件
         eventManager.emit('rag:enabledChanged', {
@@ -250,11 +667,128 @@ export class RAGService {
         });
         
         // 如果启用 RAG 且是 multi 模式，自动加载系统知识库
-        if (value && this._mode === 'multi' && !this._systemKnowledgeBasesLoaded) {
+        if (value && this.mode === 'multi' && !this._systemKnowledgeBasesLoaded) {
             this.loadAllKnowledgeBases([]);
         }
+    }
+
+    // 全局默认的当前知识库
+    get currentKnowledgeBase() {
+        return this.settings.defaults.currentKnowledgeBase;
+    }
+
+    set currentKnowledgeBase(name) {
+        this._updateDefaults({ currentKnowledgeBase: name });
+    }
+
+    /**
+     * 作用域内生效的 RAG 设置，依次合并全局默认、用户和会话的设置；当前知识库已被删除时视为未选择
+     * @param {string|{userId?: string, conversationId?: string}} [scope] 会话 ID 或 { userId, conversationId }，省略时为全局默认
+     * @returns {Promise<{enabled: boolean, mode: string, currentKnowledgeBase: string|null}>}
+     */
+    async getSettings(scope = null) {
+        await this._ready;
+
+        const settings = this.settings.resolve(scope);
+        if (settings.currentKnowledgeBase && !this._getKnowledgeBase(settings.currentKnowledgeBase)) {
+            settings.currentKnowledgeBase = null;
+        }
+        return settings;
+    }
+
+    /**
+     * 修改作用域的设置：有会话 ID 时只影响该会话，只有用户 ID 时作为该用户会话的默认设置，省略时修改全局默认
+     * @param {string|{userId?: string, conversationId?: string}} scope
+     * @param {{enabled?: boolean, mode?: string, currentKnowledgeBase?: string|null, knowledgeBases?: string|string[]|null}} patch
+     *   knowledgeBases 为多知识库模式的选择器，如 "hr,finance"、"tag:policy"、"collection:legal"，null 表示全部知识库
+     * @returns {Promise<Object>} 修改后该作用域生效的设置
+     */
+    async updateSettings(scope, patch) {
+        await this._ready;
+
+        if (patch.mode !== undefined) {
+            this._validateMode(patch.mode);
+        }
+        if (patch.currentKnowledgeBase && !this._getKnowledgeBase(patch.currentKnowledgeBase)) {
+            throw new Error(`知识库 "${patch.currentKnowledgeBase}" 不存在`);
+        }
+        if (patch.knowledgeBases) {
+            patch = { ...patch, knowledgeBases: parseSelector(patch.knowledgeBases) };
+            this._selectKnowledgeBases(patch.knowledgeBases, { strict: true });
+        }
+        
+        const previous = this.settings.resolve(scope);
+        const settings = await this.settings.update(scope, patch);
+        const { userId, conversationId } = normalizeScope(scope);
+        
+        if (settings.mode !== previous.mode) {
+            eventManager.emit('rag:modeChanged', {
+                oldMode: previous.mode,
+                newMode: settings.mode,
+                userId,
+                conversationId,
+                timestamp: new Date()
+            });
+        }
+        if (settings.enabled !== previous.enabled) {
+            eventManager.emit('rag:enabledChanged', {
+                oldValue: previous.enabled,
+                newValue: settings.enabled,
+                userId,
+                conversationId,
+                timestamp: new Date()
+            });
+        }
         
-        this._saveState();
+        // 多知识库模式需要先加载系统知识库
+        if (settings.mode === 'multi' && !this._systemKnowledgeBasesLoaded) {
+            await this._loadSystemKnowledgeBases();
+        }
+        return settings;
+    }
+
+    /**
+     * 多知识库模式检索的知识库名称
+     * @param {string|string[]|null} selection 选择器，为空时返回全部知识库
+     * @param {{strict?: boolean}} options strict 为 true 时选择了不存在的知识库会报错
+     */
+    _selectKnowledgeBases(selection, { strict = false } = {}) {
+        const knowledgeBases = this._getMergedKnowledgeBases();
+        if (!selection) {
+            return Array.from(knowledgeBases.keys());
+        }
+        return resolveSelector(parseSelector(selection), {
+            knowledgeBases,
+            collections: this.settings.collections
+        }, { strict });
+    }
+
+    // 作用域内生效的知识库：单知识库模式为当前知识库，多知识库模式为选择的知识库
+    _getActiveKnowledgeBases(settings) {
+        if (settings.mode === 'multi') {
+            return this._selectKnowledgeBases(settings.knowledgeBases);
+        }
+        return settings.currentKnowledgeBase ? [settings.currentKnowledgeBase] : [];
+    }
+
+    async isEnabled(scope = null) {
+        return (await this.getSettings(scope)).enabled;
+    }
+
+    async getMode(scope = null) {
+        return (await this.getSettings(scope)).mode;
+    }
+
+    async getCurrentKnowledgeBase(scope = null) {
+        return (await this.getSettings(scope)).currentKnowledgeBase;
+    }
+
+    async setEnabled(enabled, scope = null) {
+        return await this.updateSettings(scope, { enabled: !!enabled });
+    }
+
+    async setMode(mode, scope = null) {
+        return await this.updateSettings(scope, { mode });
     }
 
     // 获取所有知识库的合并视图
@@ -280,13 +814,22 @@ export class RAGService {
                this.systemKnowledgeBases.get(name);
     }
 
-    // 获取所有知识库列表
-    async listKnowledgeBases() {
+    // 获取所有知识库列表，active 表示该作用域的检索是否使用该知识库
+    async listKnowledgeBases(scope = null) {
+        await this._ready;
+
         try {
+            const activeKbs = this._getActiveKnowledgeBases(await this.getSettings(scope));
             const kbs = Array.from(this._getMergedKnowledgeBases().entries()).map(([name, kb]) => ({
                 name,
                 path: kb.path,
-                active: kb.active || (this.currentKnowledgeBase === name)
+                files: Object.keys(kb.sources || {}).length,
+                chunker: kb.chunker || null,
+                weight: kb.ranking?.weight ?? DEFAULT_RANKING.weight,
+                prior: kb.ranking?.prior ?? DEFAULT_RANKING.prior,
+                rerank: this._getRerankMethod(kb),
+                tags: kb.tags || [],
+                active: activeKbs.includes(name)
             }));
             
             return kbs;
@@ -298,6 +841,8 @@ export class RAGService {
 
     // 加载所有知识库
     async loadAllKnowledgeBases(kbs = []) {
+        await this._ready;
+
         try {
             console.log(`开始加载 ${kbs.length} 个知识库...`);
             
@@ -310,7 +855,7 @@ export class RAGService {
             for (const kb of kbs) {
                 if (!this._getKnowledgeBase(kb.name)) {
                     console.log(`加载知识库: ${kb.name}`);
-                    await this.addKnowledgeBase(kb.path);
+                    await this.addKnowledgeBase(kb.path, kb.name);
                 }
             }
             
@@ -327,149 +872,646 @@ export class RAGService {
         }
     }
 
-    // 获取 RAG 服务状态
-    async getStatus() {
+    // 获取 RAG 服务状态，scope 为会话 ID 或 { userId, conversationId }
+    async getStatus(scope = null) {
+        await this._ready;
+
         const kbs = Array.from(this._getMergedKnowledgeBases().entries());
         const docCount = kbs.reduce((total, [_, kb]) => {
             return total + (kb?.store?.memoryVectors?.length || 0);
         }, 0);
-
-        // 如果当前知识库不存在于已加载的知识库中，重置它
-        if (this.currentKnowledgeBase && !this._getKnowledgeBase(this.currentKnowledgeBase)) {
-            this.currentKnowledgeBase = null;
-        }
+        const settings = await this.getSettings(scope);
 
         return {
             isInitialized: kbs.length > 0,
-            currentKnowledgeBase: this.currentKnowledgeBase || '无',
+            currentKnowledgeBase: settings.currentKnowledgeBase || '无',
             documentCount: docCount,
             chunkSize: this.config.chunkSize,
             chunkOverlap: this.config.chunkOverlap,
-            mode: this.mode,
-            enabled: this.enabled
+            retrievalMode: this.config.retrievalMode,
+            chunker: this._resolveChunker(),
+            embeddingModel: this._getEmbeddingModel(),
+            // 当前提供方不使用缓存时为 null
+            embeddingCache: this.embeddings.cache ? await this.embeddings.cache.getStats() : null,
+            rerank: this.config.rerank,
+            noHitPolicy: this.config.noHitPolicy,
+            contextExpansion: this.config.contextExpansion,
+            contextTokenBudget: this.config.contextTokenBudget || null,
+            mode: settings.mode,
+            enabled: settings.enabled
         };
     }
 
-    // 获取知识库状态
-    async getKnowledgeBaseStatus() {
-        const allKbs = Array.from(this._getMergedKnowledgeBases().keys());
-        
-        // 如果当前知识库不存在于已加载的知识库中，重置它
-        if (this.currentKnowledgeBase && !this._getKnowledgeBase(this.currentKnowledgeBase)) {
-            this.currentKnowledgeBase = null;
+    /**
+     * 清理向量缓存：删除其他模型的向量，指定 maxAgeDays 时同时删除超过该天数未使用的向量
+     * @param {{maxAgeDays?: number}} options maxAgeDays 为 0 时清空缓存
+     */
+    async pruneEmbeddingCache({ maxAgeDays = null } = {}) {
+        try {
+            const cache = this.embeddings.cache;
+            if (!cache) {
+                throw new Error('当前 embedding 提供方未使用缓存');
+            }
+            if (maxAgeDays !== null && !(maxAgeDays >= 0)) {
+                throw new Error('天数必须是非负数字');
+            }
+            
+            const { removed, remaining } = await cache.prune({
+                keepModels: [this._getEmbeddingModel()],
+                maxAgeDays
+            });
+            return {
+                success: true,
+                message: `已清理 ${removed} 条缓存向量，剩余 ${remaining} 条`,
+                removed,
+                remaining
+            };
+        } catch (error) {
+            console.error('清理向量缓存失败:', error);
+            return {
+                success: false,
+                message: `清理向量缓存失败: ${error.message}`
+            };
         }
+    }
+
+    // 获取知识库状态，scope 为会话 ID 或 { userId, conversationId }
+    async getKnowledgeBaseStatus(scope = null) {
+        await this._ready;
+
+        const allKbs = Array.from(this._getMergedKnowledgeBases().keys());
+        const settings = await this.getSettings(scope);
         
         const status = {
-            currentKnowledgeBase: this.currentKnowledgeBase || '无',
+            currentKnowledgeBase: settings.currentKnowledgeBase || '无',
             loadedKnowledgeBases: allKbs,
             isInitialized: allKbs.length > 0,
-            mode: this.mode,
-            enabled: this.enabled
+            mode: settings.mode,
+            enabled: settings.enabled,
+            // 多知识库模式的选择器，null 表示全部知识库
+            selection: settings.knowledgeBases,
+            // 本作用域检索时实际使用的知识库
+            activeKnowledgeBases: this._getActiveKnowledgeBases(settings)
         };
         return status;
     }
 
-    // 处理消息
-    async processMessage(message, options = {}) {
-        // 验证输入
-        if (!message || typeof message !== 'string' || message.trim().length === 0) {
-            throw new Error('查询内容不能为空');
-        }
+    // 分块编号，格式为 "知识库#序号"，序号为分块在知识库中的下标
+    _formatChunkId(kbName, index) {
+        return `${kbName}#${index}`;
+    }
 
-        if (!this.enabled) {
-            throw new Error('RAG 服务未启用');
+    // 分块的摘要信息，用于 kb show、kb search 和 kb chunk
+    _describeChunk(kbName, vectors, index) {
+        const { content, metadata = {} } = vectors[index];
+        return {
+            id: this._formatChunkId(kbName, index),
+            index,
+            knowledgeBase: kbName,
+            length: content.length,
+            source: metadata.source || null,
+            location: getSourceLocation(metadata),
+            content
+        };
+    }
+
+    _getLoadedKnowledgeBase(name) {
+        const kb = this._getKnowledgeBase(name);
+        if (!kb?.store) {
+            throw new Error(`知识库 "${name}" 不存在`);
         }
+        return kb;
+    }
 
-        const mode = options.mode || this.mode;
-        
-        if (mode === 'single') {
-            if (!this.currentKnowledgeBase || !this._getKnowledgeBase(this.currentKnowledgeBase)) {
-                throw new Error('没有激活的知识库');
-            }
-            
-            const vectorStore = this._getKnowledgeBase(this.currentKnowledgeBase).store;
-            const results = await vectorStore.similaritySearchWithScore(
-                message,
-                this.config.maxRetrievedDocs
-            );
-            
-            const relevantDocs = results
-                .filter(([_, score]) => score >= this.config.minRelevanceScore)
-                .map(([doc, score]) => ({
-                    content: doc.pageContent,
-                    score: score,
-                    knowledgeBase: this.currentKnowledgeBase
-                }));
+    /**
+     * 分页列出知识库中的分块，用于排查某个文档是否被正确切分和索引
+     * @param {string} name 知识库名称
+     * @param {{offset?: number, limit?: number}} options
+     */
+    async getKnowledgeBaseChunks(name, { offset = 0, limit = 20 } = {}) {
+        await this._ready;
 
-            if (relevantDocs.length === 0) {
-                throw new Error('没有找到相关的知识库内容');
-            }
+        const kb = this._getLoadedKnowledgeBase(name);
+        const vectors = kb.store.memoryVectors;
+        const end = Math.min(offset + limit, vectors.length);
+        const chunks = [];
+        for (let index = offset; index < end; index++) {
+            chunks.push(this._describeChunk(name, vectors, index));
+        }
+        return {
+            name,
+            path: kb.path,
+            chunker: kb.chunker || null,
+            total: vectors.length,
+            offset,
+            chunks
+        };
+    }
 
-            const context = relevantDocs
-                .map((doc, index) => 
-                    `\n引用 ${index + 1} (知识库: ${doc.knowledgeBase}, 相关度: ${(doc.score * 100).toFixed(1)}%):\n${doc.content}`
-                )
-                .join('\n');
+    /**
+     * 只执行检索，返回分块和各路分数，不生成回答
+     * 使用与对话相同的检索方式、过滤和重排序设置，但不改写问题、不生成多查询
+     * @param {string} name 知识库名称
+     * @param {string} query 检索问题
+     * @param {{retrievalMode?: string, filter?: string|Object|Function}} options
+     */
+    async searchKnowledgeBase(name, query, options = {}) {
+        await this._ready;
 
-            return {
-                context,
-                documents: relevantDocs,
-                metadata: {
-                    knowledgeBase: this.currentKnowledgeBase,
-                    matchCount: relevantDocs.length,
-                    references: relevantDocs.map((doc, index) => ({
-                        id: index + 1,
-                        score: doc.score,
-                        knowledgeBase: doc.knowledgeBase,
-                        excerpt: doc.content
-                    }))
-                }
-            };
-        } else if (mode === 'multi') {
-            return await this.multiSearch(message);
-        } else {
-            throw new Error(`不支持的模式: ${mode}`);
+        if (!query || query.trim().length === 0) {
+            throw new Error('查询内容不能为空');
         }
+        const vectors = this._getLoadedKnowledgeBase(name).store.memoryVectors;
+        const retrievalMode = this._resolveRetrievalMode(options.retrievalMode);
+        const filter = compileFilter(options.filter);
+        const prepared = await this._prepareQueries(query, retrievalMode, { multiQuery: 0 });
+        const docs = await this._retrieve(name, prepared.queries, { retrievalMode, filter });
+
+        return docs.map(doc => ({
+            ...this._describeChunk(name, vectors, doc.chunkId),
+            score: doc.score,
+            retrieval: doc.retrieval,
+            rerank: doc.rerank || null
+        }));
     }
 
-    // 多知识库并行查询
-    async multiSearch(message) {
-        // 确保 RAG 服务已启用
-        if (!this.enabled) {
-            throw new Error('RAG 服务未启用');
+    /**
+     * 读取单个分块及其前后相邻的分块，相邻分块只包含同一来源文件中的分块
+     * @param {string} chunkId 分块编号 "知识库#序号"，只写序号时使用当前知识库
+     * @param {{neighbors?: number, scope?: Object}} options neighbors 为前后各显示的相邻分块数量，scope 决定当前知识库
+     */
+    async getChunk(chunkId, { neighbors = 1, scope = null } = {}) {
+        await this._ready;
+
+        const ref = String(chunkId);
+        const separator = ref.lastIndexOf('#');
+        const name = separator === -1 ? await this.getCurrentKnowledgeBase(scope) : ref.slice(0, separator);
+        if (!name) {
+            throw new Error('没有激活的知识库，请使用 "知识库#序号" 格式指定分块');
+        }
+        const vectors = this._getLoadedKnowledgeBase(name).store.memoryVectors;
+        const index = Number(ref.slice(separator + 1));
+        if (!Number.isInteger(index) || index < 0 || index >= vectors.length) {
+            throw new Error(`分块 ${ref} 不存在，知识库 "${name}" 共有 ${vectors.length} 个分块`);
         }
 
-        // 获取所有已加载的知识库
-        const activeKbs = Array.from(this._getMergedKnowledgeBases().keys());
-        if (!activeKbs.length) {
-            throw new Error('没有可用的知识库');
+        const source = vectors[index].metadata?.source;
+        const isNeighbor = i => i >= 0 && i < vectors.length && vectors[i].metadata?.source === source;
+        const before = [];
+        for (let i = index - 1; i >= index - neighbors && isNeighbor(i); i--) {
+            before.unshift(this._describeChunk(name, vectors, i));
+        }
+        const after = [];
+        for (let i = index + 1; i <= index + neighbors && isNeighbor(i); i++) {
+            after.push(this._describeChunk(name, vectors, i));
         }
 
-        console.log(`开始并行查询 ${activeKbs.length} 个知识库:`, activeKbs);
+        return {
+            chunk: this._describeChunk(name, vectors, index),
+            metadata: vectors[index].metadata || {},
+            before,
+            after
+        };
+    }
+
+    // 获取知识库的 BM25 索引，首次检索时构建并缓存在知识库对象上
+    _getKeywordIndex(kb) {
+        if (!kb.keywordIndex) {
+            kb.keywordIndex = new BM25Index(kb.store.memoryVectors.map(vector => vector.content));
+        }
+        return kb.keywordIndex;
+    }
+
+    /**
+     * 在单个知识库中检索
+     * - vector：余弦相似度，过滤低于 minRelevanceScore 的结果
+     * - keyword：BM25 关键词匹配，分数按本次检索的最高分归一化
+     * - hybrid：两路结果按倒数排名融合，关键词命中的分块即使向量相似度较低也会保留
+     * filter 为 compileFilter 编译后的元数据过滤函数，在打分前排除不符合条件的分块
+     * @returns {Promise<Array<{content, score, knowledgeBase, metadata, retrieval}>>}
+     */
+    async _searchKnowledgeBase(kbName, query, { queryEmbedding, retrievalMode, limit, filter = null }) {
+        const kb = this._getKnowledgeBase(kbName);
+        if (!kb?.store) {
+            throw new Error(`知识库 ${kbName} 未找到或未初始化`);
+        }
         
-        // 并行执行查询
-        const results = await Promise.all(
-            activeKbs.map(async kbName => {
-                try {
-                    const kb = this._getKnowledgeBase(kbName);
-                    if (!kb?.store) {
-                        console.error(`知识库 ${kbName} 未找到或未初始化`);
-                        return [];
-                    }
-                    
-                    const searchResults = await kb.store.similaritySearchWithScore(
-                        message, 
-                        this.config.maxRetrievedDocs
-                    );
-                    
-                    // 为每个结果添加来源信息
-                    return searchResults
-                        .filter(([_, score]) => score >= this.config.minRelevanceScore)
-                        .map(([doc, score]) => ({
-                            content: doc.pageContent,
-                            score: score,
-                            knowledgeBase: kbName
-                        }));
+        const vectors = kb.store.memoryVectors;
+        // 混合检索时每路多取一些候选，保证融合后仍有足够结果
+        const candidateCount = retrievalMode === 'hybrid' ? limit * 3 : limit;
+        const isAllowed = index => !filter || filter(vectors[index].metadata || {});
+        
+        let vectorHits = [];
+        if (retrievalMode !== 'keyword') {
+            vectorHits = vectors
+                .map((vector, index) => ({
+                    index,
+                    score: isAllowed(index) ? kb.store.similarity(queryEmbedding, vector.embedding) : -Infinity
+                }))
+                .filter(hit => hit.score >= this.config.minRelevanceScore)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, candidateCount);
+        }
+        
+        let keywordHits = [];
+        if (retrievalMode !== 'vector') {
+            keywordHits = this._getKeywordIndex(kb).search(query, candidateCount, filter && isAllowed);
+        }
+        
+        const vectorScores = new Map(vectorHits.map(hit => [hit.index, hit.score]));
+        const keywordScores = new Map(keywordHits.map(hit => [hit.index, hit.score]));
+        
+        let ranked;
+        if (retrievalMode === 'vector') {
+            ranked = vectorHits;
+        } else if (retrievalMode === 'keyword') {
+            ranked = keywordHits.map(hit => ({ index: hit.index, score: saturateScore(hit.score, this.config.keywordScoreK) }));
+        } else {
+            ranked = reciprocalRankFusion([vectorHits, keywordHits], { k: this.config.rrfK });
+        }
+        
+        return ranked.slice(0, limit).map(hit => ({
+            // 分块在知识库中的下标
+            chunkId: hit.index,
+            content: vectors[hit.index].content,
+            score: hit.score,
+            knowledgeBase: kbName,
+            metadata: vectors[hit.index].metadata || {},
+            retrieval: {
+                mode: retrievalMode,
+                vectorScore: vectorScores.get(hit.index) ?? null,
+                keywordScore: keywordScores.get(hit.index) ?? null
+            }
+        }));
+    }
+
+    // 知识库的重排序方式：知识库单独设置的优先，'none' 表示该知识库不重排序
+    _getRerankMethod(kb) {
+        const method = kb?.rerank ?? this.config.rerank;
+        return method && method !== 'none' ? method : null;
+    }
+
+    _getReranker(method) {
+        if (!this._rerankers.has(method)) {
+            this._rerankers.set(method, createReranker(method));
+        }
+        return this._rerankers.get(method);
+    }
+
+    /**
+     * 检索单个知识库
+     * 多个查询（改写后的问题和等价问法）分别检索，同一分块取最高分合并；
+     * 启用重排序时先多召回候选，以第一个查询重排序后再截取 maxRetrievedDocs 个
+     * @param {Array<{text: string, embedding: number[]|null}>} queries
+     */
+    async _retrieve(kbName, queries, { retrievalMode, filter, limit = this.config.maxRetrievedDocs }) {
+        const rerankMethod = this._getRerankMethod(this._getKnowledgeBase(kbName));
+        const candidateLimit = rerankMethod ? Math.max(this.config.rerankCandidates, limit) : limit;
+        
+        const merged = new Map();
+        for (const query of queries) {
+            const docs = await this._searchKnowledgeBase(kbName, query.text, {
+                queryEmbedding: query.embedding,
+                retrievalMode,
+                filter,
+                limit: candidateLimit
+            });
+            for (const doc of docs) {
+                const existing = merged.get(doc.chunkId);
+                if (!existing || doc.score > existing.score) {
+                    merged.set(doc.chunkId, { ...doc, matchedQuery: query.text });
+                }
+            }
+        }
+        const candidates = Array.from(merged.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, candidateLimit);
+        
+        if (!rerankMethod) {
+            return candidates.slice(0, limit);
+        }
+        return rerankDocuments(queries[0].text, candidates, this._getReranker(rerankMethod), limit);
+    }
+
+    /**
+     * 生成本次检索使用的查询
+     * - 传入 history 且启用 condenseQuestion 时，先把追问改写为独立问题
+     * - multiQuery 大于 0 时，再生成对应数量的等价问法
+     * @returns {Promise<{standalone: string, expansions: string[], queries: Array<{text, embedding}>}>}
+     */
+    async _prepareQueries(message, retrievalMode, options = {}) {
+        const condense = options.condenseQuestion ?? this.config.condenseQuestion;
+        const standalone = condense && options.history?.length
+            ? await this.queryRewriter.condense(message, options.history)
+            : message;
+        
+        const multiQuery = options.multiQuery ?? this.config.multiQuery;
+        const count = multiQuery === true ? 3 : Number(multiQuery) || 0;
+        const expansions = count > 0 ? await this.queryRewriter.expand(standalone, count) : [];
+        
+        const texts = [standalone, ...expansions];
+        const embeddings = await Promise.all(texts.map(text => this._embedQuery(text, retrievalMode)));
+        return {
+            standalone,
+            expansions,
+            queries: texts.map((text, index) => ({ text, embedding: embeddings[index] }))
+        };
+    }
+
+    // 没有分块通过相关度阈值或过滤条件时抛出，调用方通过 code 区分未命中和其他错误；
+    // metadata.knowledgeBases 为本次检索的知识库
+    _throwNoHit(message, filter, knowledgeBases) {
+        throw new ChatError(
+            filter ? '没有找到符合过滤条件的知识库内容' : '没有找到相关的知识库内容',
+            ErrorCodes.RAG_NO_HIT,
+            { query: message, filtered: !!filter, noHitPolicy: this.config.noHitPolicy, knowledgeBases }
+        );
+    }
+
+    // 响应元数据中的查询改写信息
+    _buildQueryMetadata(message, prepared) {
+        return {
+            original: message,
+            standalone: prepared.standalone,
+            rewritten: prepared.standalone !== message,
+            expansions: prepared.expansions
+        };
+    }
+
+    // 按知识库的权重和先验对其检索结果加权
+    _weightKnowledgeBaseResults(kbName, docs) {
+        const ranking = this._getKnowledgeBase(kbName)?.ranking || DEFAULT_RANKING;
+        return weightScores(docs, {
+            method: this.config.weightingMethod,
+            factor: this.config.exponentialFactor,
+            weight: ranking.weight,
+            prior: ranking.prior,
+            // 余弦相似度都不低于相关度阈值，以阈值为下限拉开差距；重排序分数、融合分数和关键词分数已在 [0, 1] 内
+            floor: doc => doc.retrieval?.mode === 'vector' && !(doc.rerank && !doc.rerank.error)
+                ? this.config.minRelevanceScore
+                : 0
+        });
+    }
+
+    // 校验并返回本次检索使用的检索方式
+    _resolveRetrievalMode(retrievalMode) {
+        const mode = retrievalMode || this.config.retrievalMode;
+        if (!RETRIEVAL_MODES.includes(mode)) {
+            throw new Error(`不支持的检索方式: ${mode}。支持: ${RETRIEVAL_MODES.join(', ')}`);
+        }
+        return mode;
+    }
+
+    // 校验并返回本次检索使用的上下文扩展方式
+    _resolveExpansionMode(expansionMode) {
+        const mode = expansionMode || this.config.contextExpansion;
+        if (!EXPANSION_MODES.includes(mode)) {
+            throw new Error(`不支持的上下文扩展方式: ${mode}。支持: ${EXPANSION_MODES.join(', ')}`);
+        }
+        return mode;
+    }
+
+    // 仅向量检索需要查询向量，关键词检索不调用 embedding 接口
+    async _embedQuery(message, retrievalMode) {
+        return retrievalMode === 'keyword' ? null : await this.embeddings.embedQuery(message);
+    }
+
+    // 分块所在的章节，未保存章节或章节超过 parentMaxTokens 时返回 null
+    _getParent(kbName, vector) {
+        const { source, parentIndex } = vector.metadata || {};
+        const content = this._getKnowledgeBase(kbName)?.parents?.[source]?.[parentIndex];
+        if (content === undefined || countTokens(content) > this.config.parentMaxTokens) {
+            return null;
+        }
+        return { key: `${source}#${parentIndex}`, content };
+    }
+
+    // 一个段落的引用文本，段落包含多个检索结果时列出全部编号，相关度取其中最高的结果
+    _formatContextGroup(group, docs, ids) {
+        const doc = docs[group.hits[0]];
+        // 段落跨越多个分块时行号不再准确，只标注页码和章节
+        const { lines, ...section } = getSourceLocation(doc.metadata);
+        const source = formatSource({
+            source: doc.metadata?.source,
+            location: group.expanded || group.hits.length > 1 ? section : { lines, ...section }
+        });
+        const score = ((doc.retrieval?.rawScore ?? doc.score) * 100).toFixed(1);
+        const labels = group.hits.map(hit => `[${ids[hit]}]`).join('');
+        return `\n引用 ${labels} (知识库: ${doc.knowledgeBase}${source ? `, 来源: ${source}` : ''}, 相关度: ${score}%):\n${group.content}`;
+    }
+
+    /**
+     * 构建注入提示词的引用文本
+     * 按扩展方式把检索结果扩展为段落，重叠的段落合并，再在 contextTokenBudget 内按排名选取段落；
+     * 放不下的结果从本次结果中去掉，保留的结果按排名重新编号，
+     * 编号与 _buildReferences 中的 id 一致，模型据此用 [n] 标注来源
+     * @param {Array} docs 按排名排列的检索结果
+     * @param {{expansionMode?: string, tokenBudget?: number}} options
+     *   expansionMode 未指定时使用配置的扩展方式；tokenBudget 为调用方分配的 token 数量，与配置的上限取较小值
+     * @returns {{context: string, documents: Array, expansion: Object}}
+     *   documents 为保留的检索结果，expansion 为扩展方式、token 数量和去掉的结果数量
+     */
+    _buildContext(docs, { expansionMode, tokenBudget } = {}) {
+        const mode = this._resolveExpansionMode(expansionMode);
+        const limits = [this.config.contextTokenBudget, tokenBudget].filter(limit => limit > 0);
+        const budget = limits.length > 0 ? Math.min(...limits) : null;
+        const originalIds = docs.map((_, index) => index + 1);
+
+        const groups = expandHits(docs, {
+            mode,
+            neighbors: this.config.contextNeighbors,
+            getVectors: kbName => this._getKnowledgeBase(kbName)?.store.memoryVectors || [],
+            getParent: (kbName, vector) => this._getParent(kbName, vector)
+        });
+        const packed = packGroups(groups, {
+            budget,
+            measure: group => countTokens(this._formatContextGroup(group, docs, originalIds)),
+            // 只保留命中的分块，按在文件中的顺序拼接
+            fallback: group => ({
+                ...group,
+                content: joinChunks(
+                    [...group.hits]
+                        .sort((a, b) => docs[a].chunkId - docs[b].chunkId)
+                        .map(hit => docs[hit].content)
+                ),
+                expanded: false
+            })
+        });
+
+        // 保留的结果按原排名重新编号
+        const kept = packed.groups.flatMap(group => group.hits).sort((a, b) => a - b);
+        const ids = [];
+        kept.forEach((hit, index) => {
+            ids[hit] = index + 1;
+        });
+        const expandedContent = [];
+        for (const group of packed.groups) {
+            for (const hit of group.hits) {
+                expandedContent[hit] = group.expanded ? group.content : null;
+            }
+        }
+
+        return {
+            context: packed.groups.map(group => this._formatContextGroup(group, docs, ids)).join('\n'),
+            documents: kept.map(hit => ({ ...docs[hit], expanded: expandedContent[hit] })),
+            expansion: {
+                mode,
+                tokens: packed.tokens,
+                budget,
+                dropped: packed.dropped
+            }
+        };
+    }
+
+    _buildReferences(docs) {
+        return docs.map((doc, index) => ({
+            id: index + 1,
+            score: doc.score,
+            knowledgeBase: doc.knowledgeBase,
+            // 分块编号，可用 kb chunk 查看分块及其上下文
+            chunkId: this._formatChunkId(doc.knowledgeBase, doc.chunkId),
+            // 来源文件路径，以及页码、行号、章节
+            source: doc.metadata?.source || null,
+            location: getSourceLocation(doc.metadata),
+            excerpt: doc.content,
+            // 扩展后注入提示词的段落，未扩展时为 null
+            expanded: doc.expanded || null,
+            // 重排序前后在该知识库候选中的名次
+            rerank: doc.rerank || null
+        }));
+    }
+
+    /**
+     * 处理消息
+     * @param {string} message 用户问题
+     * @param {Object} options
+     * @param {string} [options.mode] 'single' | 'multi'
+     * @param {string} [options.retrievalMode] 'vector' | 'keyword' | 'hybrid'
+     * @param {string|Object|Function} [options.filter] 元数据过滤条件，如 "year>=2024 section~安装"
+     * @param {Array<{role, content}>} [options.history] 之前的对话消息，用于把追问改写为独立问题
+     * @param {boolean} [options.condenseQuestion] 是否改写问题，默认取配置
+     * @param {number|boolean} [options.multiQuery] 额外生成的等价问法数量，默认取配置
+     * @param {number} [options.limit] 返回的分块数量，默认取配置的 maxRetrievedDocs
+     * @param {string} [options.knowledgeBase] 单知识库模式下检索的知识库，默认为作用域的当前知识库
+     * @param {string} [options.contextExpansion] 'none' | 'neighbors' | 'parent'，默认取配置
+     * @param {number} [options.contextTokenBudget] 检索内容的 token 上限，与配置的上限取较小值
+     * @param {string} [options.userId] 用户 ID，与 conversationId 一起决定使用哪个作用域的 RAG 设置
+     * @param {string} [options.conversationId] 会话 ID
+     * @param {string|string[]} [options.knowledgeBases] 多知识库模式的选择器，默认取作用域设置
+     */
+    async processMessage(message, options = {}) {
+        await this._ready;
+        
+        // 验证输入
+        if (!message || typeof message !== 'string' || message.trim().length === 0) {
+            throw new Error('查询内容不能为空');
+        }
+
+        const settings = await this.getSettings(options);
+        if (!settings.enabled) {
+            throw new Error('RAG 服务未启用');
+        }
+
+        const mode = options.mode || settings.mode;
+        
+        if (mode === 'single') {
+            const knowledgeBase = options.knowledgeBase || settings.currentKnowledgeBase;
+            if (!knowledgeBase) {
+                throw new Error('没有激活的知识库');
+            }
+            
+            const retrievalMode = this._resolveRetrievalMode(options.retrievalMode);
+            const filter = compileFilter(options.filter);
+            const prepared = await this._prepareQueries(message, retrievalMode, options);
+            const relevantDocs = await this._retrieve(knowledgeBase, prepared.queries, {
+                retrievalMode,
+                filter,
+                limit: options.limit
+            });
+
+            if (relevantDocs.length === 0) {
+                this._throwNoHit(message, filter, [knowledgeBase]);
+            }
+
+            const { context, documents, expansion } = this._buildContext(relevantDocs, {
+                expansionMode: options.contextExpansion,
+                tokenBudget: options.contextTokenBudget
+            });
+            return {
+                context,
+                documents,
+                metadata: {
+                    knowledgeBase,
+                    retrievalMode,
+                    filter: options.filter || null,
+                    query: this._buildQueryMetadata(message, prepared),
+                    matchCount: documents.length,
+                    contextExpansion: expansion,
+                    references: this._buildReferences(documents)
+                }
+            };
+        } else if (mode === 'multi') {
+            return await this.multiSearch(message, options);
+        } else {
+            throw new Error(`不支持的模式: ${mode}`);
+        }
+    }
+
+    /**
+     * 检查回答中的陈述是否有检索内容作为依据
+     * @param {string} answer 模型回答
+     * @param {Array} references processMessage 返回的 metadata.references
+     * @returns {Promise<Object|null>} 依据分数和无依据的句子，未启用或检查失败时为 null
+     */
+    async checkGrounding(answer, references = []) {
+        if (!this.groundingChecker) {
+            return null;
+        }
+        try {
+            return await this.groundingChecker.check(answer, references);
+        } catch (error) {
+            console.error('依据检查失败:', error);
+            return null;
+        }
+    }
+
+    // 多知识库并行查询
+    async multiSearch(message, options = {}) {
+        await this._ready;
+
+        // 确保 RAG 服务已启用
+        const settings = await this.getSettings(options);
+        if (!settings.enabled) {
+            throw new Error('RAG 服务未启用');
+        }
+
+        if (this._getMergedKnowledgeBases().size === 0) {
+            throw new Error('没有可用的知识库');
+        }
+        
+        // 只查询选择的知识库，options.knowledgeBases 优先于作用域设置
+        const selection = options.knowledgeBases ?? settings.knowledgeBases;
+        const activeKbs = this._selectKnowledgeBases(selection);
+        if (!activeKbs.length) {
+            throw new Error(`没有符合选择 "${formatSelector(parseSelector(selection))}" 的知识库`);
+        }
+
+        console.log(`开始并行查询 ${activeKbs.length} 个知识库:`, activeKbs);
+        
+        // 查询改写和查询向量只计算一次，所有知识库共用
+        const retrievalMode = this._resolveRetrievalMode(options.retrievalMode);
+        const filter = compileFilter(options.filter);
+        const prepared = await this._prepareQueries(message, retrievalMode, options);
+        
+        // 并行执行查询
+        const results = await Promise.all(
+            activeKbs.map(async kbName => {
+                try {
+                    return await this._retrieve(kbName, prepared.queries, {
+                        retrievalMode,
+                        filter,
+                        limit: options.limit
+                    });
                 } catch (error) {
                     console.error(`查询知识库 ${kbName} 失败:`, error);
                     return [];
@@ -477,69 +1519,79 @@ export class RAGService {
             })
         );
         
-        // 合并结果并排序
-        const mergedResults = results
+        // 各知识库的分数分布不同，先按知识库归一化并加权，再合并排序
+        const weightedResults = this.config.useScoreWeighting
+            ? results.map((docs, index) => this._weightKnowledgeBaseResults(activeKbs[index], docs))
+            : results;
+        const mergedResults = weightedResults
             .flat()
             .sort((a, b) => b.score - a.score)
-            .slice(0, this.config.maxRetrievedDocs);
+            .slice(0, options.limit || this.config.maxRetrievedDocs);
 
         if (!mergedResults.length) {
-            throw new Error('没有找到相关的知识库内容');
+            this._throwNoHit(message, filter, activeKbs);
         }
 
-        // 构建引用文本
-        const references = mergedResults
-            .map((doc, index) => 
-                `\n引用 ${index + 1} (知识库: ${doc.knowledgeBase}, 相关度: ${(doc.score * 100).toFixed(1)}%):\n${doc.content}`
-            )
-            .join('\n');
-
         // 返回结果
+        const { context, documents, expansion } = this._buildContext(mergedResults, {
+            expansionMode: options.contextExpansion,
+            tokenBudget: options.contextTokenBudget
+        });
         return {
-            context: references,
-            documents: mergedResults,
+            context,
+            documents,
             metadata: {
                 knowledgeBases: activeKbs,
-                matchCount: mergedResults.length,
-                references: mergedResults.map((doc, index) => ({
-                    id: index + 1,
-                    score: doc.score,
-                    knowledgeBase: doc.knowledgeBase,
-                    excerpt: doc.content
-                }))
+                selection: selection ? parseSelector(selection) : null,
+                retrievalMode,
+                filter: options.filter || null,
+                query: this._buildQueryMetadata(message, prepared),
+                matchCount: documents.length,
+                contextExpansion: expansion,
+                references: this._buildReferences(documents)
             }
         };
     }
 
-    async switchKnowledgeBase(name) {
+    // 切换当前知识库；传入 scope 时只修改该会话或用户的选择，省略时修改全局默认
+    async switchKnowledgeBase(name, scope = null) {
+        await this._ready;
+
         try {
-            if (!this._getKnowledgeBase(name)) {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
                 throw new Error(`知识库 "${name}" 不存在`);
             }
             
-            // 取消激活当前知识库
-            if (this.currentKnowledgeBase) {
-                const current = this._getKnowledgeBase(this.currentKnowledgeBase);
-                if (current) {
-                    current.active = false;
+            const { userId, conversationId } = normalizeScope(scope);
+            if (userId || conversationId) {
+                await this.settings.update(scope, { currentKnowledgeBase: name });
+            } else {
+                // 取消激活当前知识库
+                if (this.currentKnowledgeBase) {
+                    const current = this._getKnowledgeBase(this.currentKnowledgeBase);
+                    if (current) {
+                        current.active = false;
+                    }
                 }
+                
+                // 激活新知识库
+                kb.active = true;
+                this.currentKnowledgeBase = name;
+                
+                // 等待状态写入
+                await this._ready;
             }
             
-            // 激活新知识库
-            const kb = this._getKnowledgeBase(name);
-            kb.active = true;
-            this.currentKnowledgeBase = name;
-            
             // 发出知识库切换事件
             eventManager.emit('rag:knowledgeBaseSwitched', {
                 name,
                 path: kb.path,
+                userId,
+                conversationId,
                 timestamp: new Date()
             });
             
-            // 保存状态
-            await this._saveState();
-            
             return {
                 success: true,
                 message: `已切换到知识库 "${name}"`
@@ -553,16 +1605,17 @@ export class RAGService {
         }
     }
 
-    async removeKnowledgeBase(name) {
+    // 删除知识库；版本默认保留，可用 rollbackKnowledgeBase 恢复，purge 为 true 时一并删除所有版本
+    async removeKnowledgeBase(name, { purge = false } = {}) {
+        await this._ready;
+
         try {
             if (!this._getKnowledgeBase(name)) {
                 throw new Error(`知识库 "${name}" 不存在`);
             }
             
-            // 如果要删除的是当前激活的知识库，先取消激活
-            if (this.currentKnowledgeBase === name) {
-                this.currentKnowledgeBase = null;
-            }
+            // 所有会话和用户中选择了该知识库的设置都取消选择
+            await this.settings.forgetKnowledgeBase(name);
             
             // 删除知识库
             if (this.userKnowledgeBases.has(name)) {
@@ -571,18 +1624,24 @@ export class RAGService {
                 this.systemKnowledgeBases.delete(name);
             }
             
+            // 删除磁盘索引
+            await this.indexStore.remove(name);
+            if (purge) {
+                await this.indexStore.removeVersions(name);
+            }
+            
             // 发出知识库删除事件
             eventManager.emit('rag:knowledgeBaseRemoved', {
                 name,
+                purge,
                 timestamp: new Date()
             });
             
-            // 保存状态
-            await this._saveState();
-            
             return {
                 success: true,
-                message: `知识库 "${name}" 已删除`
+                message: purge
+                    ? `知识库 "${name}" 及其所有版本已删除`
+                    : `知识库 "${name}" 已删除，可使用 kb rollback 从历史版本恢复`
             };
         } catch (error) {
             console.error('删除知识库失败:', error);
@@ -593,68 +1652,84 @@ export class RAGService {
         }
     }
 
+    // 根据来源推导默认知识库名称：文件取文件名，目录取目录名，glob 取通配符之前的目录名
+    // stat 为 null 表示来源按 glob 模式处理
+    _deriveKnowledgeBaseName(sourcePath, stat) {
+        if (!stat) {
+            return path.basename(path.resolve(getGlobBase(sourcePath)));
+        }
+        if (stat.isFile()) {
+            return path.basename(sourcePath, path.extname(sourcePath));
+        }
+        return path.basename(path.resolve(sourcePath));
+    }
+
     // 知识库管理方法
-    async addKnowledgeBase(filePath) {
+    // sourcePath 可以是单个文件、目录或 glob 模式（如 docs/**/*.md），目录和 glob 作为一个知识库
+    // options.chunker 指定分块方式（名称或 { name, params }），未指定时使用默认分块方式
+    // 知识库已存在时重新导入，未变化的文件复用已有向量，内容有变化时生成新版本
+    async addKnowledgeBase(sourcePath, name = null, options = {}) {
+        await this._ready;
+
         try {
-            // 验证文件是否存在
-            await fs.access(filePath);
-            
-            // 获取文件名作为知识库名称
-            const name = path.basename(filePath, path.extname(filePath));
-            
-            // 检查知识库是否已存在
-            if (this._getKnowledgeBase(name)) {
-                throw new Error(`知识库 "${name}" 已存在`);
+            // 验证来源是否存在；路径不存在且含有通配符时按 glob 处理，在解析文件时验证
+            const stat = await statSource(sourcePath);
+            if (!stat && !isGlobPattern(sourcePath)) {
+                throw new Error(`"${sourcePath}" 不存在`);
             }
             
-            // 读取文件内容
-            const content = await fs.readFile(filePath, 'utf-8');
-            
-            // 分割文本
-            const textSplitter = new RecursiveCharacterTextSplitter({
-                chunkSize: this.config.chunkSize,
-                chunkOverlap: this.config.chunkOverlap
-            });
+            // 未指定名称时根据来源推导
+            name = name || this._deriveKnowledgeBaseName(sourcePath, stat);
             
-            console.log(`Starting document loading from: ${filePath}`);
-            const docs = await textSplitter.createDocuments([content]);
-            console.log(`Documents split into ${docs.length} chunks`);
+            const existing = this._getKnowledgeBase(name);
+            const isUserKb = !existing || this.userKnowledgeBases.has(name);
             
-            // 创建向量存储
-            console.log('Creating vector store...');
-            const vectorStore = await MemoryVectorStore.fromDocuments(
-                docs,
-                this.embeddings
+            // 构建向量存储（文件未变化时复用已有索引）
+            const { kb } = await this._buildKnowledgeBase(
+                name,
+                sourcePath,
+                isUserKb ? 'user' : 'system',
+                existing ? this._toIndexRecord(existing) : await this.indexStore.load(name),
+                options.chunker || null
             );
-            console.log('Vector store created successfully');
+            const chunkCount = kb.store.memoryVectors.length;
+            const fileCount = Object.keys(kb.sources).length;
             
             // 保存向量存储和文件路径
-            this.userKnowledgeBases.set(name, {
-                store: vectorStore,
-                path: filePath,
-                active: false
-            });
+            if (existing) {
+                kb.active = existing.active;
+            }
+            (isUserKb ? this.userKnowledgeBases : this.systemKnowledgeBases).set(name, kb);
+            if (existing?.pinned) {
+                await this._persistKnowledgeBase(name, isUserKb ? 'user' : 'system', kb);
+            }
             
             // 如果是第一个添加的知识库，自动激活它
-            if (this._getMergedKnowledgeBases().size === 1) {
+            if (this._getMergedKnowledgeBases().size === 1 && !existing) {
                 await this.switchKnowledgeBase(name);
             }
             
             // 发出知识库添加事件
             eventManager.emit('rag:knowledgeBaseAdded', {
                 name,
-                path: filePath,
-                chunks: docs.length,
+                path: sourcePath,
+                files: fileCount,
+                chunks: chunkCount,
+                version: kb.version,
                 timestamp: new Date()
             });
             
             // 保存状态
             await this._saveState();
             
+            const action = existing
+                ? (kb.version === existing.version ? '重新导入完成，内容未变化' : '已重新导入')
+                : '添加成功';
             return {
                 success: true,
-                message: `知识库 "${name}" 添加成功，包含 ${docs.length} 个文档块`,
-                name: name
+                message: `知识库 "${name}" ${action}，包含 ${fileCount} 个文件、${chunkCount} 个文档块 (版本 ${kb.version})`,
+                name: name,
+                version: kb.version
             };
         } catch (error) {
             console.error('添加知识库失败:', error);
@@ -664,4 +1739,416 @@ export class RAGService {
             };
         }
     }
+
+    /**
+     * 设置知识库在多知识库检索中的权重和先验
+     * 加权后分数 = weight * 归一化分数 + prior；weight 放大或缩小该知识库的分数，
+     * prior 为固定加分，可为负数
+     * @param {string} name 知识库名称
+     * @param {{weight?: number, prior?: number}} ranking
+     */
+    async setKnowledgeBaseRanking(name, { weight, prior } = {}) {
+        await this._ready;
+
+        try {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
+                throw new Error(`知识库 "${name}" 不存在`);
+            }
+            if (weight !== undefined && !(Number.isFinite(weight) && weight > 0)) {
+                throw new Error('权重必须是大于 0 的数字');
+            }
+            if (prior !== undefined && !Number.isFinite(prior)) {
+                throw new Error('先验必须是数字');
+            }
+            
+            kb.ranking = {
+                ...DEFAULT_RANKING,
+                ...kb.ranking,
+                ...(weight !== undefined && { weight }),
+                ...(prior !== undefined && { prior })
+            };
+            await this._persistKnowledgeBase(
+                name,
+                this.userKnowledgeBases.has(name) ? 'user' : 'system',
+                kb
+            );
+            
+            return {
+                success: true,
+                message: `知识库 "${name}" 权重已设置为 ${kb.ranking.weight}，先验 ${kb.ranking.prior}`,
+                ranking: kb.ranking
+            };
+        } catch (error) {
+            console.error('设置知识库权重失败:', error);
+            return {
+                success: false,
+                message: `设置知识库权重失败: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * 设置知识库的重排序方式
+     * @param {string} name 知识库名称
+     * @param {string|null} method 'llm' | 'local' | 'none'（不重排序）| null（使用全局配置）
+     */
+    async setKnowledgeBaseReranker(name, method = null) {
+        await this._ready;
+
+        try {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
+                throw new Error(`知识库 "${name}" 不存在`);
+            }
+            if (method && method !== 'none' && !RERANK_METHODS.includes(method)) {
+                throw new Error(`不支持的重排序方式: ${method}。支持: ${RERANK_METHODS.join(', ')}, none`);
+            }
+            
+            kb.rerank = method || undefined;
+            await this._persistKnowledgeBase(
+                name,
+                this.userKnowledgeBases.has(name) ? 'user' : 'system',
+                kb
+            );
+            
+            const effective = this._getRerankMethod(kb);
+            return {
+                success: true,
+                message: `知识库 "${name}" 重排序方式: ${effective || '不重排序'}${method ? '' : '（使用全局配置）'}`,
+                rerank: effective
+            };
+        } catch (error) {
+            console.error('设置知识库重排序失败:', error);
+            return {
+                success: false,
+                message: `设置知识库重排序失败: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * 设置知识库标签，多知识库模式可用 tag:<标签> 选择同一标签的知识库
+     * @param {string} name 知识库名称
+     * @param {string[]} tags 为空数组时清除标签
+     */
+    async setKnowledgeBaseTags(name, tags = []) {
+        await this._ready;
+
+        try {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
+                throw new Error(`知识库 "${name}" 不存在`);
+            }
+            
+            kb.tags = Array.from(new Set(tags.map(tag => String(tag).trim()).filter(Boolean)));
+            await this._persistKnowledgeBase(
+                name,
+                this.userKnowledgeBases.has(name) ? 'user' : 'system',
+                kb
+            );
+            
+            return {
+                success: true,
+                message: kb.tags.length > 0
+                    ? `知识库 "${name}" 标签已设置为 ${kb.tags.join(', ')}`
+                    : `已清除知识库 "${name}" 的标签`,
+                tags: kb.tags
+            };
+        } catch (error) {
+            console.error('设置知识库标签失败:', error);
+            return {
+                success: false,
+                message: `设置知识库标签失败: ${error.message}`
+            };
+        }
+    }
+
+    // 知识库集合列表，成员中已删除的知识库会被忽略
+    async listCollections() {
+        await this._ready;
+
+        return Object.entries(this.settings.collections).map(([name, members]) => ({
+            name,
+            knowledgeBases: members.filter(member => this._getKnowledgeBase(member))
+        }));
+    }
+
+    /**
+     * 创建或修改知识库集合，多知识库模式可用 collection:<名称> 一起选择集合中的知识库
+     * @param {string} name 集合名称
+     * @param {string|string[]} members 知识库名称，也可以用 tag:<标签> 加入当前带有该标签的知识库
+     */
+    async setCollection(name, members) {
+        await this._ready;
+
+        try {
+            if (!name || name.includes(':')) {
+                throw new Error('集合名称不能为空，也不能包含冒号');
+            }
+            const terms = parseSelector(members);
+            if (terms.some(term => term.startsWith('collection:'))) {
+                throw new Error('集合不能包含其他集合');
+            }
+            const knowledgeBases = this._selectKnowledgeBases(terms, { strict: true });
+            await this.settings.updateCollection(name, knowledgeBases);
+            
+            return {
+                success: true,
+                message: `知识库集合 "${name}" 包含 ${knowledgeBases.join(', ')}`,
+                knowledgeBases
+            };
+        } catch (error) {
+            console.error('设置知识库集合失败:', error);
+            return {
+                success: false,
+                message: `设置知识库集合失败: ${error.message}`
+            };
+        }
+    }
+
+    async removeCollection(name) {
+        await this._ready;
+
+        if (!this.settings.collections[name]) {
+            return {
+                success: false,
+                message: `知识库集合 "${name}" 不存在`
+            };
+        }
+        await this.settings.updateCollection(name, null);
+        return {
+            success: true,
+            message: `知识库集合 "${name}" 已删除`
+        };
+    }
+
+    /**
+     * 更换知识库的分块方式并重建索引
+     * 分块方式变化后已有分块都不能复用，所有文件会重新分块并生成向量
+     * @param {string} name 知识库名称
+     * @param {string|{name: string, params?: Object}} chunker
+     */
+    async setKnowledgeBaseChunker(name, chunker) {
+        await this._ready;
+
+        try {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
+                throw new Error(`知识库 "${name}" 不存在`);
+            }
+            
+            const chunkerConfig = this._resolveChunker(chunker);
+            const isUserKb = this.userKnowledgeBases.has(name);
+            const { kb: updated } = await this._buildKnowledgeBase(
+                name,
+                kb.path,
+                isUserKb ? 'user' : 'system',
+                this._toIndexRecord(kb),
+                chunkerConfig
+            );
+            updated.active = kb.active;
+            (isUserKb ? this.userKnowledgeBases : this.systemKnowledgeBases).set(name, updated);
+            
+            const params = Object.entries(chunkerConfig.params).map(([key, value]) => `${key}=${value}`);
+            return {
+                success: true,
+                message: `知识库 "${name}" 已使用 ${chunkerConfig.name} 分块 (${params.join(', ')})，共 ${updated.store.memoryVectors.length} 个文档块`,
+                chunker: chunkerConfig
+            };
+        } catch (error) {
+            console.error('设置知识库分块方式失败:', error);
+            return {
+                success: false,
+                message: `设置知识库分块方式失败: ${error.message}`
+            };
+        }
+    }
+
+    // 增量同步知识库：检测来源中新增、修改和删除的文件，只重新处理受影响的分块
+    async syncKnowledgeBase(name) {
+        await this._ready;
+
+        try {
+            const kb = this._getKnowledgeBase(name);
+            if (!kb) {
+                throw new Error(`知识库 "${name}" 不存在`);
+            }
+            
+            const isUserKb = this.userKnowledgeBases.has(name);
+            const { kb: updated, changes } = await this._buildKnowledgeBase(
+                name,
+                kb.path,
+                isUserKb ? 'user' : 'system',
+                this._toIndexRecord(kb)
+            );
+            updated.active = kb.active;
+            (isUserKb ? this.userKnowledgeBases : this.systemKnowledgeBases).set(name, updated);
+            if (kb.pinned) {
+                // 同步后不再固定在回滚的版本
+                await this._persistKnowledgeBase(name, isUserKb ? 'user' : 'system', updated);
+            }
+            
+            // 发出知识库同步事件
+            eventManager.emit('rag:knowledgeBaseSynced', {
+                name,
+                path: kb.path,
+                changes,
+                timestamp: new Date()
+            });
+            
+            const summary = [
+                `新增 ${changes.added.length}`,
+                `修改 ${changes.changed.length}`,
+                `删除 ${changes.removed.length}`,
+                `未变化 ${changes.unchanged.length}`
+            ];
+            if (changes.failed.length > 0) {
+                summary.push(`失败 ${changes.failed.length}`);
+            }
+            
+            return {
+                success: true,
+                message: `知识库 "${name}" 同步完成：${summary.join('，')} (版本 ${updated.version})`,
+                changes,
+                version: updated.version
+            };
+        } catch (error) {
+            console.error('同步知识库失败:', error);
+            return {
+                success: false,
+                message: `同步知识库失败: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * 知识库的版本列表
+     * @returns {Promise<{name: string, current: number|null, versions: Array}>} current 为当前使用的版本，知识库已删除时为 null
+     */
+    async getKnowledgeBaseVersions(name) {
+        await this._ready;
+
+        const versions = await this.indexStore.listVersions(name);
+        if (versions.length === 0) {
+            throw new Error(`知识库 "${name}" 没有版本记录`);
+        }
+        const kb = this._getKnowledgeBase(name);
+        return {
+            name,
+            current: kb?.version || null,
+            pinned: !!kb?.pinned,
+            versions
+        };
+    }
+
+    async _loadKnowledgeBaseVersion(name, version) {
+        const record = await this.indexStore.loadVersion(name, Number(version));
+        if (!record) {
+            throw new Error(`知识库 "${name}" 的版本 ${version} 不存在`);
+        }
+        return record;
+    }
+
+    /**
+     * 比较两个版本的来源文件和分块，分块按来源文件和内容匹配
+     * @param {string} name 知识库名称
+     * @param {number} from 旧版本
+     * @param {number} [to] 新版本，默认为当前版本
+     */
+    async diffKnowledgeBaseVersions(name, from, to = null) {
+        await this._ready;
+
+        const target = to ?? this._getKnowledgeBase(name)?.version;
+        if (!target) {
+            throw new Error(`请指定要比较的版本`);
+        }
+        const [oldRecord, newRecord] = await Promise.all([
+            this._loadKnowledgeBaseVersion(name, from),
+            this._loadKnowledgeBaseVersion(name, target)
+        ]);
+
+        const oldSources = oldRecord.sources || {};
+        const newSources = newRecord.sources || {};
+        const files = {
+            added: Object.keys(newSources).filter(file => !oldSources[file]),
+            removed: Object.keys(oldSources).filter(file => !newSources[file]),
+            changed: Object.keys(newSources).filter(file =>
+                oldSources[file] && oldSources[file].hash !== newSources[file].hash
+            )
+        };
+
+        // 同一文件中内容相同的分块视为未变化
+        const chunkKey = vector => KnowledgeBaseStore.hashContent(`${vector.metadata?.source || ''}\n${vector.content}`);
+        const describe = vector => ({
+            source: vector.metadata?.source || null,
+            location: getSourceLocation(vector.metadata),
+            preview: vector.content.slice(0, 80)
+        });
+        const oldKeys = new Set(oldRecord.vectors.map(chunkKey));
+        const newKeys = new Set(newRecord.vectors.map(chunkKey));
+
+        return {
+            name,
+            from: oldRecord.version,
+            to: newRecord.version,
+            files,
+            chunks: {
+                added: newRecord.vectors.filter(vector => !oldKeys.has(chunkKey(vector))).map(describe),
+                removed: oldRecord.vectors.filter(vector => !newKeys.has(chunkKey(vector))).map(describe),
+                unchanged: newRecord.vectors.filter(vector => oldKeys.has(chunkKey(vector))).length
+            }
+        };
+    }
+
+    /**
+     * 回滚到指定版本，直接使用版本中保存的向量，不重新调用 embedding 接口。
+     * 知识库已删除时可用于恢复。回滚后知识库固定在该版本，启动时不再自动同步来源文件，
+     * 再次执行 syncKnowledgeBase 或 addKnowledgeBase 时按来源文件生成新版本
+     */
+    async rollbackKnowledgeBase(name, version) {
+        await this._ready;
+
+        try {
+            const record = await this._loadKnowledgeBaseVersion(name, version);
+            if (record.embeddingModel !== this._getEmbeddingModel()) {
+                throw new Error(`版本 ${record.version} 使用的 embedding 模型 ${record.embeddingModel} 与当前模型不一致`);
+            }
+            
+            const current = this._getKnowledgeBase(name);
+            const type = current
+                ? (this.userKnowledgeBases.has(name) ? 'user' : 'system')
+                : record.type || 'user';
+            const kb = this._createKnowledgeBaseFromRecord({
+                ...record,
+                // 排序、重排序和标签是检索设置，不随版本回滚
+                ...(current ? { ranking: current.ranking, rerank: current.rerank, tags: current.tags } : {}),
+                pinned: true
+            });
+            kb.active = current?.active || false;
+            (type === 'user' ? this.userKnowledgeBases : this.systemKnowledgeBases).set(name, kb);
+            await this._persistKnowledgeBase(name, type, kb);
+            
+            // 发出知识库回滚事件
+            eventManager.emit('rag:knowledgeBaseRolledBack', {
+                name,
+                from: current?.version || null,
+                to: kb.version,
+                timestamp: new Date()
+            });
+            
+            return {
+                success: true,
+                message: `知识库 "${name}" 已${current ? '回滚' : '恢复'}到版本 ${kb.version}（${kb.store.memoryVectors.length} 个文档块），` +
+                    '来源文件的变化不会再自动同步，可使用 kb sync 重新同步',
+                version: kb.version
+            };
+        } catch (error) {
+            console.error('回滚知识库失败:', error);
+            return {
+                success: false,
+                message: `回滚知识库失败: ${error.message}`
+            };
+        }
+    }
 }
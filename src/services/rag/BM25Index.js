@@ -0,0 +1,121 @@
+// CJK 字符范围：中日韩统一表意文字、扩展 A、兼容表意文字、日文假名、韩文音节
+const CJK_PATTERN = /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\u3040-\u30FF\uAC00-\uD7AF]/;
+const TOKEN_PATTERN = /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\u3040-\u30FF\uAC00-\uD7AF]+|[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+/**
+ * 分词：
+ * - 拉丁字母和数字按单词切分，保留 "AB-1234" 这类产品编号的完整形式，同时加入各组成部分
+ * - 连续的 CJK 字符切分为单字和相邻双字，无需词典即可匹配中文关键词
+ */
+export function tokenize(text) {
+    const tokens = [];
+    const matches = (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+
+    for (const match of matches) {
+        if (CJK_PATTERN.test(match[0])) {
+            const chars = Array.from(match);
+            for (let i = 0; i < chars.length; i++) {
+                tokens.push(chars[i]);
+                if (i + 1 < chars.length) {
+                    tokens.push(chars[i] + chars[i + 1]);
+                }
+            }
+        } else {
+            tokens.push(match);
+            const parts = match.split(/[-_./]/);
+            if (parts.length > 1) {
+                tokens.push(...parts);
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 把 BM25 分数映射到 [0, 1)：score / (score + k)
+ * 只取决于分数本身，不依赖同一次检索的其他结果，不同知识库的分数可以直接比较；
+ * 分数等于 k 时为 0.5
+ */
+export function saturateScore(score, k = 5) {
+    return score > 0 ? score / (score + k) : 0;
+}
+
+/**
+ * BM25 关键词索引
+ * 与向量存储中的分块一一对应，search 返回分块下标和 BM25 分数
+ */
+export class BM25Index {
+    constructor(documents = [], { k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.termFrequencies = [];
+        this.documentLengths = [];
+        this.documentFrequencies = new Map();
+
+        for (const doc of documents) {
+            const tf = new Map();
+            const tokens = tokenize(doc);
+            for (const token of tokens) {
+                tf.set(token, (tf.get(token) || 0) + 1);
+            }
+            for (const token of tf.keys()) {
+                this.documentFrequencies.set(token, (this.documentFrequencies.get(token) || 0) + 1);
+            }
+            this.termFrequencies.push(tf);
+            this.documentLengths.push(tokens.length);
+        }
+
+        this.documentCount = documents.length;
+        this.averageLength = this.documentCount > 0
+            ? this.documentLengths.reduce((sum, length) => sum + length, 0) / this.documentCount
+            : 0;
+    }
+
+    // 逆文档频率，使用 BM25+ 常见的平滑形式保证非负
+    _idf(term) {
+        const df = this.documentFrequencies.get(term) || 0;
+        return Math.log(1 + (this.documentCount - df + 0.5) / (df + 0.5));
+    }
+
+    score(queryTokens, index) {
+        const tf = this.termFrequencies[index];
+        const lengthRatio = this.averageLength > 0 ? this.documentLengths[index] / this.averageLength : 0;
+        let score = 0;
+
+        for (const term of queryTokens) {
+            const frequency = tf.get(term);
+            if (!frequency) {
+                continue;
+            }
+            score += this._idf(term) * (frequency * (this.k1 + 1)) /
+                (frequency + this.k1 * (1 - this.b + this.b * lengthRatio));
+        }
+        return score;
+    }
+
+    // 返回得分大于 0 的前 k 个分块，filter(index) 为 false 的分块不参与打分
+    search(query, k = 10, filter = null) {
+        const queryTokens = Array.from(new Set(tokenize(query)));
+        if (queryTokens.length === 0) {
+            return [];
+        }
+
+        const results = [];
+        for (let index = 0; index < this.documentCount; index++) {
+            if (filter && !filter(index)) {
+                continue;
+            }
+            const score = this.score(queryTokens, index);
+            if (score > 0) {
+                results.push({ index, score });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+export default BM25Index;
@@ -0,0 +1,113 @@
+import path from 'path';
+
+// 要求模型使用引用编号标注来源的提示词
+export const CITATION_INSTRUCTIONS = `回答时请遵循以下引用规则：
+1. 使用参考内容中的信息时，在对应句子末尾用 [n] 标注来源，n 为参考内容的引用编号，多个来源写作 [1][2]
+2. 只能使用给出的引用编号，不要编造编号
+3. 参考内容中没有的信息不要标注引用`;
+
+// RAG 回答的系统提示：检索到的参考内容、引用规则和问题
+export function buildRagPrompt(context, question) {
+    return `基于以下内容回答问题:\n\n${context}\n\n${CITATION_INSTRUCTIONS}\n\n问题: ${question}`;
+}
+
+// 匹配 [1]、[1, 2]、[1，2] 形式的引用标记，连续的标记如 [1][3] 作为一组
+const CITATION_PATTERN = /(?:\[\d+(?:\s*[,，]\s*\d+)*\])+/g;
+
+// 围栏代码块（未闭合时到文本末尾）和行内代码，其中的 arr[0] 等不是引用
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+// 只替换代码以外的引用标记
+function replaceCitations(text, replacer) {
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(CODE_PATTERN)) {
+        result += text.slice(last, match.index).replace(CITATION_PATTERN, replacer) + match[0];
+        last = match.index + match[0].length;
+    }
+    return result + text.slice(last).replace(CITATION_PATTERN, replacer);
+}
+
+function parseIds(marker) {
+    return marker.match(/\d+/g).map(Number);
+}
+
+/**
+ * 分块在来源文件中的位置
+ * @returns {{page?: number, lines?: {from: number, to: number}, section?: string}}
+ */
+export function getSourceLocation(metadata = {}) {
+    const location = {};
+    if (metadata.page) {
+        location.page = metadata.page;
+    }
+    if (metadata.loc?.lines) {
+        location.lines = { from: metadata.loc.lines.from, to: metadata.loc.lines.to };
+    }
+    if (metadata.section) {
+        location.section = metadata.section;
+    }
+    return location;
+}
+
+/**
+ * 来源的可读描述，如 "docs/guide.md 第 12-20 行 · 安装 > 步骤"
+ * 工作目录下的文件显示相对路径
+ */
+export function formatSource({ source, location = {} }) {
+    const parts = [];
+    if (source) {
+        const relative = path.relative(process.cwd(), source);
+        parts.push(relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : source);
+    }
+    if (location.page) {
+        parts.push(`第 ${location.page} 页`);
+    }
+    if (location.lines) {
+        const { from, to } = location.lines;
+        parts.push(from === to ? `第 ${from} 行` : `第 ${from}-${to} 行`);
+    }
+    const text = parts.join(' ');
+    return location.section ? `${text} · ${location.section}` : text;
+}
+
+// 去掉文本中的引用标记，返回剩余文本和引用编号
+export function extractCitations(text) {
+    const ids = new Set();
+    const stripped = replaceCitations(String(text), marker => {
+        parseIds(marker).forEach(id => ids.add(id));
+        return '';
+    });
+    return { text: stripped, ids: Array.from(ids) };
+}
+
+/**
+ * 校验回答中的引用标记，代码中的方括号不视为引用
+ * 一组标记中同时有有效和无效编号时移除无效编号，避免给出无法核对的来源；
+ * 全部编号都无效的标记可能是年份、脚注等正文内容，保留原文，只在 invalid 中报告
+ * @param {string} answer 模型回答
+ * @param {Array<{id: number}>} references 检索结果引用
+ * @returns {{answer: string, cited: number[], invalid: number[]}}
+ */
+export function validateCitations(answer, references = []) {
+    const validIds = new Set(references.map(reference => reference.id));
+    const cited = new Set();
+    const invalid = new Set();
+
+    const cleaned = replaceCitations(String(answer), marker => {
+        const ids = parseIds(marker);
+        const valid = ids.filter(id => validIds.has(id));
+        ids.filter(id => !validIds.has(id)).forEach(id => invalid.add(id));
+        if (valid.length === 0) {
+            return marker;
+        }
+        valid.forEach(id => cited.add(id));
+        return valid.map(id => `[${id}]`).join('');
+    });
+
+    return {
+        answer: cleaned,
+        cited: Array.from(cited).sort((a, b) => a - b),
+        invalid: Array.from(invalid).sort((a, b) => a - b)
+    };
+}
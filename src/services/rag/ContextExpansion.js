@@ -0,0 +1,160 @@
+// 上下文扩展方式：none（只用命中的分块）、neighbors（加入同一文件中前后相邻的分块）、parent（使用分块所在的章节）
+export const EXPANSION_MODES = ['none', 'neighbors', 'parent'];
+
+// 相邻分块的重叠部分少于该长度时不视为重叠，避免误删恰好相同的单个字符
+const MIN_OVERLAP = 8;
+
+// 前一段结尾与后一段开头相同的最长部分
+function overlapLength(previous, next, maxOverlap) {
+    const limit = Math.min(previous.length, next.length, maxOverlap);
+    for (let length = limit; length >= MIN_OVERLAP; length--) {
+        if (previous.endsWith(next.slice(0, length))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * 按顺序拼接同一文件中相邻的分块，去掉分块之间因 chunkOverlap 重复的文本
+ * @param {string[]} contents
+ * @param {number} maxOverlap 检查的最大重叠长度
+ */
+export function joinChunks(contents, maxOverlap = 2000) {
+    return contents.reduce((text, content) => {
+        if (!text) {
+            return content;
+        }
+        const overlap = overlapLength(text, content, maxOverlap);
+        return overlap > 0 ? text + content.slice(overlap) : `${text}\n${content}`;
+    }, '');
+}
+
+// index 前后各 count 个与其来源相同且连续的分块范围
+function neighborRange(vectors, index, count) {
+    const source = vectors[index].metadata?.source;
+    let from = index;
+    let to = index;
+    while (from > 0 && index - from < count && vectors[from - 1].metadata?.source === source) {
+        from--;
+    }
+    while (to < vectors.length - 1 && to - index < count && vectors[to + 1].metadata?.source === source) {
+        to++;
+    }
+    return { from, to };
+}
+
+/**
+ * 把检索结果扩展为注入提示词的段落
+ * 同一章节或范围重叠、相邻的结果合并为一个段落，避免重复注入相同的内容；段落按其中最靠前的结果排序
+ * @param {Array<{knowledgeBase: string, chunkId: number}>} hits 按排名排列的检索结果，chunkId 为分块在知识库中的下标
+ * @param {Object} options
+ * @param {string} options.mode EXPANSION_MODES 之一
+ * @param {number} options.neighbors neighbors 方式以及 parent 方式退回时前后各加入的分块数量
+ * @param {Function} options.getVectors (knowledgeBase) => 知识库的全部分块
+ * @param {Function} options.getParent (knowledgeBase, vector) => { key, content } 或 null，
+ *   没有保存章节或章节过长时返回 null，此时改用相邻分块
+ * @returns {Array<{hits: number[], knowledgeBase: string, content: string, expanded: boolean, parent: string|null}>}
+ *   hits 为段落包含的检索结果在 hits 中的下标
+ */
+export function expandHits(hits, { mode, neighbors = 1, getVectors, getParent = () => null }) {
+    const groups = [];
+
+    hits.forEach((hit, hitIndex) => {
+        const vectors = getVectors(hit.knowledgeBase);
+        const vector = vectors[hit.chunkId];
+        const parent = mode === 'parent' ? getParent(hit.knowledgeBase, vector) : null;
+
+        if (parent) {
+            const existing = groups.find(group => group.knowledgeBase === hit.knowledgeBase && group.parent === parent.key);
+            if (existing) {
+                existing.hits.push(hitIndex);
+            } else {
+                groups.push({ hits: [hitIndex], knowledgeBase: hit.knowledgeBase, parent: parent.key, content: parent.content });
+            }
+            return;
+        }
+
+        const source = vector.metadata?.source;
+        const current = {
+            hits: [hitIndex],
+            knowledgeBase: hit.knowledgeBase,
+            source,
+            range: mode === 'none'
+                ? { from: hit.chunkId, to: hit.chunkId }
+                : neighborRange(vectors, hit.chunkId, neighbors),
+            parent: null
+        };
+        // 与已有段落重叠或相邻时合并，合并后的范围可能又与其他段落相连，依次吸收；
+        // 合并后的段落放在被合并段落中最靠前的位置
+        let position = groups.length;
+        let overlapping;
+        while ((overlapping = groups.find(group =>
+            group.range &&
+            group.knowledgeBase === current.knowledgeBase &&
+            group.source === source &&
+            current.range.from <= group.range.to + 1 &&
+            current.range.to >= group.range.from - 1
+        ))) {
+            const index = groups.indexOf(overlapping);
+            groups.splice(index, 1);
+            position = Math.min(position, index);
+            current.range = {
+                from: Math.min(current.range.from, overlapping.range.from),
+                to: Math.max(current.range.to, overlapping.range.to)
+            };
+            current.hits.push(...overlapping.hits);
+        }
+        groups.splice(Math.min(position, groups.length), 0, current);
+    });
+
+    return groups.map(group => {
+        const hitIndexes = group.hits.sort((a, b) => a - b);
+        if (!group.range) {
+            return { hits: hitIndexes, knowledgeBase: group.knowledgeBase, content: group.content, expanded: true, parent: group.parent };
+        }
+        const vectors = getVectors(group.knowledgeBase);
+        const { from, to } = group.range;
+        return {
+            hits: hitIndexes,
+            knowledgeBase: group.knowledgeBase,
+            content: joinChunks(vectors.slice(from, to + 1).map(vector => vector.content)),
+            expanded: to - from + 1 > hitIndexes.length,
+            parent: null
+        };
+    });
+}
+
+/**
+ * 在 token 预算内选择段落
+ * 按顺序加入段落，超出预算的扩展段落退回为只包含命中分块的内容，仍然超出时跳过；
+ * 第一个段落总会保留，保证上下文不为空
+ * @param {Array} groups expandHits 的结果，按排名排列
+ * @param {{budget: number|null, measure: Function, fallback: Function}} options
+ *   measure(group) 返回段落注入后的 token 数量，fallback(group) 返回只包含命中分块的段落
+ * @returns {{groups: Array, tokens: number, dropped: number}}
+ */
+export function packGroups(groups, { budget, measure, fallback }) {
+    const packed = [];
+    let tokens = 0;
+    let dropped = 0;
+
+    for (const group of groups) {
+        const candidates = group.expanded ? [group, fallback(group)] : [group];
+        let accepted = null;
+        for (const candidate of candidates) {
+            const size = measure(candidate);
+            if (!budget || tokens + size <= budget || packed.length === 0 && candidate === candidates[candidates.length - 1]) {
+                accepted = { ...candidate, tokens: size };
+                break;
+            }
+        }
+        if (accepted) {
+            packed.push(accepted);
+            tokens += accepted.tokens;
+        } else {
+            dropped += group.hits.length;
+        }
+    }
+    return { groups: packed, tokens, dropped };
+}
@@ -0,0 +1,271 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+import { ErrorCodes } from '../../utils/ErrorHandler.js';
+import { buildRagPrompt, validateCitations } from './Citations.js';
+
+// 发送给评估模型的参考内容最大长度
+const MAX_JUDGE_CONTEXT_LENGTH = 12000;
+
+const JUDGE_PROMPT = `你是一个 RAG 回答质量评估器。根据给出的参考内容评估回答：
+- faithfulness：回答中的陈述有多大比例能由参考内容支持，0 到 1，回答表示无法回答且没有编造内容时为 1
+- correctness：给出标准答案时，回答与标准答案在事实上的一致程度，0 到 1；没有标准答案时为 null
+- unsupported：参考内容无法支持的陈述，没有则为空数组
+只输出 JSON 对象，格式为 {"faithfulness": 分数, "correctness": 分数或 null, "unsupported": ["..."]}，不要输出其他内容。`;
+
+/**
+ * 读取评估集，JSON Lines 格式，每行一个问题：
+ *   { "question": "...", "expectedChunks": ["docs#3"], "expectedSources": ["guide.md"], "referenceAnswer": "..." }
+ * expectedChunks 为期望检索到的分块编号，expectedSources 为期望检索到的来源文件（按文件路径结尾匹配），
+ * 两者至少提供一个才计算召回率；可选字段 knowledgeBase、knowledgeBases、filter 覆盖评估时的检索范围
+ * @returns {Promise<Object[]>}
+ */
+export async function loadEvalSet(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return content.split('\n')
+        .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('//'))
+        .map(({ line, lineNumber }) => {
+            let testCase;
+            try {
+                testCase = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`评估集第 ${lineNumber} 行不是有效的 JSON: ${error.message}`);
+            }
+            if (typeof testCase.question !== 'string' || !testCase.question.trim()) {
+                throw new Error(`评估集第 ${lineNumber} 行缺少 question`);
+            }
+            return {
+                id: testCase.id ?? lineNumber,
+                ...testCase,
+                expectedChunks: testCase.expectedChunks || [],
+                expectedSources: testCase.expectedSources || []
+            };
+        });
+}
+
+// 统一路径分隔符，Windows 路径也能按结尾匹配
+function normalizePath(value) {
+    return String(value).replace(/\\/g, '/');
+}
+
+function matchesSource(source, expected) {
+    if (!source) {
+        return false;
+    }
+    const actual = normalizePath(source);
+    const target = normalizePath(expected);
+    return actual === target || actual.endsWith(`/${target}`) || path.basename(actual) === target;
+}
+
+// 期望项：分块编号或来源文件，检索结果命中任一期望项即视为相关
+function getExpectations(testCase) {
+    return [
+        ...testCase.expectedChunks.map(chunkId => reference => reference.chunkId === chunkId),
+        ...testCase.expectedSources.map(source => reference => matchesSource(reference.source, source))
+    ];
+}
+
+export function isRelevant(reference, testCase) {
+    return getExpectations(testCase).some(matches => matches(reference));
+}
+
+/**
+ * recall@k：前 k 个检索结果覆盖的期望项比例
+ * @param {Array<{chunkId: string, source: string}>} references 按排名排列的检索结果
+ * @returns {number|null} 没有期望项时为 null
+ */
+export function recallAtK(references, testCase, k) {
+    const expectations = getExpectations(testCase);
+    if (expectations.length === 0) {
+        return null;
+    }
+    const top = references.slice(0, k);
+    const found = expectations.filter(matches => top.some(matches)).length;
+    return found / expectations.length;
+}
+
+// 第一个相关结果排名的倒数，没有相关结果时为 0，没有期望项时为 null
+export function reciprocalRank(references, testCase) {
+    if (getExpectations(testCase).length === 0) {
+        return null;
+    }
+    const rank = references.findIndex(reference => isRelevant(reference, testCase));
+    return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+function average(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+function percentile(values, p) {
+    const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return null;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * RAG 评估：用评估集的问题依次检索并生成回答，统计召回率、MRR、回答忠实度和耗时
+ * 检索使用 RAGService.processMessage，回答使用与对话相同的提示词和引用校验，
+ * 忠实度和正确性由聊天模型根据检索内容打分。retrievalOnly 时只评估检索，不调用模型
+ */
+export class RagEvaluator {
+    constructor(ragService, { client = null } = {}) {
+        this.ragService = ragService;
+        this.client = client;
+    }
+
+    _getClient() {
+        // 只评估检索时不依赖 OpenAI 配置
+        this.client = this.client || OpenAIClient.getInstance();
+        return this.client;
+    }
+
+    async _answer(question, ragResult) {
+        const response = await this._getClient().chatCompletion([
+            new SystemMessage(buildRagPrompt(ragResult.context, question)),
+            new HumanMessage(question)
+        ]);
+        return validateCitations(response, ragResult.metadata?.references || []).answer;
+    }
+
+    // 解析评估模型的输出，分数限制在 [0, 1]
+    _parseJudgement(response) {
+        const match = String(response).match(/\{[\s\S]*\}/);
+        if (!match) {
+            throw new Error('评估模型未返回有效的 JSON');
+        }
+        const result = JSON.parse(match[0]);
+        const clamp = value => (value === null || value === undefined || !Number.isFinite(Number(value)))
+            ? null
+            : Math.min(Math.max(Number(value), 0), 1);
+        return {
+            faithfulness: clamp(result.faithfulness),
+            correctness: clamp(result.correctness),
+            unsupported: Array.isArray(result.unsupported) ? result.unsupported.map(String) : []
+        };
+    }
+
+    async _judge(testCase, context, answer) {
+        const parts = [
+            `参考内容：\n${String(context).slice(0, MAX_JUDGE_CONTEXT_LENGTH)}`,
+            `问题：${testCase.question}`,
+            `回答：${answer}`
+        ];
+        if (testCase.referenceAnswer) {
+            parts.push(`标准答案：${testCase.referenceAnswer}`);
+        }
+        const response = await this._getClient().toolsCompletion([
+            new SystemMessage(JUDGE_PROMPT),
+            new HumanMessage(parts.join('\n\n'))
+        ]);
+        return this._parseJudgement(response);
+    }
+
+    /**
+     * 评估单个问题
+     * @param {Object} testCase loadEvalSet 返回的问题
+     * @param {{k: number, retrievalOnly?: boolean, searchOptions?: Object}} options searchOptions 传给 processMessage
+     */
+    async evaluateCase(testCase, { k, retrievalOnly = false, searchOptions = {} }) {
+        const result = {
+            id: testCase.id,
+            question: testCase.question,
+            retrieved: [],
+            noHit: false,
+            recall: null,
+            reciprocalRank: null,
+            latency: { retrieval: null, answer: null }
+        };
+
+        let ragResult = null;
+        const retrievalStart = Date.now();
+        try {
+            ragResult = await this.ragService.processMessage(testCase.question, {
+                ...searchOptions,
+                ...(testCase.knowledgeBase ? { knowledgeBase: testCase.knowledgeBase } : {}),
+                ...(testCase.knowledgeBases ? { knowledgeBases: testCase.knowledgeBases } : {}),
+                ...(testCase.filter ? { filter: testCase.filter } : {}),
+                limit: k
+            });
+        } catch (error) {
+            // 未命中计为检索失败，其他错误（如知识库不存在）中止评估
+            if (error.code !== ErrorCodes.RAG_NO_HIT) {
+                throw error;
+            }
+            result.noHit = true;
+        }
+        result.latency.retrieval = Date.now() - retrievalStart;
+
+        const references = ragResult?.metadata?.references || [];
+        result.retrieved = references.map(reference => ({
+            chunkId: reference.chunkId,
+            source: reference.source,
+            score: reference.score,
+            relevant: isRelevant(reference, testCase)
+        }));
+        result.recall = recallAtK(references, testCase, k);
+        result.reciprocalRank = reciprocalRank(references, testCase);
+
+        if (retrievalOnly || !ragResult) {
+            return result;
+        }
+
+        try {
+            const answerStart = Date.now();
+            result.answer = await this._answer(testCase.question, ragResult);
+            result.latency.answer = Date.now() - answerStart;
+            Object.assign(result, await this._judge(testCase, ragResult.context, result.answer));
+        } catch (error) {
+            console.error(`评估问题 ${testCase.id} 的回答失败:`, error);
+            result.error = error.message;
+        }
+        return result;
+    }
+
+    /**
+     * 依次评估全部问题，问题之间不共享对话历史
+     * @param {Object[]} cases loadEvalSet 返回的问题
+     * @param {{k?: number, retrievalOnly?: boolean, searchOptions?: Object, onProgress?: Function}} options
+     * @returns {Promise<{summary: Object, results: Object[]}>}
+     */
+    async evaluate(cases, { k = 5, retrievalOnly = false, searchOptions = {}, onProgress = null } = {}) {
+        const results = [];
+        for (const testCase of cases) {
+            const result = await this.evaluateCase(testCase, { k, retrievalOnly, searchOptions });
+            results.push(result);
+            onProgress?.(result, results.length, cases.length);
+        }
+        return { summary: this.summarize(results, { k, retrievalOnly, searchOptions }), results };
+    }
+
+    // 汇总指标：未提供期望项或未生成回答的问题不计入对应指标
+    summarize(results, { k, retrievalOnly, searchOptions }) {
+        const retrievalLatencies = results.map(result => result.latency.retrieval);
+        const answerLatencies = results.map(result => result.latency.answer);
+        return {
+            questions: results.length,
+            k,
+            retrievalOnly,
+            retrievalMode: searchOptions.retrievalMode || null,
+            noHitRate: results.length > 0 ? results.filter(result => result.noHit).length / results.length : 0,
+            recallAtK: average(results.map(result => result.recall)),
+            mrr: average(results.map(result => result.reciprocalRank)),
+            faithfulness: average(results.map(result => result.faithfulness)),
+            correctness: average(results.map(result => result.correctness)),
+            errors: results.filter(result => result.error).length,
+            latency: {
+                retrievalAvg: average(retrievalLatencies),
+                retrievalP95: percentile(retrievalLatencies, 0.95),
+                answerAvg: average(answerLatencies),
+                answerP95: percentile(answerLatencies, 0.95)
+            }
+        };
+    }
+}
+
+export default RagEvaluator;
@@ -0,0 +1,175 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+import { tokenize } from './BM25Index.js';
+import { sentenceUnits } from './chunkers/utils.js';
+import { extractCitations } from './Citations.js';
+
+// 支持的依据检查方式：lexical 只比较字面重合，llm 由聊天模型复核字面重合不足的句子
+export const GROUNDING_METHODS = ['lexical', 'llm'];
+
+// 少于该数量词元的句子（如“好的。”）不作为陈述检查，中文两个字为三个词元
+const MIN_CLAIM_TOKENS = 4;
+
+// 发送给模型的单个分块最大长度
+const MAX_PASSAGE_LENGTH = 800;
+
+// 列表符号、标题符号等不属于陈述内容
+const LEADING_MARKUP = /^\s*(?:[-*+>#]+|\d+[.)、])\s*/;
+
+const JUDGE_PROMPT = `你是一个事实核查器。根据给出的参考段落，判断每条陈述是否有依据：
+陈述的内容能由参考段落直接得出或合理概括时为有依据，参考段落中没有或与之矛盾时为无依据。
+只输出 JSON 数组，格式为 [{"id": 陈述编号, "supported": true 或 false}]，不要输出其他内容。`;
+
+/**
+ * 把回答拆分为需要核对的陈述，按句子切分，列表项和段落也各自成句
+ * @returns {Array<{text: string, start: number, end: number, citations: number[]}>}
+ *   start、end 为陈述在回答中的位置，citations 为句中标注的引用编号
+ */
+export function splitClaims(answer) {
+    const text = String(answer);
+    const units = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        units.push(...sentenceUnits(text, offset, offset + line.length));
+        offset += line.length + 1;
+    }
+
+    return units
+        .map(({ start, end }) => {
+            const { text: content, ids } = extractCitations(text.slice(start, end));
+            return {
+                // 去掉引用标记后留在标点前的空格
+                text: content.replace(LEADING_MARKUP, '').replace(/\s+(?=[.,;:!?。，；：！？])/g, '').trim(),
+                start,
+                end,
+                citations: ids
+            };
+        })
+        .filter(claim => tokenize(claim.text).length >= MIN_CLAIM_TOKENS);
+}
+
+// 与回答对照的段落：上下文扩展后模型看到的是扩展后的段落
+function passageOf(reference) {
+    return reference.expanded || reference.excerpt;
+}
+
+// 陈述的词元在段落中出现的比例
+function coverage(claimTokens, passageTokens) {
+    if (claimTokens.size === 0) {
+        return 0;
+    }
+    let found = 0;
+    for (const token of claimTokens) {
+        if (passageTokens.has(token)) {
+            found++;
+        }
+    }
+    return found / claimTokens.size;
+}
+
+/**
+ * RAG 回答的依据检查
+ * 把回答拆分为陈述，逐条与检索到的分块比较字面重合程度（中文按单字和双字），
+ * 覆盖率达到 threshold 的陈述视为有依据；method 为 llm 时，字面重合不足的陈述再交给聊天模型判断，
+ * 模型调用失败时保留字面比较的结果
+ */
+export class GroundingChecker {
+    constructor({ method = 'lexical', threshold = 0.5, client = null } = {}) {
+        if (!GROUNDING_METHODS.includes(method)) {
+            throw new Error(`不支持的依据检查方式: ${method}。支持: ${GROUNDING_METHODS.join(', ')}`);
+        }
+        this.method = method;
+        this.threshold = threshold;
+        this.client = client;
+    }
+
+    _checkLexical(claims, references) {
+        const passages = references.map(reference => new Set(tokenize(passageOf(reference))));
+        return claims.map(claim => {
+            const claimTokens = new Set(tokenize(claim.text));
+            const scores = passages.map(passage => coverage(claimTokens, passage));
+            const best = Math.max(0, ...scores);
+            return {
+                ...claim,
+                coverage: best,
+                supported: best >= this.threshold,
+                // 支持该陈述的检索结果编号
+                sources: references
+                    .filter((_, index) => scores[index] >= this.threshold)
+                    .map(reference => reference.id),
+                judgedBy: 'lexical'
+            };
+        });
+    }
+
+    _buildJudgePrompt(claims, references) {
+        const passages = references
+            .map(reference => `[${reference.id}] ${String(passageOf(reference)).slice(0, MAX_PASSAGE_LENGTH)}`)
+            .join('\n\n');
+        const statements = claims.map((claim, index) => `${index + 1}. ${claim.text}`).join('\n');
+        return `参考段落：\n${passages}\n\n陈述：\n${statements}`;
+    }
+
+    async _judge(claims, references) {
+        // 首次使用时才获取客户端，只做字面比较时不依赖 OpenAI 配置
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.toolsCompletion([
+            new SystemMessage(JUDGE_PROMPT),
+            new HumanMessage(this._buildJudgePrompt(claims, references))
+        ]);
+        const match = String(response).match(/\[[\s\S]*\]/);
+        if (!match) {
+            throw new Error('依据检查模型未返回有效的 JSON');
+        }
+        // 未给出判断的陈述保持字面比较的结果
+        const verdicts = new Map();
+        for (const item of JSON.parse(match[0])) {
+            if (typeof item?.supported === 'boolean') {
+                verdicts.set(Number(item.id) - 1, item.supported);
+            }
+        }
+        return verdicts;
+    }
+
+    /**
+     * 检查回答
+     * @param {string} answer 模型回答
+     * @param {Array<{id: number, excerpt: string, expanded?: string}>} references 检索结果，即 metadata.references
+     * @returns {Promise<{method: string, score: number|null, supported: number, total: number, claims: Array, unsupported: string[]}>}
+     *   score 为有依据的陈述比例，没有需要检查的陈述时为 null
+     */
+    async check(answer, references = []) {
+        const claims = this._checkLexical(splitClaims(answer), references);
+        let judgeError = null;
+
+        const doubtful = claims.filter(claim => !claim.supported);
+        if (this.method === 'llm' && doubtful.length > 0 && references.length > 0) {
+            try {
+                const verdicts = await this._judge(doubtful, references);
+                doubtful.forEach((claim, index) => {
+                    if (verdicts.has(index)) {
+                        claim.supported = verdicts.get(index);
+                        claim.judgedBy = 'llm';
+                    }
+                });
+            } catch (error) {
+                console.error('依据检查模型调用失败，使用字面比较结果:', error.message);
+                judgeError = error.message;
+            }
+        }
+
+        const supported = claims.filter(claim => claim.supported).length;
+        return {
+            method: this.method,
+            threshold: this.threshold,
+            score: claims.length > 0 ? supported / claims.length : null,
+            supported,
+            total: claims.length,
+            claims,
+            unsupported: claims.filter(claim => !claim.supported).map(claim => claim.text),
+            ...(judgeError ? { judgeError } : {})
+        };
+    }
+}
+
+export default GroundingChecker;
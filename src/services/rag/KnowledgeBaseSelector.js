@@ -0,0 +1,81 @@
+// 选择器条件的前缀，没有前缀的条件按知识库名称匹配
+const PREFIXES = ['tag', 'collection'];
+
+/**
+ * 解析多知识库模式的知识库选择，多个条件以逗号或空格分隔，满足任一条件的知识库都会被选中：
+ *   hr,finance          按名称
+ *   tag:policy          按知识库标签
+ *   collection:legal    按预先定义的知识库集合
+ * @param {string|string[]} selector
+ * @returns {string[]} 规范化后的条件，原样保存，每次检索时重新匹配
+ */
+export function parseSelector(selector) {
+    const terms = (Array.isArray(selector) ? selector : [selector])
+        .flatMap(term => String(term).split(/[,，\s]+/))
+        .map(term => term.trim())
+        .filter(Boolean);
+
+    if (terms.length === 0) {
+        throw new Error('知识库选择不能为空');
+    }
+    for (const term of terms) {
+        const separator = term.indexOf(':');
+        if (separator !== -1 && !PREFIXES.includes(term.slice(0, separator))) {
+            throw new Error(`无效的知识库选择 "${term}"，支持: 名称、tag:<标签>、collection:<集合>`);
+        }
+        if (separator !== -1 && separator === term.length - 1) {
+            throw new Error(`知识库选择 "${term}" 缺少${term.startsWith('tag') ? '标签' : '集合名称'}`);
+        }
+    }
+    return Array.from(new Set(terms));
+}
+
+/**
+ * 按选择器匹配知识库，结果按 knowledgeBases 中的顺序排列
+ * @param {string[]} terms parseSelector 的结果
+ * @param {{knowledgeBases: Map<string, {tags?: string[]}>, collections: Object<string, string[]>}} context
+ * @param {{strict?: boolean}} options strict 为 true 时，不存在的名称、集合或没有匹配的标签会报错；
+ *   检索时不报错，跳过已删除的知识库
+ * @returns {string[]}
+ */
+export function resolveSelector(terms, { knowledgeBases, collections = {} }, { strict = false } = {}) {
+    const selected = new Set();
+    const fail = message => {
+        if (strict) {
+            throw new Error(message);
+        }
+    };
+
+    for (const term of terms) {
+        if (term.startsWith('tag:')) {
+            const tag = term.slice('tag:'.length);
+            const matched = Array.from(knowledgeBases.entries())
+                .filter(([, kb]) => (kb.tags || []).includes(tag))
+                .map(([name]) => name);
+            if (matched.length === 0) {
+                fail(`没有标签为 "${tag}" 的知识库`);
+            }
+            matched.forEach(name => selected.add(name));
+        } else if (term.startsWith('collection:')) {
+            const collection = term.slice('collection:'.length);
+            if (!collections[collection]) {
+                fail(`知识库集合 "${collection}" 不存在`);
+                continue;
+            }
+            collections[collection]
+                .filter(name => knowledgeBases.has(name))
+                .forEach(name => selected.add(name));
+        } else if (knowledgeBases.has(term)) {
+            selected.add(term);
+        } else {
+            fail(`知识库 "${term}" 不存在`);
+        }
+    }
+
+    return Array.from(knowledgeBases.keys()).filter(name => selected.has(name));
+}
+
+// 选择器的可读形式，如 "hr, tag:policy"
+export function formatSelector(terms) {
+    return terms && terms.length > 0 ? terms.join(', ') : '全部知识库';
+}
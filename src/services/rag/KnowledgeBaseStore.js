@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// 索引文件格式版本，格式不兼容时递增
+const INDEX_FORMAT_VERSION = 3;
+
+/**
+ * 知识库索引的磁盘持久化
+ * 每个知识库保存为一个 JSON 文件，包含分块内容、向量和元数据，
+ * 重启后可直接恢复，无需重新调用 embedding 接口。
+ * 每次内容变化的构建另存为一个带编号的版本（versions/<知识库>/<版本号>.json），
+ * 版本同样包含完整的向量，回滚时不需要重新生成向量，因此只保留最近的 maxVersions 个版本
+ */
+export class KnowledgeBaseStore {
+    /**
+     * @param {string} storagePath 索引目录
+     * @param {{maxVersions?: number}} options 每个知识库保留的版本数量，0 表示全部保留
+     */
+    constructor(storagePath = path.join(process.cwd(), 'kb-data'), { maxVersions = 10 } = {}) {
+        this.storagePath = storagePath;
+        this.maxVersions = maxVersions;
+    }
+
+    // 计算文件内容哈希
+    static hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // 知识库名称转为安全的文件名
+    _getIndexFile(name) {
+        const safeName = encodeURIComponent(name);
+        return path.join(this.storagePath, `${safeName}.json`);
+    }
+
+    _getVersionDir(name) {
+        return path.join(this.storagePath, 'versions', encodeURIComponent(name));
+    }
+
+    // 版本清单，保存各版本的摘要，列出版本时不需要读取包含向量的版本文件
+    _getManifestFile(name) {
+        return path.join(this._getVersionDir(name), 'manifest.json');
+    }
+
+    // 先写临时文件再重命名，避免写入中断导致文件损坏
+    async _writeJson(file, data) {
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data), 'utf8');
+        await fs.rename(tempFile, file);
+    }
+
+    // 版本摘要：来源文件哈希、分块数量、embedding 模型和创建时间
+    static summarizeVersion(record) {
+        return {
+            version: record.version,
+            createdAt: record.createdAt,
+            embeddingModel: record.embeddingModel,
+            chunker: record.chunker || null,
+            chunkCount: record.vectors.length,
+            sources: Object.fromEntries(
+                Object.entries(record.sources || {}).map(([file, source]) => [file, source.hash])
+            )
+        };
+    }
+
+    async save(name, record) {
+        await fs.mkdir(this.storagePath, { recursive: true });
+        const data = {
+            formatVersion: INDEX_FORMAT_VERSION,
+            name,
+            updatedAt: new Date().toISOString(),
+            ...record
+        };
+        await this._writeJson(this._getIndexFile(name), data);
+        return true;
+    }
+
+    /**
+     * 保存知识库的新版本，版本号从 1 开始递增，删除知识库后重新添加时继续编号；
+     * 超过 maxVersions 时删除最早的版本
+     * @returns {Promise<number>} 新版本号
+     */
+    async saveVersion(name, record) {
+        await fs.mkdir(this._getVersionDir(name), { recursive: true });
+        const versions = await this.listVersions(name);
+        const version = (versions[versions.length - 1]?.version || 0) + 1;
+        const data = {
+            formatVersion: INDEX_FORMAT_VERSION,
+            name,
+            ...record,
+            version,
+            createdAt: new Date().toISOString()
+        };
+
+        await this._writeJson(path.join(this._getVersionDir(name), `${version}.json`), data);
+        const entries = [...versions, KnowledgeBaseStore.summarizeVersion(data)];
+        const removed = this.maxVersions > 0 ? entries.splice(0, Math.max(0, entries.length - this.maxVersions)) : [];
+        await this._writeJson(this._getManifestFile(name), entries);
+        await Promise.all(removed.map(entry =>
+            fs.rm(path.join(this._getVersionDir(name), `${entry.version}.json`), { force: true })
+        ));
+        return version;
+    }
+
+    // 版本摘要列表，按版本号升序
+    async listVersions(name) {
+        try {
+            return JSON.parse(await fs.readFile(this._getManifestFile(name), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`读取知识库 "${name}" 的版本清单失败:`, error);
+            }
+            return [];
+        }
+    }
+
+    async loadVersion(name, version) {
+        try {
+            const data = await fs.readFile(path.join(this._getVersionDir(name), `${version}.json`), 'utf8');
+            const record = JSON.parse(data);
+            return record.formatVersion === INDEX_FORMAT_VERSION ? record : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`读取知识库 "${name}" 版本 ${version} 失败:`, error);
+            }
+            return null;
+        }
+    }
+
+    // 删除知识库的全部版本
+    async removeVersions(name) {
+        await fs.rm(this._getVersionDir(name), { recursive: true, force: true });
+    }
+
+    async load(name) {
+        try {
+            const data = await fs.readFile(this._getIndexFile(name), 'utf8');
+            const record = JSON.parse(data);
+            if (record.formatVersion !== INDEX_FORMAT_VERSION) {
+                console.log(`知识库索引 "${name}" 格式版本不兼容，忽略`);
+                return null;
+            }
+            return record;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`读取知识库索引 "${name}" 失败:`, error);
+            }
+            return null;
+        }
+    }
+
+    async loadAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.storagePath);
+        } catch (error) {
+            return [];
+        }
+
+        const records = await Promise.all(
+            files
+                .filter(file => file.endsWith('.json'))
+                .map(file => this.load(decodeURIComponent(path.basename(file, '.json'))))
+        );
+        return records.filter(Boolean);
+    }
+
+    async remove(name) {
+        try {
+            await fs.unlink(this._getIndexFile(name));
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`删除知识库索引 "${name}" 失败:`, error);
+            }
+            return false;
+        }
+    }
+}
+
+export default KnowledgeBaseStore;
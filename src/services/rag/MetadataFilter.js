@@ -0,0 +1,146 @@
+import path from 'path';
+
+// 对象形式中的运算符与文本运算符的对应关系
+const OBJECT_OPERATORS = {
+    $eq: '=',
+    $in: '=',
+    $ne: '!=',
+    $gt: '>',
+    $gte: '>=',
+    $lt: '<',
+    $lte: '<=',
+    $contains: '~'
+};
+
+const CLAUSE_PATTERN = /\s*([\w.]+)\s*(>=|<=|!=|=|>|<|~)\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^\s"']+)\s*/y;
+
+/**
+ * 解析文本过滤表达式，多个条件以空格分隔，全部满足才匹配
+ *   year>=2024 section~安装 tags=faq,发布 file="2024 年报.pdf"
+ * 运算符：= 等于（逗号分隔表示任一值，数组字段表示包含）、!= 不等于、
+ * > >= < <= 比较（数字按数值，其余按字符串，适用于 ISO 日期）、~ 包含子串
+ * @returns {Array<{field: string, operator: string, values: Array}>}
+ */
+export function parseFilter(expression) {
+    const conditions = [];
+    const text = expression.trim();
+    CLAUSE_PATTERN.lastIndex = 0;
+
+    while (CLAUSE_PATTERN.lastIndex < text.length) {
+        const start = CLAUSE_PATTERN.lastIndex;
+        const match = CLAUSE_PATTERN.exec(text);
+        if (!match) {
+            throw new Error(`无效的过滤条件: "${text.slice(start)}"`);
+        }
+        const [, field, operator, raw] = match;
+        const quoted = /^["']/.test(raw);
+        const value = quoted ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+        conditions.push({
+            field,
+            operator,
+            values: quoted ? [value] : value.split(',').filter(Boolean)
+        });
+    }
+
+    if (conditions.length === 0) {
+        throw new Error('过滤条件不能为空');
+    }
+    return conditions;
+}
+
+// 对象形式：{ year: 2024, tags: ['faq', '发布'], section: { $contains: '安装' } }
+function conditionsFromObject(filter) {
+    return Object.entries(filter).flatMap(([field, condition]) => {
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+            return Object.entries(condition).map(([key, value]) => {
+                const operator = OBJECT_OPERATORS[key];
+                if (!operator) {
+                    throw new Error(`不支持的过滤运算符: ${key}`);
+                }
+                return { field, operator, values: [].concat(value) };
+            });
+        }
+        return [{ field, operator: '=', values: [].concat(condition) }];
+    });
+}
+
+/**
+ * 读取元数据字段，支持点号路径（如 loc.lines.from）和以下虚拟字段：
+ * - file：来源文件名
+ * - tag：tags 的别名
+ */
+function getField(metadata, field) {
+    if (field === 'file') {
+        return metadata.source ? path.basename(metadata.source) : undefined;
+    }
+    if (field === 'tag') {
+        return metadata.tags;
+    }
+    return field.split('.').reduce((value, key) => value?.[key], metadata);
+}
+
+function isNumeric(value) {
+    return value !== '' && value !== null && !Number.isNaN(Number(value));
+}
+
+function compare(actual, expected) {
+    if (isNumeric(actual) && isNumeric(expected)) {
+        return Number(actual) - Number(expected);
+    }
+    return String(actual).localeCompare(String(expected));
+}
+
+function equals(actual, expected) {
+    if (isNumeric(actual) && isNumeric(expected)) {
+        return Number(actual) === Number(expected);
+    }
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+function testCondition(metadata, { field, operator, values }) {
+    const actual = getField(metadata, field);
+    // 数组字段（如 tags）任一元素满足即可
+    const actuals = Array.isArray(actual) ? actual : [actual];
+    const present = actuals.filter(value => value !== undefined && value !== null);
+
+    switch (operator) {
+        case '=':
+            return present.some(value => values.some(expected => equals(value, expected)));
+        case '!=':
+            return !present.some(value => values.some(expected => equals(value, expected)));
+        case '~':
+            return present.some(value => values.some(expected =>
+                String(value).toLowerCase().includes(String(expected).toLowerCase())
+            ));
+        case '>':
+            return present.some(value => compare(value, values[0]) > 0);
+        case '>=':
+            return present.some(value => compare(value, values[0]) >= 0);
+        case '<':
+            return present.some(value => compare(value, values[0]) < 0);
+        case '<=':
+            return present.some(value => compare(value, values[0]) <= 0);
+        default:
+            throw new Error(`不支持的过滤运算符: ${operator}`);
+    }
+}
+
+/**
+ * 将过滤条件编译为 (metadata) => boolean
+ * 接受文本表达式、对象或函数；为空时返回 null，表示不过滤
+ */
+export function compileFilter(filter) {
+    if (filter === undefined || filter === null || filter === '') {
+        return null;
+    }
+    if (typeof filter === 'function') {
+        return filter;
+    }
+
+    const conditions = typeof filter === 'string'
+        ? parseFilter(filter)
+        : conditionsFromObject(filter);
+    return metadata => conditions.every(condition => testCondition(metadata || {}, condition));
+}
+
+export default compileFilter;
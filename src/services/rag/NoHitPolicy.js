@@ -0,0 +1,51 @@
+/**
+ * 知识库未命中时的处理策略
+ * - general：基于通用知识回答，并声明回答未参考知识库
+ * - dont_know：直接回复无法回答，不调用模型
+ * - clarify：请用户澄清或补充问题
+ */
+export const NO_HIT_POLICIES = ['general', 'dont_know', 'clarify'];
+
+export const DONT_KNOW_REPLY = '抱歉，知识库中没有找到与这个问题相关的内容，我无法给出可靠的回答。';
+
+const POLICY_PROMPTS = {
+    general: `知识库中没有找到与用户问题相关的内容。请基于你的通用知识回答，
+并在回答开头明确说明：该回答未参考知识库内容，可能与知识库中的资料不一致。`,
+    clarify: `知识库中没有找到与用户问题相关的内容，可能是问题过于笼统、用词与资料不一致或缺少关键信息。
+不要直接回答问题，而是用一两句话向用户提出澄清问题，例如询问具体的产品、时间范围或术语，帮助用户改写问题后重新检索。`
+};
+
+export function validateNoHitPolicy(policy) {
+    if (!NO_HIT_POLICIES.includes(policy)) {
+        throw new Error(`不支持的未命中策略: ${policy}。支持: ${NO_HIT_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * 未命中时发给模型的系统提示词；dont_know 策略不需要调用模型，返回 null
+ * @param {string} policy
+ * @param {string[]} knowledgeBases 本次检索的知识库，帮助模型提出澄清问题
+ */
+export function getNoHitPrompt(policy, knowledgeBases = []) {
+    validateNoHitPolicy(policy);
+    if (policy === 'dont_know') {
+        return null;
+    }
+    const scope = knowledgeBases.length > 0 ? `\n本次检索的知识库: ${knowledgeBases.join(', ')}` : '';
+    return POLICY_PROMPTS[policy] + scope;
+}
+
+/**
+ * 未命中时按策略生成回答
+ * @param {{policy: string, knowledgeBases?: string[], buildMessages: Function, complete: Function}} options
+ *   buildMessages 由系统提示词组装发给模型的消息，complete 调用模型并返回回答
+ * @returns {Promise<string>}
+ */
+export async function answerWithoutHits({ policy, knowledgeBases = [], buildMessages, complete }) {
+    const prompt = getNoHitPrompt(policy, knowledgeBases);
+    if (!prompt) {
+        return DONT_KNOW_REPLY;
+    }
+    return complete(buildMessages(prompt));
+}
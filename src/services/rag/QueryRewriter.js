@@ -0,0 +1,97 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+
+// 单条历史消息在改写提示词中的最大长度
+const MAX_HISTORY_MESSAGE_LENGTH = 500;
+
+const CONDENSE_PROMPT = `根据对话历史，把用户的最新问题改写为一个可以独立理解的完整问题。
+补全其中的指代（如"它"、"第二个"、"那个方案"）和省略的主语、对象，保持原问题的语言和意图。
+如果问题本身已经完整，原样输出。只输出改写后的问题，不要回答问题。`;
+
+const EXPAND_PROMPT = `为下面的检索问题生成若干个不同说法的等价问题，用于扩大知识库检索的召回范围。
+可以替换同义词、调整句式或补充常见的相关术语，但不要改变问题的含义。
+只输出 JSON 字符串数组，不要输出其他内容。`;
+
+/**
+ * 检索前的问题改写
+ * - condense：结合对话历史把追问改写为独立问题
+ * - expand：生成多个等价问法，用于多查询检索
+ * 模型调用失败时退回原问题，不影响检索
+ */
+export class QueryRewriter {
+    constructor({ client = null, maxHistoryMessages = 6 } = {}) {
+        this.client = client;
+        this.maxHistoryMessages = maxHistoryMessages;
+    }
+
+    async _complete(systemPrompt, content) {
+        // 首次使用时才获取客户端，未启用改写时不依赖 OpenAI 配置
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.toolsCompletion([
+            new SystemMessage(systemPrompt),
+            new HumanMessage(content)
+        ]);
+        return String(response).trim();
+    }
+
+    _formatHistory(history) {
+        return history
+            .slice(-this.maxHistoryMessages)
+            .map(message => {
+                const role = message.role === 'user' ? '用户' : '助手';
+                return `${role}: ${String(message.content).slice(0, MAX_HISTORY_MESSAGE_LENGTH)}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * 改写为独立问题，没有对话历史时直接返回原问题
+     * @param {string} question 用户的最新问题
+     * @param {Array<{role: string, content: string}>} history 之前的对话消息
+     */
+    async condense(question, history = []) {
+        if (!history.length) {
+            return question;
+        }
+
+        try {
+            const rewritten = await this._complete(
+                CONDENSE_PROMPT,
+                `对话历史：\n${this._formatHistory(history)}\n\n最新问题：${question}`
+            );
+            return rewritten || question;
+        } catch (error) {
+            console.error('问题改写失败，使用原问题检索:', error.message);
+            return question;
+        }
+    }
+
+    /**
+     * 生成 count 个等价问法，结果不包含原问题
+     * @returns {Promise<string[]>}
+     */
+    async expand(question, count = 3) {
+        if (count <= 0) {
+            return [];
+        }
+
+        try {
+            const response = await this._complete(EXPAND_PROMPT, `问题：${question}\n数量：${count}`);
+            const match = response.match(/\[[\s\S]*\]/);
+            const queries = match
+                ? JSON.parse(match[0])
+                : response.split('\n').map(line => line.replace(/^\s*(?:[-*]|\d+[.)、])\s*/, ''));
+
+            return Array.from(new Set(
+                queries
+                    .map(query => String(query).trim())
+                    .filter(query => query && query !== question)
+            )).slice(0, count);
+        } catch (error) {
+            console.error('生成多查询失败，只使用原问题检索:', error.message);
+            return [];
+        }
+    }
+}
+
+export default QueryRewriter;
@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+
+// 未设置过的作用域使用的 RAG 设置
+export const DEFAULT_RAG_SETTINGS = {
+    enabled: true,
+    mode: 'single',
+    currentKnowledgeBase: null,
+    // 多知识库模式检索的知识库选择器（见 KnowledgeBaseSelector），null 表示全部知识库
+    knowledgeBases: null
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_RAG_SETTINGS);
+
+// 只保留设置字段，忽略未定义的值
+function pickSettings(source) {
+    if (!source) {
+        return {};
+    }
+    return Object.fromEntries(
+        SETTING_KEYS
+            .filter(key => source[key] !== undefined)
+            .map(key => [key, source[key]])
+    );
+}
+
+/**
+ * 作用域：会话 ID 字符串，或 { userId, conversationId }
+ * @returns {{userId: string|null, conversationId: string|null}}
+ */
+export function normalizeScope(scope) {
+    if (!scope) {
+        return { userId: null, conversationId: null };
+    }
+    if (typeof scope === 'string') {
+        return { userId: null, conversationId: scope };
+    }
+    return { userId: scope.userId || null, conversationId: scope.conversationId || null };
+}
+
+/**
+ * 按作用域保存的 RAG 设置（启用状态、模式、当前知识库、多知识库选择）
+ * 优先级：会话 > 用户 > 全局默认，每个作用域只保存修改过的字段，读取时逐级合并。
+ * 同一文件中还保存所有作用域共用的知识库集合。
+ * 文件格式：{ defaults, users: { [userId]: {...} }, conversations: { [conversationId]: { userId, ... } }, collections }，
+ * 兼容旧版只保存一份全局设置的 rag-state.json
+ */
+export class RagSettingsStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.defaults = { ...DEFAULT_RAG_SETTINGS };
+        this.users = {};
+        this.conversations = {};
+        // 知识库集合：{ [集合名称]: 知识库名称数组 }
+        this.collections = {};
+        this._pending = Promise.resolve();
+    }
+
+    // 文件读写依次执行，避免读到尚未写完的旧内容
+    _enqueue(task) {
+        const run = this._pending.then(task, task);
+        this._pending = run.catch(() => {});
+        return run;
+    }
+
+    async _read() {
+        let state;
+        try {
+            state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('读取 RAG 设置失败:', error);
+            }
+            return false;
+        }
+
+        // 旧版文件只有全局设置
+        const legacy = !state.defaults;
+        this.defaults = { ...DEFAULT_RAG_SETTINGS, ...pickSettings(legacy ? state : state.defaults) };
+        this.users = legacy ? {} : state.users || {};
+        this.conversations = legacy ? {} : state.conversations || {};
+        this.collections = legacy ? {} : state.collections || {};
+        return true;
+    }
+
+    async _write() {
+        const state = {
+            defaults: this.defaults,
+            users: this.users,
+            conversations: this.conversations,
+            collections: this.collections
+        };
+        await fs.writeFile(this.filePath, JSON.stringify(state, null, 2));
+    }
+
+    load() {
+        return this._enqueue(() => this._read());
+    }
+
+    // 保存内存中的全局默认设置；写入前重新读取文件，保留其他进程修改的用户、会话设置和集合
+    save() {
+        return this._enqueue(async () => {
+            const defaults = this.defaults;
+            await this._read();
+            this.defaults = defaults;
+            await this._write();
+        });
+    }
+
+    // 合并后的设置；只传会话 ID 时，使用会话记录的用户 ID 查找用户设置
+    resolve(scope) {
+        const { userId, conversationId } = normalizeScope(scope);
+        const conversation = conversationId ? this.conversations[conversationId] : null;
+        const user = this.users[userId || conversation?.userId];
+        return {
+            ...this.defaults,
+            ...pickSettings(user),
+            ...pickSettings(conversation)
+        };
+    }
+
+    /**
+     * 修改最具体的作用域：有会话 ID 时修改会话设置，只有用户 ID 时修改用户默认设置，都没有时修改全局默认。
+     * 写入前重新读取文件，多个进程修改不同作用域时不会互相覆盖
+     * @returns {Promise<Object>} 修改后该作用域合并后的设置
+     */
+    update(scope, patch) {
+        return this._enqueue(() => this._update(normalizeScope(scope), patch));
+    }
+
+    async _update({ userId, conversationId }, patch) {
+        await this._read();
+
+        const settings = pickSettings(patch);
+        if (conversationId) {
+            const conversation = this.conversations[conversationId] || {};
+            this.conversations[conversationId] = {
+                ...conversation,
+                ...(userId ? { userId } : {}),
+                ...settings
+            };
+        } else if (userId) {
+            this.users[userId] = { ...this.users[userId], ...settings };
+        } else {
+            this.defaults = { ...this.defaults, ...settings };
+        }
+
+        await this._write();
+        return this.resolve({ userId, conversationId });
+    }
+
+    // 修改知识库集合，members 为 null 时删除集合
+    updateCollection(name, members) {
+        return this._enqueue(async () => {
+            await this._read();
+            if (members) {
+                this.collections[name] = members;
+            } else {
+                delete this.collections[name];
+            }
+            await this._write();
+        });
+    }
+
+    // 知识库删除后清除对它的选择：全局默认置空，用户和会话改为沿用上一级设置；同时从集合和按名称的选择中移除
+    forgetKnowledgeBase(name) {
+        return this._enqueue(async () => {
+            await this._read();
+            if (this.defaults.currentKnowledgeBase === name) {
+                this.defaults.currentKnowledgeBase = null;
+            }
+            for (const settings of [...Object.values(this.users), ...Object.values(this.conversations)]) {
+                if (settings.currentKnowledgeBase === name) {
+                    delete settings.currentKnowledgeBase;
+                }
+            }
+            for (const settings of [this.defaults, ...Object.values(this.users), ...Object.values(this.conversations)]) {
+                if (Array.isArray(settings.knowledgeBases) && settings.knowledgeBases.includes(name)) {
+                    const remaining = settings.knowledgeBases.filter(term => term !== name);
+                    settings.knowledgeBases = remaining.length > 0 ? remaining : null;
+                }
+            }
+            for (const [collection, members] of Object.entries(this.collections)) {
+                this.collections[collection] = members.filter(member => member !== name);
+            }
+            await this._write();
+        });
+    }
+}
+
+export default RagSettingsStore;
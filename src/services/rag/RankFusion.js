@@ -0,0 +1,29 @@
+/**
+ * 倒数排名融合（Reciprocal Rank Fusion）
+ * 每个排名列表为按相关度排序的 [{ index, ... }]，index 标识同一个分块；
+ * 返回融合后的列表，score 归一化到 (0, 1]：在所有列表中都排第一的分块得 1
+ * @param {Array<Array<{index: number}>>} rankings
+ * @param {{k?: number, weights?: number[]}} options
+ */
+export function reciprocalRankFusion(rankings, { k = 60, weights = [] } = {}) {
+    const fused = new Map();
+    let maxScore = 0;
+
+    rankings.forEach((ranking, listIndex) => {
+        const weight = weights[listIndex] ?? 1;
+        maxScore += weight / (k + 1);
+
+        ranking.forEach((item, rank) => {
+            const entry = fused.get(item.index) || { index: item.index, score: 0, ranks: [] };
+            entry.score += weight / (k + rank + 1);
+            entry.ranks[listIndex] = rank + 1;
+            fused.set(item.index, entry);
+        });
+    });
+
+    return Array.from(fused.values())
+        .map(entry => ({ ...entry, score: maxScore > 0 ? entry.score / maxScore : 0 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+export default reciprocalRankFusion;
@@ -0,0 +1,160 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import OpenAIClient from '../../utils/OpenAIClient.js';
+import { tokenize } from './BM25Index.js';
+
+// 支持的重排序方式
+export const RERANK_METHODS = ['llm', 'local'];
+
+// 发送给模型的单个分块最大长度，避免候选过多时超出上下文
+const MAX_PASSAGE_LENGTH = 800;
+
+const RERANK_PROMPT = `你是一个检索结果相关性评估器。根据用户问题，为每个候选段落打 0 到 10 分：
+10 表示段落直接回答了问题，0 表示完全无关。
+只输出 JSON 数组，格式为 [{"id": 段落编号, "score": 分数}]，不要输出其他内容。`;
+
+/**
+ * 使用聊天模型对候选分块打分
+ * 一次请求评估全部候选，分数归一化到 [0, 1]
+ */
+export class LLMReranker {
+    constructor({ client = null } = {}) {
+        this.method = 'llm';
+        this.client = client;
+    }
+
+    _buildPrompt(query, docs) {
+        const passages = docs
+            .map((doc, index) => `[${index + 1}] ${doc.content.slice(0, MAX_PASSAGE_LENGTH)}`)
+            .join('\n\n');
+        return `问题：${query}\n\n候选段落：\n${passages}`;
+    }
+
+    // 解析模型输出，未评分的段落记为 0 分
+    _parseScores(response, count) {
+        const match = String(response).match(/\[[\s\S]*\]/);
+        if (!match) {
+            throw new Error('重排序模型未返回有效的 JSON');
+        }
+
+        const scores = new Array(count).fill(0);
+        for (const item of JSON.parse(match[0])) {
+            const index = Number(item?.id) - 1;
+            const score = Number(item?.score);
+            if (Number.isInteger(index) && index >= 0 && index < count && Number.isFinite(score)) {
+                scores[index] = Math.min(Math.max(score / 10, 0), 1);
+            }
+        }
+        return scores;
+    }
+
+    async score(query, docs) {
+        // 首次使用时才获取客户端，未启用 LLM 重排序时不依赖 OpenAI 配置
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.toolsCompletion([
+            new SystemMessage(RERANK_PROMPT),
+            new HumanMessage(this._buildPrompt(query, docs))
+        ]);
+        return this._parseScores(response, docs.length);
+    }
+}
+
+/**
+ * 本地交叉编码风格的打分器
+ * 同时查看问题和段落：按候选集内的 IDF 计算问题词的覆盖率，
+ * 并奖励段落中按原顺序相邻出现的问题词对，不调用任何外部接口
+ */
+export class LocalReranker {
+    constructor() {
+        this.method = 'local';
+    }
+
+    async score(query, docs) {
+        const queryTokens = Array.from(new Set(tokenize(query)));
+        if (queryTokens.length === 0) {
+            return docs.map(() => 0);
+        }
+
+        const docTokens = docs.map(doc => new Set(tokenize(doc.content)));
+        const idf = new Map(queryTokens.map(token => {
+            const df = docTokens.filter(tokens => tokens.has(token)).length;
+            return [token, Math.log(1 + (docs.length + 1) / (df + 0.5))];
+        }));
+        const totalWeight = queryTokens.reduce((sum, token) => sum + idf.get(token), 0);
+
+        // 问题中相邻的词对，拉丁词按空格拼接，与段落文本直接比较
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const pairs = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+
+        return docs.map((doc, index) => {
+            const coverage = queryTokens
+                .filter(token => docTokens[index].has(token))
+                .reduce((sum, token) => sum + idf.get(token), 0) / totalWeight;
+            if (pairs.length === 0) {
+                return coverage;
+            }
+            const text = doc.content.toLowerCase();
+            const proximity = pairs.filter(pair => text.includes(pair)).length / pairs.length;
+            return 0.8 * coverage + 0.2 * proximity;
+        });
+    }
+}
+
+export function createReranker(method, options = {}) {
+    switch (method) {
+        case 'llm':
+            return new LLMReranker(options);
+        case 'local':
+            return new LocalReranker();
+        default:
+            throw new Error(`不支持的重排序方式: ${method}。支持: ${RERANK_METHODS.join(', ')}`);
+    }
+}
+
+/**
+ * 对候选分块重排序并截取前 limit 个
+ * 结果的 score 替换为重排序分数，原分数和排序前后的名次记录在 rerank 中；
+ * 模型调用失败时保持原有顺序，并在 rerank.error 中记录原因
+ * @param {string} query 用户问题
+ * @param {Array<{content: string, score: number}>} docs 按检索分数排序的候选
+ * @param {{score: Function, method: string}} reranker
+ * @param {number} limit
+ */
+export async function rerankDocuments(query, docs, reranker, limit) {
+    if (docs.length === 0) {
+        return docs;
+    }
+
+    let scores;
+    try {
+        scores = await reranker.score(query, docs);
+    } catch (error) {
+        console.error('重排序失败，使用原始检索顺序:', error.message);
+        return docs.slice(0, limit).map((doc, index) => ({
+            ...doc,
+            rerank: {
+                method: reranker.method,
+                before: index + 1,
+                after: index + 1,
+                error: error.message
+            }
+        }));
+    }
+
+    return docs
+        .map((doc, index) => ({ doc, index, score: scores[index] }))
+        // 分数相同时保持原有顺序
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, limit)
+        .map((entry, rank) => ({
+            ...entry.doc,
+            score: entry.score,
+            rerank: {
+                method: reranker.method,
+                before: entry.index + 1,
+                after: rank + 1,
+                originalScore: entry.doc.score
+            }
+        }));
+}
+
+export default rerankDocuments;
@@ -0,0 +1,54 @@
+// 支持的加权方式
+export const WEIGHTING_METHODS = ['linear', 'exponential'];
+
+// 知识库默认的权重和先验
+export const DEFAULT_RANKING = { weight: 1, prior: 0 };
+
+/**
+ * 按加权方式变换归一化分数，结果仍在 [0, 1]
+ * - linear：保持不变
+ * - exponential：(e^(λs) - 1) / (e^λ - 1)，拉大高分和低分的差距，
+ *   知识库中排名靠后的弱相关分块会迅速让位给其他知识库的强相关分块
+ */
+export function applyWeighting(score, method = 'linear', factor = 3) {
+    if (method === 'exponential') {
+        return (Math.exp(factor * score) - 1) / (Math.exp(factor) - 1);
+    }
+    return score;
+}
+
+// 按固定区间 [floor, 1] 线性映射到 [0, 1]，超出范围的分数截断
+export function normalizeScore(score, floor = 0) {
+    if (floor >= 1) {
+        return score >= 1 ? 1 : 0;
+    }
+    return Math.min(Math.max((score - floor) / (1 - floor), 0), 1);
+}
+
+/**
+ * 对单个知识库的检索结果做分数归一化和加权
+ * 分数按固定区间 [floor, 1] 归一化，而不是按该知识库本次的最高分，
+ * 最佳匹配较弱的知识库不会与强相关的知识库并列第一；再按加权方式变换，最后乘以知识库权重并加上先验：
+ *   score = weight * f((rawScore - floor) / (1 - floor)) + prior
+ * 向量检索的 floor 取相关度阈值 minRelevanceScore，已在 [0, 1] 内的其他分数取 0。
+ * 原始分数保留在 retrieval.rawScore 中
+ * @param {Array<{score: number, retrieval?: Object}>} docs 同一知识库的检索结果
+ * @param {{method?: string, factor?: number, weight?: number, prior?: number, floor?: number|function(Object): number}} options
+ *   floor 为函数时按每个结果分别计算
+ */
+export function weightScores(docs, { method = 'linear', factor = 3, weight = 1, prior = 0, floor = 0 } = {}) {
+    return docs.map(doc => {
+        const normalized = normalizeScore(doc.score, typeof floor === 'function' ? floor(doc) : floor);
+        return {
+            ...doc,
+            score: weight * applyWeighting(normalized, method, factor) + prior,
+            retrieval: {
+                ...doc.retrieval,
+                rawScore: doc.score,
+                normalizedScore: normalized
+            }
+        };
+    });
+}
+
+export default weightScores;
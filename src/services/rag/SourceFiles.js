@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import documentLoaders from './loaders/index.js';
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+// 遍历目录时跳过的目录
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+// 只判断是否含有通配符；文件名本身可能带方括号或花括号，需要先用 statSource 确认路径不存在
+export function isGlobPattern(spec) {
+    return GLOB_CHARS.test(spec);
+}
+
+/**
+ * 获取来源路径的文件信息，路径不存在时返回 null
+ * 存在的路径即使含有通配符字符（如 "report[2024].md"）也按普通文件或目录处理
+ * @returns {Promise<import('fs').Stats|null>}
+ */
+export async function statSource(spec) {
+    try {
+        return await fs.stat(spec);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 将 glob 模式转为正则，支持 **、*、?、[abc] 和 {a,b}
+ * 路径分隔符统一按 / 处理；与 shell 相同，通配符不匹配以 . 开头的文件和目录，需要时在模式中写出 .
+ */
+export function globToRegExp(pattern) {
+    let regex = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const segmentStart = i === 0 || pattern[i - 1] === '/';
+        switch (char) {
+            case '*':
+                if (pattern[i + 1] === '*') {
+                    // "**/" 匹配零个或多个目录
+                    if (pattern[i + 2] === '/') {
+                        regex += '(?:(?!\\.)[^/]*/)*';
+                        i += 2;
+                    } else {
+                        regex += '(?!\\.)(?:[^/]|/(?!\\.))*';
+                        i += 1;
+                    }
+                } else {
+                    regex += segmentStart ? '(?!\\.)[^/]*' : '[^/]*';
+                }
+                break;
+            case '?':
+                regex += segmentStart ? '[^/.]' : '[^/]';
+                break;
+            case '[': {
+                const end = pattern.indexOf(']', i);
+                if (end === -1) {
+                    regex += '\\[';
+                } else {
+                    regex += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+                    i = end;
+                }
+                break;
+            }
+            case '{':
+                inGroup = true;
+                regex += '(?:';
+                break;
+            case '}':
+                inGroup = false;
+                regex += ')';
+                break;
+            case ',':
+                regex += inGroup ? '|' : ',';
+                break;
+            default:
+                regex += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${regex}$`);
+}
+
+// 相对路径中是否有以 . 开头的文件或目录
+function isHidden(relativePath) {
+    return relativePath.split(/[\\/]/).some(segment => segment.startsWith('.'));
+}
+
+// 递归列出目录下的所有文件
+async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map(async entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return IGNORED_DIRECTORIES.has(entry.name) ? [] : walk(fullPath);
+        }
+        return entry.isFile() ? [fullPath] : [];
+    }));
+    return files.flat();
+}
+
+// glob 模式中第一个含通配符的段之前的部分作为遍历起点
+export function getGlobBase(spec) {
+    const segments = spec.split(/[\\/]/);
+    const index = segments.findIndex(segment => isGlobPattern(segment));
+    const base = segments.slice(0, index).join('/');
+    return base || '.';
+}
+
+/**
+ * 将知识库来源（单个文件、目录或 glob 模式）解析为文件列表
+ * 目录和 glob 只保留已注册加载器的文件类型，并跳过隐藏的文件和目录，结果按路径排序
+ * 返回的都是绝对路径，同一文件无论通过哪种来源导入，在索引中的路径都相同
+ */
+export async function resolveSourceFiles(spec) {
+    const stat = await statSource(spec);
+    if (!stat && isGlobPattern(spec)) {
+        const base = path.resolve(getGlobBase(spec));
+        const matcher = globToRegExp(path.resolve(spec).split(path.sep).join('/'));
+        let files;
+        try {
+            files = await walk(base);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return files
+            .filter(file => matcher.test(file.split(path.sep).join('/')))
+            .filter(file => documentLoaders.isSupported(file))
+            .sort();
+    }
+
+    if (!stat) {
+        return [];
+    }
+
+    const root = path.resolve(spec);
+    if (stat.isDirectory()) {
+        const files = await walk(root);
+        return files
+            .filter(file => !isHidden(path.relative(root, file)))
+            .filter(file => documentLoaders.isSupported(file))
+            .sort();
+    }
+    return [root];
+}
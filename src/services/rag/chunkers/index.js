@@ -0,0 +1,87 @@
+import { splitRecursive } from './recursive.js';
+import { splitMarkdown } from './markdown.js';
+import { splitSentences } from './sentence.js';
+import { splitTokens } from './token.js';
+import { splitSemantic } from './semantic.js';
+
+/**
+ * 可选的分块器
+ * defaults 根据 RAGService 的 chunkSize、chunkOverlap 生成默认参数，
+ * 知识库保存解析后的完整参数，重建索引时使用相同的分块方式
+ */
+const CHUNKERS = {
+    recursive: {
+        split: splitRecursive,
+        defaults: ({ chunkSize, chunkOverlap }) => ({ chunkSize, chunkOverlap })
+    },
+    markdown: {
+        split: splitMarkdown,
+        defaults: ({ chunkSize }) => ({ chunkSize })
+    },
+    sentence: {
+        split: splitSentences,
+        defaults: ({ chunkSize, chunkOverlap }) => ({ chunkSize, chunkOverlap })
+    },
+    // chunkSize、chunkOverlap 以 token 计
+    token: {
+        split: splitTokens,
+        defaults: () => ({ chunkSize: 256, chunkOverlap: 32, encoding: 'cl100k_base' })
+    },
+    semantic: {
+        split: splitSemantic,
+        defaults: ({ chunkSize }) => ({ chunkSize, breakpointPercentile: 95 })
+    }
+};
+
+export const CHUNKER_NAMES = Object.keys(CHUNKERS);
+
+/**
+ * 解析分块器配置，补全默认参数
+ * @param {string|{name: string, params?: Object}} chunker 分块器名称或配置
+ * @param {{chunkSize: number, chunkOverlap: number}} baseConfig
+ * @returns {{name: string, params: Object}}
+ */
+export function resolveChunker(chunker, baseConfig) {
+    const { name, params = {} } = typeof chunker === 'string' ? { name: chunker } : chunker;
+    const definition = CHUNKERS[name];
+    if (!definition) {
+        throw new Error(`不支持的分块方式: ${name}。支持: ${CHUNKER_NAMES.join(', ')}`);
+    }
+
+    const defaults = definition.defaults(baseConfig);
+    const resolved = {};
+    // 按默认参数的顺序排列，保证序列化结果稳定，便于比较
+    for (const key of Object.keys(defaults)) {
+        const value = params[key] ?? defaults[key];
+        // 命令行传入的参数是字符串，数值参数需要转换
+        if (typeof defaults[key] === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new Error(`分块参数 ${key} 必须是非负数字`);
+            }
+            resolved[key] = number;
+        } else {
+            resolved[key] = value;
+        }
+    }
+    const unknown = Object.keys(params).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+        throw new Error(`分块方式 ${name} 不支持参数: ${unknown.join(', ')}`);
+    }
+    return { name, params: resolved };
+}
+
+export function isSameChunker(a, b) {
+    return !!a && !!b && a.name === b.name && JSON.stringify(a.params) === JSON.stringify(b.params);
+}
+
+/**
+ * 使用指定分块器切分文档
+ * 返回的分块在 metadata.loc.lines 中记录相对于所在文档的行号
+ * @param {Document[]} docs
+ * @param {{name: string, params: Object}} chunker resolveChunker 的结果
+ * @param {{embeddings: Object}} context 语义分块需要的 embeddings
+ */
+export async function splitDocuments(docs, chunker, context = {}) {
+    return CHUNKERS[chunker.name].split(docs, chunker.params, context);
+}
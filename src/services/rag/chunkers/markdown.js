@@ -0,0 +1,95 @@
+import { sentenceUnits, splitOversized, packUnits } from './utils.js';
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const TABLE_PATTERN = /^\s*\|/;
+const HEADING_PATTERN = /^#{1,6}\s/;
+
+/**
+ * 把 Markdown 文本切分为块：代码块、表格、段落
+ * 标题并入其后的第一个块，避免标题单独成块
+ * @returns {Array<{start: number, end: number, atomic: boolean}>} atomic 的块（代码、表格）不能再拆分
+ */
+function markdownBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let offset = 0;
+    let current = null;
+    let fence = null;
+    let pendingHeading = null;
+
+    const close = () => {
+        if (current) {
+            blocks.push(current);
+            current = null;
+        }
+    };
+    const open = (start, type) => {
+        current = { start: pendingHeading ?? start, end: start, type };
+        pendingHeading = null;
+    };
+
+    for (const line of lines) {
+        const start = offset;
+        const end = offset + line.length;
+        offset = end + 1;
+
+        if (fence) {
+            current.end = end;
+            if (FENCE_PATTERN.test(line) && line.trim().startsWith(fence)) {
+                fence = null;
+                close();
+            }
+            continue;
+        }
+
+        const fenceMatch = line.match(FENCE_PATTERN);
+        const type = fenceMatch ? 'code' : TABLE_PATTERN.test(line) ? 'table' : 'text';
+
+        if (!line.trim()) {
+            close();
+        } else if (HEADING_PATTERN.test(line)) {
+            close();
+            pendingHeading = pendingHeading ?? start;
+        } else {
+            if (current && (current.type !== type || type === 'code')) {
+                close();
+            }
+            if (!current) {
+                open(start, type);
+            }
+            current.end = end;
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+            }
+        }
+    }
+    close();
+    // 文末只有标题
+    if (pendingHeading !== null) {
+        blocks.push({ start: pendingHeading, end: text.length, type: 'text' });
+    }
+
+    return blocks.map(block => ({ start: block.start, end: block.end, atomic: block.type !== 'text' }));
+}
+
+/**
+ * 结构感知的 Markdown 分块
+ * 按段落、代码块和表格合并为不超过 chunkSize 的块；代码块和表格即使超长也保持完整，
+ * 超长的普通段落按句子拆分。配合 Markdown 加载器时每块只包含同一章节的内容
+ */
+export async function splitMarkdown(docs, { chunkSize }) {
+    const measure = (start, end) => end - start;
+
+    return docs.flatMap(doc => {
+        const text = doc.pageContent;
+        const units = markdownBlocks(text).flatMap(block => {
+            if (block.atomic || measure(block.start, block.end) <= chunkSize) {
+                return [block];
+            }
+            return splitOversized(sentenceUnits(text, block.start, block.end), chunkSize, measure);
+        });
+        return packUnits(doc, units, { maxLength: chunkSize, measure });
+    });
+}
+
+export default splitMarkdown;
@@ -0,0 +1,9 @@
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+
+// 按段落、换行、空格逐级切分的通用分块器，与原先的默认行为一致
+export async function splitRecursive(docs, { chunkSize, chunkOverlap }) {
+    const textSplitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+    return textSplitter.splitDocuments(docs);
+}
+
+export default splitRecursive;
@@ -0,0 +1,61 @@
+import { sentenceUnits, splitOversized, createChunk, lineStarts } from './utils.js';
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+}
+
+/**
+ * 语义分块：为每个句子生成向量，相邻句子的向量距离超过 breakpointPercentile 分位数时断开，
+ * 使每块围绕同一话题；块长度仍不超过 chunkSize 个字符
+ * 建索引时每个句子都要调用一次 embedding 接口，成本高于其他分块器
+ */
+export async function splitSemantic(docs, { chunkSize, breakpointPercentile }, { embeddings }) {
+    const chunks = [];
+
+    for (const doc of docs) {
+        const text = doc.pageContent;
+        const units = splitOversized(sentenceUnits(text), chunkSize, (start, end) => end - start);
+        if (units.length === 0) {
+            continue;
+        }
+
+        const vectors = await embeddings.embedDocuments(units.map(unit => text.slice(unit.start, unit.end)));
+        const distances = units.slice(1).map((_, i) => 1 - cosineSimilarity(vectors[i], vectors[i + 1]));
+        const threshold = distances.length > 0 ? percentile(distances, breakpointPercentile) : Infinity;
+        const starts = lineStarts(text);
+
+        let start = units[0].start;
+        for (let i = 0; i < units.length; i++) {
+            const isLast = i === units.length - 1;
+            const breakHere = isLast ||
+                distances[i] > threshold ||
+                units[i + 1].end - start > chunkSize;
+            if (breakHere) {
+                const chunk = createChunk(doc, start, units[i].end, starts);
+                if (chunk) {
+                    chunks.push(chunk);
+                }
+                if (!isLast) {
+                    start = units[i + 1].start;
+                }
+            }
+        }
+    }
+    return chunks;
+}
+
+export default splitSemantic;
@@ -0,0 +1,12 @@
+import { sentenceUnits, splitOversized, packUnits } from './utils.js';
+
+// 按句子切分后合并，句子以中英文句末标点和空行为界，不会在句子中间断开
+export async function splitSentences(docs, { chunkSize, chunkOverlap }) {
+    return docs.flatMap(doc => {
+        const measure = (start, end) => end - start;
+        const units = splitOversized(sentenceUnits(doc.pageContent), chunkSize, measure);
+        return packUnits(doc, units, { maxLength: chunkSize, overlap: chunkOverlap, measure });
+    });
+}
+
+export default splitSentences;
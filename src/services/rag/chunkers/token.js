@@ -0,0 +1,16 @@
+import { getEncoder } from '../../../utils/TokenCounter.js';
+import { sentenceUnits, splitOversized, packUnits } from './utils.js';
+
+// 按 token 数量分块，chunkSize 和 chunkOverlap 以 token 计，优先在句子边界断开
+export async function splitTokens(docs, { chunkSize, chunkOverlap, encoding }) {
+    const encoder = getEncoder(encoding);
+
+    return docs.flatMap(doc => {
+        const text = doc.pageContent;
+        const measure = (start, end) => encoder.encode(text.slice(start, end)).length;
+        const units = splitOversized(sentenceUnits(text), chunkSize, measure);
+        return packUnits(doc, units, { maxLength: chunkSize, overlap: chunkOverlap, measure });
+    });
+}
+
+export default splitTokens;
@@ -0,0 +1,160 @@
+import { Document } from '@langchain/core/documents';
+
+// 句子结束位置：中日文标点、英文句点后跟空白，以及空行
+const SENTENCE_END = /[。！？!?；;…]+["'”’）)」』]*|\.["'”’)]*(?=\s|$)|\n\s*\n/g;
+
+// 每一行开头的位置，每个文档只计算一次，供 lineAt 二分查找
+export function lineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        starts.push(i + 1);
+    }
+    return starts;
+}
+
+// offset 所在的行号（从 1 开始），starts 为 lineStarts 的结果
+export function lineAt(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low + 1;
+}
+
+/**
+ * 按字符区间创建分块，去掉首尾空白，并记录在文档内的行号范围
+ * 行号相对于文档内容，由 RAGService 按 lineStart 换算为文件中的行号
+ * 同一文档切出多个分块时传入预先计算的 starts，避免每块都从头扫描文档
+ * @param {number[]} [starts] lineStarts(doc.pageContent) 的结果
+ * @returns {Document|null} 区间内只有空白时返回 null
+ */
+export function createChunk(doc, start, end, starts = lineStarts(doc.pageContent)) {
+    const text = doc.pageContent;
+    while (start < end && /\s/.test(text[start])) {
+        start++;
+    }
+    while (end > start && /\s/.test(text[end - 1])) {
+        end--;
+    }
+    if (start >= end) {
+        return null;
+    }
+
+    return new Document({
+        pageContent: text.slice(start, end),
+        metadata: {
+            ...doc.metadata,
+            loc: { lines: { from: lineAt(starts, start), to: lineAt(starts, end - 1) } }
+        }
+    });
+}
+
+/**
+ * 把 [start, end) 区间切分为句子单元
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function sentenceUnits(text, start = 0, end = text.length) {
+    const units = [];
+    const segment = text.slice(start, end);
+    let last = 0;
+
+    for (const match of segment.matchAll(SENTENCE_END)) {
+        const unitEnd = match.index + match[0].length;
+        if (segment.slice(last, unitEnd).trim()) {
+            units.push({ start: start + last, end: start + unitEnd });
+        }
+        last = unitEnd;
+    }
+    if (segment.slice(last).trim()) {
+        units.push({ start: start + last, end });
+    }
+    return units;
+}
+
+/**
+ * 把超过 maxLength 的单元按长度硬切分，其余单元保持不变
+ * @param {Function} measure (start, end) => 长度
+ */
+export function splitOversized(units, maxLength, measure) {
+    return units.flatMap(unit => {
+        if (measure(unit.start, unit.end) <= maxLength) {
+            return [unit];
+        }
+        // 二分切分，直到每段都不超过上限
+        const middle = Math.floor((unit.start + unit.end) / 2);
+        if (middle === unit.start) {
+            return [unit];
+        }
+        return splitOversized(
+            [{ start: unit.start, end: middle }, { start: middle, end: unit.end }],
+            maxLength,
+            measure
+        );
+    });
+}
+
+/**
+ * 把连续的单元合并为不超过 maxLength 的分块
+ * 相邻分块之间重叠上一块末尾不超过 overlap 长度的若干单元；单个单元超长时单独成块
+ * @param {Document} doc
+ * @param {Array<{start: number, end: number}>} units 按位置排序的单元
+ * @param {{maxLength: number, overlap?: number, measure?: Function}} options
+ * @returns {Document[]}
+ */
+export function packUnits(doc, units, { maxLength, overlap = 0, measure = (start, end) => end - start }) {
+    const chunks = [];
+    const starts = lineStarts(doc.pageContent);
+    let current = [];
+    let length = 0;
+
+    const flush = () => {
+        if (current.length === 0) {
+            return;
+        }
+        const chunk = createChunk(doc, current[0].start, current[current.length - 1].end, starts);
+        if (chunk) {
+            chunks.push(chunk);
+        }
+
+        // 保留末尾的若干单元作为下一块的开头
+        const kept = [];
+        let keptLength = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+            const unitLength = measure(current[i].start, current[i].end);
+            if (keptLength + unitLength > overlap) {
+                break;
+            }
+            kept.unshift(current[i]);
+            keptLength += unitLength;
+        }
+        current = kept;
+        length = keptLength;
+    };
+
+    for (const unit of units) {
+        const unitLength = measure(unit.start, unit.end);
+        if (current.length > 0 && length + unitLength > maxLength) {
+            flush();
+            // 重叠部分加上新单元仍然超长时放弃重叠
+            if (length + unitLength > maxLength) {
+                current = [];
+                length = 0;
+            }
+        }
+        current.push(unit);
+        length += unitLength;
+    }
+    if (current.length > 0) {
+        const chunk = createChunk(doc, current[0].start, current[current.length - 1].end, starts);
+        if (chunk) {
+            chunks.push(chunk);
+        }
+    }
+    return chunks;
+}
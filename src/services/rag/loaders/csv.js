@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import { csvParse } from 'd3-dsv';
+import { Document } from '@langchain/core/documents';
+
+/**
+ * 每条记录（含表头）在文件中的起止行号
+ * 与 csvParse 的规则一致：只有字段开头的引号开始引用，引用内的换行不结束记录，"" 为转义的引号
+ * @returns {Array<{start: number, end: number}>}
+ */
+function recordLines(content) {
+    const records = [];
+    let line = 1;
+    let start = 1;
+    let fieldStart = true;
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (char === '\n') {
+                line++;
+            }
+            continue;
+        }
+
+        if (char === '"' && fieldStart) {
+            inQuotes = true;
+        } else if (char === '\n') {
+            records.push({ start, end: line });
+            line++;
+            start = line;
+        }
+        fieldStart = char === ',' || char === '\n';
+    }
+    // 最后一条记录没有以换行结尾
+    if (content.length > 0 && !content.endsWith('\n')) {
+        records.push({ start, end: line });
+    }
+    return records;
+}
+
+// CSV：每条记录转换为 "列名: 值" 的文本，记录在文件中的起止行号
+export async function loadCsv(filePath) {
+    // 去掉 BOM，避免第一个列名带上不可见字符
+    const content = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+    const rows = csvParse(content);
+    // 字段中可能有引号包裹的换行，按解析时的记录边界计算行号；第一条记录是表头
+    const lines = recordLines(content).slice(1);
+
+    return rows
+        .map((row, index) => {
+            const text = rows.columns
+                .filter(column => row[column] !== undefined && row[column] !== '')
+                .map(column => `${column}: ${row[column]}`)
+                .join('\n');
+
+            return new Document({
+                pageContent: text,
+                metadata: {
+                    row: index + 1,
+                    lineStart: lines[index].start,
+                    lineEnd: lines[index].end
+                }
+            });
+        })
+        .filter(doc => doc.pageContent.length > 0);
+}
+
+export default loadCsv;
@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { loadText } from './text.js';
+import { loadMarkdown } from './markdown.js';
+import { loadPdf } from './pdf.js';
+import { loadCsv } from './csv.js';
+import { loadJson } from './json.js';
+
+/**
+ * 按文件扩展名选择文档加载器
+ * 加载器签名为 async (filePath) => Document[]，
+ * 返回的文档在分块前携带页码、行号、章节等来源位置信息：
+ * - lineStart：文档内容在源文件中的起始行，分块后据此换算每块的行号
+ * - lineEnd：与 lineStart 一起给出固定行号范围（内容不是原文时使用）
+ * 加载后统一补充 source、loader、modifiedAt，以及用于元数据过滤的 date 和 year
+ */
+export class DocumentLoaderRegistry {
+    constructor() {
+        this.loaders = new Map();
+    }
+
+    // 扩展名统一为小写并带点号
+    _normalizeExtension(extension) {
+        const ext = extension.toLowerCase();
+        return ext.startsWith('.') ? ext : `.${ext}`;
+    }
+
+    register(extensions, loader, name) {
+        for (const extension of [].concat(extensions)) {
+            this.loaders.set(this._normalizeExtension(extension), {
+                name: name || loader.name,
+                load: loader
+            });
+        }
+        return this;
+    }
+
+    isSupported(filePath) {
+        return this.loaders.has(this._normalizeExtension(path.extname(filePath) || '.'));
+    }
+
+    getSupportedExtensions() {
+        return Array.from(this.loaders.keys());
+    }
+
+    // 未注册的扩展名按纯文本处理，与原先直接读取 UTF-8 的行为一致
+    getLoader(filePath) {
+        const extension = this._normalizeExtension(path.extname(filePath) || '.');
+        return this.loaders.get(extension) || this.loaders.get('.txt');
+    }
+
+    async load(filePath) {
+        const loader = this.getLoader(filePath);
+        const docs = await loader.load(filePath);
+        const stat = await fs.stat(filePath);
+        const fileDate = extractDate(path.basename(filePath));
+
+        // 统一补充来源文件、加载器和日期信息
+        return docs.map(doc => {
+            // 加载器给出的日期（如 front matter）优先，其次是文件名中的日期
+            const date = doc.metadata.date || fileDate;
+            doc.metadata = {
+                ...doc.metadata,
+                source: filePath,
+                loader: loader.name,
+                modifiedAt: stat.mtime.toISOString(),
+                ...(date && { date, year: Number(String(date).slice(0, 4)) })
+            };
+            return doc;
+        });
+    }
+}
+
+/**
+ * 从文件名中提取日期，如 report-2024.pdf、2024-03-15-notes.md
+ * @returns {string|null} YYYY、YYYY-MM 或 YYYY-MM-DD
+ */
+export function extractDate(fileName) {
+    const match = fileName.match(/(?:^|\D)((?:19|20)\d{2})(?:[-_.]?(0[1-9]|1[0-2])(?:[-_.]?(0[1-9]|[12]\d|3[01]))?)?(?!\d)/);
+    if (!match) {
+        return null;
+    }
+    return [match[1], match[2], match[3]].filter(Boolean).join('-');
+}
+
+// 默认注册的加载器
+const documentLoaders = new DocumentLoaderRegistry()
+    .register(['.txt'], loadText, 'text')
+    .register(['.md', '.markdown'], loadMarkdown, 'markdown')
+    .register(['.pdf'], loadPdf, 'pdf')
+    .register(['.csv'], loadCsv, 'csv')
+    .register(['.json'], loadJson, 'json');
+
+export default documentLoaders;
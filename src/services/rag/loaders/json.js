@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import { Document } from '@langchain/core/documents';
+
+// 收集所有字符串字段及其路径
+function collectStrings(value, currentPath, result) {
+    if (typeof value === 'string') {
+        if (value.trim()) {
+            result.push({ path: currentPath, value });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => collectStrings(item, `${currentPath}[${index}]`, result));
+    } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            collectStrings(item, currentPath ? `${currentPath}.${key}` : key, result);
+        }
+    }
+    return result;
+}
+
+function toDocument(value, metadata) {
+    const fields = collectStrings(value, '', []);
+    if (fields.length === 0) {
+        return null;
+    }
+    return new Document({
+        pageContent: fields.map(field => field.path ? `${field.path}: ${field.value}` : field.value).join('\n'),
+        metadata
+    });
+}
+
+// JSON：提取字符串字段；根节点为数组时每个元素作为一条记录
+export async function loadJson(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const data = JSON.parse(content);
+
+    const docs = Array.isArray(data)
+        ? data.map((item, index) => toDocument(item, { record: index, jsonPath: `$[${index}]` }))
+        : [toDocument(data, { jsonPath: '$' })];
+
+    return docs.filter(Boolean);
+}
+
+export default loadJson;
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import { Document } from '@langchain/core/documents';
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const FRONT_MATTER_DELIMITER = /^---\s*$/;
+
+// 去掉 YAML 值两侧的引号
+function unquote(value) {
+    return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * 解析文件开头的 front matter，只提取 tags 和 date
+ * 支持 tags: [a, b]、tags: a, b 和逐行的 - a 三种写法
+ * @returns {{metadata: Object, endLine: number}} endLine 为 front matter 结束分隔符所在的行（从 1 开始），没有时为 0
+ */
+function parseFrontMatter(lines) {
+    if (!FRONT_MATTER_DELIMITER.test(lines[0] || '')) {
+        return { metadata: {}, endLine: 0 };
+    }
+    const end = lines.findIndex((line, index) => index > 0 && FRONT_MATTER_DELIMITER.test(line));
+    if (end === -1) {
+        return { metadata: {}, endLine: 0 };
+    }
+
+    const metadata = {};
+    let listKey = null;
+    for (const line of lines.slice(1, end)) {
+        const item = line.match(/^\s*-\s+(.+)$/);
+        if (item && listKey) {
+            metadata[listKey].push(unquote(item[1]));
+            continue;
+        }
+
+        const field = line.match(/^(\w+)\s*:\s*(.*)$/);
+        listKey = null;
+        if (!field) {
+            continue;
+        }
+        const [, key, value] = field;
+        if (key === 'tags') {
+            metadata.tags = value.trim()
+                ? value.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean)
+                : [];
+            listKey = value.trim() ? null : 'tags';
+        } else if (key === 'date' && value.trim()) {
+            metadata.date = unquote(value);
+        }
+    }
+    return { metadata, endLine: end + 1 };
+}
+
+// Markdown：按标题拆分为章节，记录标题路径和起始行号；front matter 中的 tags 和 date 写入每个章节
+export async function loadMarkdown(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const lines = content.split(/\r?\n/);
+    const frontMatter = parseFrontMatter(lines);
+
+    const sections = [];
+    const headings = [];
+    let current = { lines: [], lineStart: frontMatter.endLine + 1, section: null };
+    let inFence = false;
+
+    const flush = () => {
+        const text = current.lines.join('\n').trim();
+        if (text) {
+            sections.push(current);
+        }
+    };
+
+    lines.forEach((line, index) => {
+        if (index < frontMatter.endLine) {
+            return;
+        }
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        }
+
+        const match = !inFence && line.match(HEADING_PATTERN);
+        if (match) {
+            flush();
+            const level = match[1].length;
+            headings.splice(level - 1);
+            headings[level - 1] = match[2];
+            current = {
+                lines: [],
+                lineStart: index + 1,
+                section: headings.filter(Boolean).join(' > ')
+            };
+        }
+        current.lines.push(line);
+    });
+    flush();
+
+    return sections.map(section => new Document({
+        pageContent: section.lines.join('\n'),
+        metadata: {
+            ...frontMatter.metadata,
+            lineStart: section.lineStart,
+            ...(section.section && { section: section.section })
+        }
+    }));
+}
+
+export default loadMarkdown;
@@ -0,0 +1,38 @@
+import { PDFExtract } from 'pdf.js-extract';
+import { Document } from '@langchain/core/documents';
+
+const pdfExtract = new PDFExtract();
+
+// 将单页的文本片段按 y 坐标拼接成行
+function renderPage(page) {
+    let lastY;
+    let text = '';
+    for (const item of page.content) {
+        if (lastY === undefined || lastY === item.y) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.y;
+    }
+    return text;
+}
+
+// PDF：每页一个文档，记录页码
+export async function loadPdf(filePath) {
+    let data;
+    try {
+        data = await pdfExtract.extract(filePath, {});
+    } catch (error) {
+        throw new Error(`无法解析 PDF 文件: ${error.message || error}`);
+    }
+
+    return data.pages
+        .map((page, index) => new Document({
+            pageContent: renderPage(page),
+            metadata: { page: page.pageInfo?.num || index + 1 }
+        }))
+        .filter(doc => doc.pageContent.trim().length > 0);
+}
+
+export default loadPdf;
@@ -0,0 +1,15 @@
+import fs from 'fs/promises';
+import { Document } from '@langchain/core/documents';
+
+// 纯文本：整个文件作为一个文档
+export async function loadText(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return [
+        new Document({
+            pageContent: content,
+            metadata: { lineStart: 1 }
+        })
+    ];
+}
+
+export default loadText;
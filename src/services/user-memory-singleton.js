@@ -0,0 +1,11 @@
+import { UserMemoryService } from './memory/UserMemoryService.js';
+import { VectorStoreService } from './vector-store.js';
+import userStore from './user-store-singleton.js';
+
+// 创建单例实例，与聊天共用同一个 UserStore
+const userMemoryInstance = new UserMemoryService({
+    userStore,
+    vectorStore: new VectorStoreService()
+});
+
+export default userMemoryInstance;
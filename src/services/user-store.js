@@ -1,11 +1,14 @@
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { promises as fs } from 'fs';
 import * as fsSync from 'fs';
+import { v4 as uuidv4 } from 'uuid';
 
 export class UserStore {
-    constructor() {
+    constructor(dataPath = join(process.cwd(), 'user-data', 'users.json')) {
         this.users = {};
-        this.dataPath = join(process.cwd(), 'user-data', 'users.json');
+        this.dataPath = dataPath;
+        // 文件写入依次执行，后台提取记忆和保存对话可能同时写入
+        this._pending = Promise.resolve();
     }
 
     async initialize() {
@@ -15,7 +18,7 @@ export class UserStore {
     }
 
     ensureDataDirectory() {
-        const dir = join(process.cwd(), 'user-data');
+        const dir = dirname(this.dataPath);
         if (!fsSync.existsSync(dir)) {
             fsSync.mkdirSync(dir, { recursive: true });
         }
@@ -33,20 +36,25 @@ export class UserStore {
         }
     }
 
+    // 排队写入，轮到时才序列化当前数据，先发起的写入不会用较旧的数据覆盖较新的写入
     async saveUsers() {
+        const run = this._pending.then(() => this._writeUsers());
+        this._pending = run.catch(() => {});
+        return run;
+    }
+
+    async _writeUsers() {
         try {
             // 确保目录存在
-            const dir = join(process.cwd(), 'user-data');
+            const dir = dirname(this.dataPath);
             if (!fsSync.existsSync(dir)) {
                 fsSync.mkdirSync(dir, { recursive: true });
             }
 
-            // 保存数据
-            await fs.writeFile(
-                this.dataPath,
-                JSON.stringify(this.users, null, 2),
-                'utf8'
-            );
+            // 先写临时文件再重命名，避免写入中断导致文件损坏
+            const tempFile = `${this.dataPath}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(this.users, null, 2), 'utf8');
+            await fs.rename(tempFile, this.dataPath);
             return true;
         } catch (error) {
             console.error('Error saving users:', error);
@@ -114,24 +122,63 @@ export class UserStore {
         return user;
     }
 
-    async addMemory(userId, memory) {
-        if (!this.users[userId]) {
+    // 用户的全部记忆；chatbot 创建的用户没有 memories 字段，首次访问时补上
+    getMemories(userId) {
+        const user = this.users[userId];
+        if (!user) {
             throw new Error('User not found');
         }
+        user.memories = user.memories || [];
+        return user.memories;
+    }
+
+    // options.type 为记忆类别，source 为 manual（用户添加）或 extracted（从对话中提取），conversationId 为来源会话
+    async addMemory(userId, memory, { type = 'other', source = 'manual', conversationId = null } = {}) {
+        const memories = this.getMemories(userId);
 
         const newMemory = {
-            id: Date.now().toString(),
+            id: uuidv4(),
             content: memory,
             timestamp: new Date().toISOString(),
-            type: 'general'
+            type,
+            source,
+            conversationId
         };
 
-        this.users[userId].memories.push(newMemory);
+        memories.push(newMemory);
         this.users[userId].lastActive = new Date().toISOString();
         await this.saveUsers();
         return newMemory;
     }
 
+    // 修改记忆内容，记忆不存在时返回 null
+    async updateMemory(userId, memoryId, content, changes = {}) {
+        const memory = this.getMemories(userId).find(item => item.id === memoryId);
+        if (!memory) {
+            return null;
+        }
+
+        Object.assign(memory, changes, {
+            content,
+            updatedAt: new Date().toISOString()
+        });
+        await this.saveUsers();
+        return memory;
+    }
+
+    // 删除记忆，返回被删除的记忆，不存在时返回 null
+    async removeMemory(userId, memoryId) {
+        const memories = this.getMemories(userId);
+        const index = memories.findIndex(item => item.id === memoryId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [removed] = memories.splice(index, 1);
+        await this.saveUsers();
+        return removed;
+    }
+
     async addConversation(userId, conversation) {
         if (!this.users[userId]) {
             throw new Error('User not found');
@@ -156,7 +203,7 @@ export class UserStore {
         }
 
         // 简单的关键词匹配搜索
-        const memories = this.users[userId].memories
+        const memories = this.getMemories(userId)
             .filter(memory => 
                 memory.content.toLowerCase().includes(query.toLowerCase())
             )
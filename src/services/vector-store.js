@@ -1,98 +1,132 @@
-import { MemoryVectorStore } from "langchain/vectorstores/memory";
-import { OpenAIEmbeddings } from "@langchain/openai";
-import { join } from 'path';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { createEmbeddings } from './embeddings/index.js';
+import OpenAIClient from '../utils/OpenAIClient.js';
+import { v4 as uuidv4 } from 'uuid';
+import { join, dirname } from 'path';
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// 同一天的记忆超过该条数时才压缩为摘要
+const MIN_GROUP_SIZE = 5;
+
+const SUMMARY_PROMPT = `你负责整理关于用户的长期记忆。把给出的多条记忆合并为一段简洁的摘要：
+- 保留所有仍然有效的事实，如身份、偏好、项目和目标，删除重复的内容
+- 记忆之间有冲突时以较晚的记忆为准
+- 使用与记忆相同的语言，只输出摘要内容，不要添加说明`;
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// 旧版文件的记录可能是 { text, metadata }、{ pageContent, metadata } 或 { content, embedding, metadata }
+function normalizeEntry(item) {
+    const content = item?.content ?? item?.text ?? item?.pageContent;
+    if (typeof content !== 'string' || !content) {
+        return null;
+    }
+    return {
+        id: item.id || uuidv4(),
+        content,
+        embedding: Array.isArray(item.embedding) ? item.embedding : null,
+        metadata: item.metadata || {}
+    };
+}
+
+/**
+ * 记忆向量库
+ * 每条记忆为 { id, content, embedding, metadata }，metadata.userId 标识所属用户，
+ * 检索时先按用户筛选再计算相似度。数据保存在 memory-data/memories.json，
+ * 记录生成向量的 embedding 模型，模型更换后加载时重新生成向量
+ */
 export class VectorStoreService {
-    constructor() {
-        const configuration = {
-            apiKey: process.env.OPENAI_API_KEY,
-            basePath: process.env.OPENAI_BASE_URL,
-            baseURL: process.env.OPENAI_BASE_URL,
-            timeout: 30000,
-            dangerouslyAllowBrowser: true
-        };
-        
-        this.embeddings = new OpenAIEmbeddings({
-            openAIApiKey: process.env.OPENAI_API_KEY,
-            configuration: configuration
-        });
-        
-        this.vectorStore = null;
-        this.storagePath = join(process.cwd(), 'memory-data', 'memories.json');
+    constructor({ storagePath = join(process.cwd(), 'memory-data', 'memories.json'), embeddings = null, client = null } = {}) {
+        this.embeddings = embeddings || createEmbeddings(undefined, { timeout: 30000 });
+        this.client = client;
+        this.storagePath = storagePath;
+        this.entries = [];
+        // 文件中向量对应的 embedding 模型，全部记忆都用当前模型生成向量后才更新
+        this.embeddingModel = this._getEmbeddingModel();
+        this.ready = null;
+    }
+
+    _getEmbeddingModel() {
+        return this.embeddings.model || this.embeddings.modelName || 'unknown';
     }
 
     async initialize() {
-        try {
-            // 创建存储目录
-            await fs.mkdir(join(process.cwd(), 'memory-data'), { recursive: true });
+        this.ready = this._load();
+        return this.ready;
+    }
 
-            // 尝试加载现有数据
-            let existingData = [];
-            try {
-                const data = await fs.readFile(this.storagePath, 'utf8');
-                const jsonData = JSON.parse(data);
-                
-                existingData = jsonData
-                    .filter(item => item.text || item.pageContent)
-                    .map(item => ({
-                        pageContent: item.text || item.pageContent || '',
-                        metadata: item.metadata || {}
-                    }));
-                
-                console.log(`Loaded ${existingData.length} memories`);
-            } catch (error) {
-                console.log("No existing memories found, starting fresh");
-            }
+    // 首次使用时加载
+    async _ensureInitialized() {
+        if (!this.ready) {
+            this.ready = this._load();
+        }
+        await this.ready;
+    }
 
-            // 初始化向量存储
-            if (existingData.length > 0) {
-                this.vectorStore = await MemoryVectorStore.fromDocuments(
-                    existingData,
-                    this.embeddings
-                );
-            } else {
-                this.vectorStore = new MemoryVectorStore(this.embeddings);
-            }
+    async _load() {
+        await fs.mkdir(dirname(this.storagePath), { recursive: true });
 
-            console.log("Successfully initialized MemoryVectorStore");
-            return true;
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.storagePath, 'utf8'));
         } catch (error) {
-            console.error("Error initializing vector store:", error);
-            // 创建空的向量存储
-            this.vectorStore = new MemoryVectorStore(this.embeddings);
+            if (error.code !== 'ENOENT') {
+                // 文件损坏或暂时无法读取时不能从空白开始，否则下次保存会覆盖已有的记忆
+                throw new Error(`读取记忆文件 ${this.storagePath} 失败: ${error.message}`);
+            }
+            console.log('No existing memories found, starting fresh');
+            this.entries = [];
             return true;
         }
-    }
 
-    // 添加新的记忆
-    async addMemory(content, metadata = {}) {
-        if (!this.vectorStore) {
-            this.vectorStore = await MemoryVectorStore.fromTexts(
-                [content],
-                [metadata],
-                this.embeddings
-            );
+        // 旧版文件直接保存记录数组，没有模型信息
+        const records = Array.isArray(data) ? data : data.memories || [];
+        this.embeddingModel = Array.isArray(data) ? null : data.embeddingModel;
+        this.entries = records.map(normalizeEntry).filter(Boolean);
+
+        const current = this._getEmbeddingModel();
+        const stale = this.entries.filter(entry => !entry.embedding || this.embeddingModel !== current);
+        if (stale.length > 0) {
+            try {
+                const embeddings = await this.embeddings.embedDocuments(stale.map(entry => entry.content));
+                stale.forEach((entry, index) => { entry.embedding = embeddings[index]; });
+                this.embeddingModel = current;
+                await this.saveToFile();
+            } catch (error) {
+                // 其他模型的向量不能与当前模型比较；没有向量的记忆不参与检索，下次加载时重试
+                stale.forEach(entry => { entry.embedding = null; });
+                console.error('Error embedding memories:', error);
+            }
         } else {
-            await this.vectorStore.addDocuments([
-                { pageContent: content, metadata }
-            ]);
+            this.embeddingModel = current;
         }
 
-        // 保存到文件
-        await this.saveToFile();
+        console.log(`Loaded ${this.entries.length} memories`);
         return true;
     }
 
     async saveToFile() {
         try {
-            const documents = this.vectorStore.memoryVectors;
+            await fs.mkdir(dirname(this.storagePath), { recursive: true });
             await fs.writeFile(
                 this.storagePath,
-                JSON.stringify(documents, null, 2),
+                JSON.stringify({
+                    embeddingModel: this.embeddingModel,
+                    memories: this.entries
+                }, null, 2),
                 'utf8'
             );
             return true;
@@ -102,156 +136,186 @@ export class VectorStoreService {
         }
     }
 
-    // 搜索相关记忆
-    async searchMemories(query, limit = 5) {
-        if (!this.vectorStore) {
-            await this.initialize();
-        }
+    /**
+     * 添加新的记忆
+     * @param {string} content
+     * @param {Object} metadata userId 为所属用户，其余字段原样保存
+     * @returns {Promise<string>} 记忆的 id
+     */
+    async addMemory(content, metadata = {}) {
+        await this._ensureInitialized();
 
-        try {
-            const results = await this.vectorStore.similaritySearch(query, limit);
-            return results.map(doc => ({
-                content: doc.pageContent,
-                metadata: doc.metadata
-            }));
-        } catch (error) {
-            console.error("Error searching memories:", error);
-            return [];
-        }
+        const embedding = await this.embeddings.embedQuery(content);
+        const entry = {
+            id: uuidv4(),
+            content,
+            embedding,
+            metadata: { timestamp: new Date().toISOString(), ...metadata }
+        };
+        this.entries.push(entry);
+
+        await this.saveToFile();
+        return entry.id;
+    }
+
+    // 获取记忆，不存在时返回 null
+    async getMemory(id) {
+        await this._ensureInitialized();
+        const entry = this.entries.find(item => item.id === id);
+        return entry ? { id: entry.id, content: entry.content, metadata: entry.metadata } : null;
+    }
+
+    // 用户的全部记忆，按时间排序
+    async getMemories(userId) {
+        await this._ensureInitialized();
+        return this.entries
+            .filter(entry => entry.metadata.userId === userId)
+            .map(({ id, content, metadata }) => ({ id, content, metadata }))
+            .sort((a, b) => String(a.metadata.timestamp ?? '').localeCompare(String(b.metadata.timestamp ?? '')));
     }
 
-    // 搜索相关记忆（带用户ID）
+    /**
+     * 搜索用户的相关记忆，只在该用户的记忆中计算相似度
+     * @returns {Promise<Array<{id: string, content: string, metadata: Object, score: number}>>} 按相似度排序
+     */
     async searchMemories(userId, query, limit = 5) {
-        if (!this.vectorStore) {
-            await this.initialize();
+        await this._ensureInitialized();
+
+        const candidates = this.entries.filter(entry => entry.metadata.userId === userId && entry.embedding);
+        if (candidates.length === 0 || limit <= 0) {
+            return [];
         }
 
         try {
-            const results = await this.vectorStore.similaritySearch(query, limit);
-            return results.map(doc => ({
-                content: doc.pageContent,
-                metadata: doc.metadata
-            })).filter(doc => doc.metadata.userId === userId);
+            const queryEmbedding = await this.embeddings.embedQuery(query);
+            return candidates
+                .map(entry => ({
+                    id: entry.id,
+                    content: entry.content,
+                    metadata: entry.metadata,
+                    score: cosineSimilarity(queryEmbedding, entry.embedding)
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
         } catch (error) {
-            console.error("Error searching memories:", error);
+            console.error('Error searching memories:', error);
             return [];
         }
     }
 
-    // 删除特定会话的记忆
-    async deleteConversationMemories(conversationId) {
-        if (!this.vectorStore) {
-            await this.initialize();
+    // 删除 metadata 满足 predicate 的记忆，返回删除的条数
+    async deleteMemories(predicate) {
+        await this._ensureInitialized();
+
+        const kept = this.entries.filter(entry => !predicate(entry.metadata || {}, entry));
+        const removed = this.entries.length - kept.length;
+        if (removed > 0) {
+            this.entries = kept;
+            await this.saveToFile();
         }
+        return removed;
+    }
 
-        try {
-            // 过滤掉指定会话的记忆
-            const memories = this.vectorStore.memoryVectors.filter(
-                vector => vector.metadata.conversationId !== conversationId
-            );
+    // 按 id 删除记忆，返回是否删除
+    async removeMemory(id) {
+        return (await this.deleteMemories((metadata, entry) => entry.id === id)) > 0;
+    }
 
-            // 保存到文件
-            await fs.writeFile(
-                this.storagePath,
-                JSON.stringify(
-                    memories.map(m => ({
-                        text: m.pageContent,
-                        metadata: m.metadata
-                    })),
-                    null,
-                    2
-                )
-            );
+    // 删除特定会话的记忆，返回删除的条数
+    async deleteConversationMemories(conversationId) {
+        return this.deleteMemories(metadata => metadata.conversationId === conversationId);
+    }
 
-            // 重新初始化向量存储
-            await this.initialize();
-            
-            return true;
-        } catch (error) {
-            console.error("Error deleting memories:", error);
-            return false;
-        }
+    // 删除用户的全部记忆，返回删除的条数
+    async deleteUserMemories(userId) {
+        return this.deleteMemories(metadata => metadata.userId === userId);
     }
 
     // 获取记忆统计信息
     async getStats() {
-        if (!this.vectorStore) {
-            await this.initialize();
-        }
-
-        try {
-            return {
-                totalMemories: this.vectorStore.memoryVectors.length,
-                storagePath: this.storagePath
-            };
-        } catch (error) {
-            console.error("Error getting stats:", error);
-            return {
-                totalMemories: 0,
-                storagePath: this.storagePath,
-                error: error.message
-            };
-        }
+        await this._ensureInitialized();
+        return {
+            totalMemories: this.entries.length,
+            users: new Set(this.entries.map(entry => entry.metadata.userId).filter(Boolean)).size,
+            embeddingModel: this._getEmbeddingModel(),
+            storagePath: this.storagePath
+        };
     }
 
-    // 压缩旧的记忆
+    /**
+     * 压缩旧的记忆
+     * 用户的记忆超过 threshold 条时，从最早的日期开始，把同一天超过 5 条的记忆合并为一条摘要，
+     * 直到不超过 threshold 条；摘要记录 originalCount 和 sourceIds，原记忆被删除。
+     * 带 memoryId 的记忆是 UserStore 中记忆的索引，由 UserMemoryService 维护，不参与压缩
+     * @returns {Promise<{compressedGroups: number, removed: number}>}
+     */
     async compressOldMemories(userId, threshold = 30) {
+        const result = { compressedGroups: 0, removed: 0 };
         try {
-            // 获取用户的所有记忆
-            const memories = await this.searchMemories(userId, "", 1000);
-            
-            if (memories.length <= threshold) {
-                return; // 如果记忆数量未超过阈值，不需要压缩
+            const memories = await this.getMemories(userId);
+            let count = memories.length;
+            if (count <= threshold) {
+                return result; // 如果记忆数量未超过阈值，不需要压缩
             }
 
-            // 对记忆进行分组和合并
-            const groupedMemories = {};
+            // 按日期分组，摘要本身不再参与分组
+            const groupedMemories = new Map();
             for (const memory of memories) {
-                const date = new Date(memory.metadata.timestamp).toDateString();
-                if (!groupedMemories[date]) {
-                    groupedMemories[date] = [];
+                if (memory.metadata.memoryId || memory.metadata.messageType === 'summary') {
+                    continue;
+                }
+                const date = new Date(memory.metadata.timestamp || 0).toDateString();
+                if (!groupedMemories.has(date)) {
+                    groupedMemories.set(date, []);
                 }
-                groupedMemories[date].push(memory);
+                groupedMemories.get(date).push(memory);
             }
 
-            // 为每组生成摘要
-            for (const [date, memoryGroup] of Object.entries(groupedMemories)) {
-                if (memoryGroup.length > 5) { // 只压缩超过5条的组
-                    const summary = await this.generateSummary(memoryGroup);
-                    await this.addMemory(summary, {
-                        userId,
-                        messageType: 'summary',
-                        timestamp: new Date().toISOString(),
-                        originalCount: memoryGroup.length,
-                        summaryDate: date
-                    });
-
-                    // 移除原始记忆
-                    for (const memory of memoryGroup) {
-                        await this.removeMemory(memory.content);
-                    }
+            for (const [date, memoryGroup] of groupedMemories) {
+                if (count <= threshold) {
+                    break;
+                }
+                if (memoryGroup.length <= MIN_GROUP_SIZE) {
+                    continue;
                 }
+
+                const summary = await this.generateSummary(memoryGroup);
+                const ids = new Set(memoryGroup.map(memory => memory.id));
+                await this.addMemory(summary, {
+                    userId,
+                    messageType: 'summary',
+                    originalCount: memoryGroup.length,
+                    summaryDate: date,
+                    sourceIds: [...ids]
+                });
+                await this.deleteMemories((metadata, entry) => ids.has(entry.id));
+
+                result.compressedGroups++;
+                result.removed += memoryGroup.length;
+                count -= memoryGroup.length - 1;
             }
 
-            // 保存更新后的记忆
-            await this.saveToFile();
-            
             console.log(`Compressed memories for user ${userId}`);
         } catch (error) {
+            // 摘要失败时原记忆保持不变
             console.error('Error compressing memories:', error);
         }
+        return result;
     }
 
-    // 生成记忆摘要
+    // 由聊天模型生成记忆摘要
     async generateSummary(memories) {
-        const texts = memories.map(m => m.content).join('\n');
-        return `Summary of ${memories.length} memories: ${texts.substring(0, 200)}...`;
-    }
-
-    // 移除记忆
-    async removeMemory(memoryContent) {
-        // 在实际实现中，这里应该从向量存储中移除记忆
-        console.log(`Removing memory ${memoryContent}`);
+        // 首次使用时才获取客户端
+        this.client = this.client || OpenAIClient.getInstance();
+        const response = await this.client.chatCompletion([
+            new SystemMessage(SUMMARY_PROMPT),
+            new HumanMessage(memories.map(memory => `- ${memory.content}`).join('\n'))
+        ]);
+        const summary = String(response ?? '').trim();
+        if (!summary) {
+            throw new Error('摘要模型返回了空内容');
+        }
+        return summary;
     }
 
     async saveMemories() {
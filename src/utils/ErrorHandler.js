@@ -13,6 +13,8 @@ export const ErrorCodes = {
     CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
     OPENAI_ERROR: 'OPENAI_ERROR',
     RAG_ERROR: 'RAG_ERROR',
+    // 知识库中没有找到相关内容
+    RAG_NO_HIT: 'RAG_NO_HIT',
     AGENT_ERROR: 'AGENT_ERROR',
     INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
@@ -1,6 +1,6 @@
 import { ChatOpenAI } from '@langchain/openai';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import CONFIG from '../config/index.js';
+import { createEmbeddings } from '../services/embeddings/index.js';
 
 export class OpenAIClient {
     static #instance = null;
@@ -52,12 +52,8 @@ export class OpenAIClient {
             temperature: this.config.temperature.tools
         });
 
-        // 初始化 embeddings 客户端
-        this.embeddingsClient = new OpenAIEmbeddings({
-            ...baseConfig,
-            modelName: this.config.embeddingsModel,
-            batchSize: this.config.embeddingsBatchSize || 512
-        });
+        // 初始化 embeddings 客户端，提供方由 config.embeddings 决定
+        this.embeddingsClient = createEmbeddings();
     }
 
     async chatCompletion(messages) {
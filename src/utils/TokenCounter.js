@@ -0,0 +1,53 @@
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+
+// 编码器加载较慢，按名称缓存
+const encoders = new Map();
+
+// 未知模型（如其他 OpenAI 兼容服务的模型）使用的编码
+const DEFAULT_ENCODING = 'cl100k_base';
+
+// 常见模型的上下文窗口，按名称前缀匹配，越具体的前缀越靠前
+const CONTEXT_WINDOWS = [
+    ['gpt-4o', 128000],
+    ['gpt-4.1', 1047576],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4-32k', 32768],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+    ['deepseek', 64000],
+    ['claude', 200000]
+];
+
+// 未知模型的上下文窗口，取较保守的值
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+export function getEncoder(encoding = DEFAULT_ENCODING) {
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, getEncoding(encoding));
+    }
+    return encoders.get(encoding);
+}
+
+// 模型使用的编码，未知模型使用 cl100k_base
+export function getModelEncoding(model) {
+    try {
+        return getEncodingNameForModel(model);
+    } catch (error) {
+        return DEFAULT_ENCODING;
+    }
+}
+
+// 模型的上下文窗口 token 数量
+export function getContextWindow(model = '') {
+    const name = String(model).toLowerCase();
+    const match = CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// 文本的 token 数量，用于控制注入提示词的内容长度
+export function countTokens(text, encoding = DEFAULT_ENCODING) {
+    return getEncoder(encoding).encode(String(text)).length;
+}
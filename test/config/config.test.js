@@ -0,0 +1,31 @@
+import { expect } from 'chai';
+import { intEnv } from '../../src/config/index.js';
+
+describe('配置读取测试', () => {
+    const name = 'AI_CHAT_TOOLS_TEST_INT';
+
+    afterEach(() => {
+        delete process.env[name];
+    });
+
+    it('未设置时应该使用默认值', () => {
+        expect(intEnv(name, 10)).to.equal(10);
+    });
+
+    it('设置为 0 时应该返回 0 而不是默认值', () => {
+        process.env[name] = '0';
+        expect(intEnv(name, 10)).to.equal(0);
+    });
+
+    it('不是数字或为空时应该使用默认值', () => {
+        process.env[name] = 'abc';
+        expect(intEnv(name, 10)).to.equal(10);
+        process.env[name] = '';
+        expect(intEnv(name, 10)).to.equal(10);
+    });
+
+    it('应该解析设置的整数', () => {
+        process.env[name] = '25';
+        expect(intEnv(name, 10)).to.equal(25);
+    });
+});
@@ -1,5 +1,7 @@
 import { RAGService } from '../src/services/rag-service.js';
 import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -13,9 +15,12 @@ describe('RAG 服务测试', function() {
     let ragService;
     const testKnowledgeBasePath = path.join(__dirname, '../docs');
     
-    beforeEach(() => {
-        // 初始化 RAG 服务
+    beforeEach(async () => {
+        // 初始化 RAG 服务，状态和索引写入临时目录
+        const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-service-'));
         ragService = new RAGService({
+            statePath: path.join(storageDir, 'rag-state.json'),
+            indexPath: path.join(storageDir, 'kb-data'),
             chunkSize: 1000,
             chunkOverlap: 200,
             maxRetrievedDocs: 5,
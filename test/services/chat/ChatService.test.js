@@ -1,9 +1,21 @@
-import ChatService from '../../../src/services/chat/ChatService.js';
-import UserService from '../../../src/services/user/UserService.js';
-import { RAGService } from '../../../src/services/rag-service.js';
-import MessageProcessor from '../../../src/services/chat/MessageProcessor.js';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import CONFIG from '../../../src/config/index.js';
+
+// 用户数据、RAG 状态和索引写入临时目录，不修改项目中的文件；
+// 单例在导入时创建，因此先设置路径再导入服务
+const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-service-'));
+CONFIG.rag.statePath = path.join(storageDir, 'rag-state.json');
+CONFIG.rag.indexPath = path.join(storageDir, 'kb-data');
+
+const { default: ChatService } = await import('../../../src/services/chat/ChatService.js');
+const { default: UserService } = await import('../../../src/services/user/UserService.js');
+const { RAGService } = await import('../../../src/services/rag-service.js');
+const { default: MessageProcessor } = await import('../../../src/services/chat/MessageProcessor.js');
+const { default: userStore } = await import('../../../src/services/user-store-singleton.js');
+userStore.dataPath = path.join(storageDir, 'users.json');
+userStore.users = {};
 
 async function prepareTestDocuments() {
     const testDocsDir = path.join(process.cwd(), 'test', 'data', 'docs');
@@ -43,6 +55,8 @@ async function initializeRagService(docsDir) {
     // 初始化 RAG 服务
     const ragService = new RAGService({
         knowledgeBasePath: docsDir,
+        statePath: path.join(storageDir, 'rag-state.json'),
+        indexPath: path.join(storageDir, 'kb-data'),
         debug: true
     });
     
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { PromptBuilder } from '../../../src/services/chat/PromptBuilder.js';
+import { getContextWindow, getModelEncoding } from '../../../src/utils/TokenCounter.js';
+
+describe('提示词预算测试', () => {
+    // 每轮对话约 20 个 token
+    const history = Array.from({ length: 10 }, (_, index) => ({
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `第 ${index + 1} 条消息 message number ${index + 1}`
+    }));
+
+    it('应该按模型给出编码和上下文窗口，未知模型使用默认值', () => {
+        expect(getModelEncoding('gpt-4o')).to.equal('o200k_base');
+        expect(getModelEncoding('some-local-model')).to.equal('cl100k_base');
+        expect(getContextWindow('gpt-4o-mini')).to.equal(128000);
+        expect(getContextWindow('gpt-4')).to.equal(8192);
+        expect(getContextWindow('some-local-model')).to.equal(8192);
+    });
+
+    it('预算充足时应该发送全部对话', () => {
+        const builder = new PromptBuilder({ model: 'gpt-4o', maxTokens: 0, reserveTokens: 1000 });
+        const { messages, usage, dropped } = builder.build({ systemPrompt: '你是助手', history, message: '你好' });
+        expect(usage.budget).to.equal(127000);
+        expect(messages).to.have.length(12);
+        expect(dropped).to.equal(0);
+        expect(usage.total).to.equal(usage.system + usage.history + usage.message);
+    });
+
+    it('超出预算时应该丢弃最早的对话，保留系统提示和当前消息', () => {
+        const builder = new PromptBuilder({ model: 'gpt-4o', maxTokens: 120, reserveTokens: 20 });
+        const { messages, usage, dropped } = builder.build({ systemPrompt: '你是助手', history, message: '你好' });
+        expect(usage.total).to.be.at.most(100);
+        expect(dropped).to.be.greaterThan(0);
+        expect(messages[0].content).to.equal('你是助手');
+        expect(messages[messages.length - 1].content).to.equal('你好');
+        // 发送的是最近的连续对话
+        expect(messages[1].content).to.equal(history[dropped].content);
+        expect(messages[messages.length - 2].content).to.equal(history[history.length - 1].content);
+    });
+
+    it('摘要应该限制在 summaryShare 以内，检索内容按 contextShare 分配', () => {
+        const builder = new PromptBuilder({ model: 'gpt-4o', maxTokens: 220, reserveTokens: 20, summaryShare: 0.2 });
+        const summary = '用户询问了部署流程和回滚步骤。'.repeat(20);
+        const { messages, usage } = builder.build({ systemPrompt: '你是助手', summary, history, message: '你好' });
+        expect(messages[1].content).to.match(/^以下是之前对话的摘要/);
+        expect(messages[1].content.endsWith('…')).to.equal(true);
+        expect(usage.summary).to.be.at.most(Math.floor((200 - usage.system - usage.message) * 0.2));
+
+        const available = 200 - builder.countMessage('你是助手') - builder.countMessage('你好');
+        expect(builder.contextBudget({ systemPrompt: '你是助手', message: '你好' })).to.equal(Math.floor(available * 0.5));
+    });
+});
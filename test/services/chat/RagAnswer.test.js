@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { answerWithContext } from '../../../src/services/chat/RagAnswer.js';
+import { PromptBuilder } from '../../../src/services/chat/PromptBuilder.js';
+
+describe('RAG 回答生成测试', () => {
+    // 记录发给模型的消息，返回固定的回答
+    function createClient(reply) {
+        const calls = [];
+        return {
+            calls,
+            chatCompletion: async messages => {
+                calls.push(messages);
+                return reply;
+            }
+        };
+    }
+
+    const ragResult = {
+        context: '[1] 报销需要主管审批\n\n[2] 年假需要提前一周申请',
+        metadata: {
+            references: [
+                { id: 1, source: 'finance.md', content: '报销需要主管审批' },
+                { id: 2, source: 'hr.md', content: '年假需要提前一周申请' }
+            ]
+        }
+    };
+
+    it('应该通过传入的模型生成回答，并在系统提示中包含检索内容和用户记忆', async () => {
+        const client = createClient('报销需要主管审批 [1]。');
+        const result = await answerWithContext({
+            client,
+            promptBuilder: new PromptBuilder({ model: 'gpt-4o', maxTokens: 0 }),
+            ragResult,
+            message: '报销流程是什么',
+            history: [{ role: 'user', content: '你好' }, { role: 'assistant', content: '你好！' }],
+            memories: [{ content: '用户在财务部工作' }]
+        });
+
+        expect(client.calls).to.have.lengthOf(1);
+        const [system, ...rest] = client.calls[0];
+        expect(system.content).to.include('[1] 报销需要主管审批');
+        expect(system.content).to.include('用户在财务部工作');
+        expect(rest.map(message => message.content)).to.deep.equal(['你好', '你好！', '报销流程是什么']);
+        expect(result.answer).to.equal('报销需要主管审批 [1]。');
+        expect(result.grounding).to.equal(null);
+    });
+
+    it('应该移除无效的引用编号，标记被引用的来源，并用清理后的回答检查依据', async () => {
+        const client = createClient('报销需要主管审批 [1][9]。');
+        const groundingCalls = [];
+        const result = await answerWithContext({
+            client,
+            promptBuilder: new PromptBuilder({ model: 'gpt-4o', maxTokens: 0 }),
+            ragResult,
+            message: '报销流程是什么',
+            checkGrounding: async (answer, references) => {
+                groundingCalls.push({ answer, references });
+                return { grounded: true };
+            }
+        });
+
+        expect(result.answer).to.equal('报销需要主管审批 [1]。');
+        expect(result.citations).to.deep.equal({ cited: [1], invalid: [9] });
+        expect(result.references.map(reference => reference.cited)).to.deep.equal([true, false]);
+        expect(groundingCalls).to.deep.equal([{ answer: '报销需要主管审批 [1]。', references: ragResult.metadata.references }]);
+        expect(result.grounding).to.deep.equal({ grounded: true });
+    });
+});
@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import { RagProcessor } from '../../../src/services/chat/processors/RagProcessor.js';
+import { ChatError, ErrorCodes } from '../../../src/utils/ErrorHandler.js';
+import { DONT_KNOW_REPLY } from '../../../src/services/rag/NoHitPolicy.js';
+
+describe('RAG 处理器测试', () => {
+    // 记录发给模型的消息，返回固定的回答
+    function createClient(reply) {
+        const calls = [];
+        return {
+            calls,
+            chatCompletion: async messages => {
+                calls.push(messages);
+                return reply;
+            }
+        };
+    }
+
+    function createProcessor(client, processMessage) {
+        const processor = new RagProcessor(client);
+        processor.init({ processMessage });
+        return processor;
+    }
+
+    const noHit = policy => async () => {
+        throw new ChatError('没有找到相关的知识库内容', ErrorCodes.RAG_NO_HIT, {
+            noHitPolicy: policy,
+            knowledgeBases: ['hr', 'finance']
+        });
+    };
+
+    it('未命中时 dont_know 策略应该直接拒绝回答，不调用模型', async () => {
+        const client = createClient('不应该调用');
+        const result = await createProcessor(client, noHit('dont_know')).process('火星的天气怎么样');
+
+        expect(result.content).to.equal(DONT_KNOW_REPLY);
+        expect(result.metadata).to.include({ noHit: true, noHitPolicy: 'dont_know', noHitReason: '没有找到相关的知识库内容' });
+        expect(client.calls).to.deep.equal([]);
+    });
+
+    it('未命中时 general 策略应该带着检索的知识库调用模型', async () => {
+        const client = createClient('该回答未参考知识库内容……');
+        const result = await createProcessor(client, noHit('general')).process('火星的天气怎么样');
+
+        expect(result.content).to.equal('该回答未参考知识库内容……');
+        expect(result.metadata.references).to.deep.equal([]);
+        const systemPrompt = client.calls[0][0].content;
+        expect(systemPrompt).to.include('通用知识').and.include('本次检索的知识库: hr, finance');
+    });
+
+    it('其他检索错误应该继续抛出', async () => {
+        const client = createClient('不应该调用');
+        const processor = createProcessor(client, async () => {
+            throw new Error('知识库 hr 未找到或未初始化');
+        });
+
+        let error = null;
+        try {
+            await processor.process('报销流程');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.equal(null);
+        expect(client.calls).to.deep.equal([]);
+    });
+
+    it('应该要求模型标注引用，并移除不对应检索结果的引用编号', async () => {
+        const client = createClient('报销需要主管审批 [1][3]，年假另行申请。');
+        const processor = createProcessor(client, async () => ({
+            context: '[1] 报销单需要主管审批\n\n[2] 年假按工龄计算',
+            documents: [],
+            metadata: {
+                references: [
+                    { id: 1, source: '/docs/hr.md' },
+                    { id: 2, source: '/docs/leave.md' }
+                ]
+            }
+        }));
+        const result = await processor.process('报销流程是什么');
+
+        const systemPrompt = client.calls[0][0].content;
+        expect(systemPrompt).to.include('[1] 报销单需要主管审批').and.include('用 [n] 标注来源');
+        expect(result.content).to.equal('报销需要主管审批 [1]，年假另行申请。');
+        expect(result.metadata.citations).to.deep.equal({ cited: [1], invalid: [3] });
+        expect(result.metadata.references.map(reference => reference.cited)).to.deep.equal([true, false]);
+    });
+});
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { ConversationSummarizer } from '../../../src/services/conversation/ConversationSummarizer.js';
+
+describe('对话摘要测试', () => {
+    function createConversation(count) {
+        return {
+            id: 'conv-1',
+            messages: Array.from({ length: count }, (_, index) => ({
+                role: index % 2 === 0 ? 'user' : 'assistant',
+                content: `消息 ${index + 1}`
+            }))
+        };
+    }
+
+    function createDb() {
+        const calls = [];
+        return {
+            calls,
+            ensureConversation: async (...args) => calls.push(['ensureConversation', ...args]),
+            updateConversationSummary: async (...args) => calls.push(['updateConversationSummary', ...args]),
+            addMessage: async (...args) => calls.push(['addMessage', ...args])
+        };
+    }
+
+    it('未超过阈值时不应该摘要', async () => {
+        const summarizer = new ConversationSummarizer({ client: {}, threshold: 6, keepRecent: 2 });
+        expect(await summarizer.maybeSummarize(createConversation(6))).to.equal(null);
+    });
+
+    it('应该把较早的消息与已有摘要合并，保留最近的消息并写入数据库', async () => {
+        const prompts = [];
+        const client = {
+            chatCompletion: async messages => {
+                prompts.push(messages[1].content);
+                return '  用户在讨论部署流程。  ';
+            }
+        };
+        const db = createDb();
+        const summarizer = new ConversationSummarizer({ db, client, threshold: 6, keepRecent: 2 });
+        const conversation = { ...createConversation(8), summary: '之前的摘要' };
+
+        const result = await summarizer.maybeSummarize(conversation, { userId: 'user-1' });
+        expect(result).to.deep.equal({ summary: '用户在讨论部署流程。', summarizedCount: 6 });
+        expect(prompts[0]).to.include('已有摘要：\n之前的摘要');
+        expect(prompts[0]).to.include('用户: 消息 1');
+        expect(prompts[0]).to.not.include('消息 7');
+
+        expect(conversation.summary).to.equal('用户在讨论部署流程。');
+        expect(ConversationSummarizer.pendingMessages(conversation).map(message => message.content))
+            .to.deep.equal(['消息 7', '消息 8']);
+
+        expect(db.calls.map(call => call[0])).to.deep.equal(['ensureConversation', 'updateConversationSummary', 'addMessage']);
+        expect(db.calls[0]).to.deep.equal(['ensureConversation', 'conv-1', 'user-1']);
+        expect(db.calls[2][2]).to.include({ role: 'system', isSummary: true });
+    });
+
+    it('模型调用失败时应该保持会话不变', async () => {
+        const client = { chatCompletion: async () => { throw new Error('请求超时'); } };
+        const summarizer = new ConversationSummarizer({ client, threshold: 2, keepRecent: 1 });
+        const conversation = createConversation(4);
+
+        expect(await summarizer.maybeSummarize(conversation)).to.equal(null);
+        expect(conversation.summary).to.equal(undefined);
+        expect(ConversationSummarizer.pendingMessages(conversation)).to.have.length(4);
+    });
+});
@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EmbeddingCache } from '../../../src/services/embeddings/EmbeddingCache.js';
+import { CachedEmbeddings } from '../../../src/services/embeddings/CachedEmbeddings.js';
+
+// 记录调用次数的假 embedding 实现
+class CountingEmbeddings {
+    constructor(model) {
+        this.model = model;
+        this.embedded = [];
+    }
+
+    async embedDocuments(texts) {
+        this.embedded.push(...texts);
+        return texts.map(text => [text.length, 1]);
+    }
+
+    async embedQuery(text) {
+        return (await this.embedDocuments([text]))[0];
+    }
+}
+
+describe('向量缓存测试', () => {
+    let filePath;
+
+    beforeEach(async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+        filePath = path.join(dir, 'cache.jsonl');
+    });
+
+    it('应该只为未缓存的文本调用接口，并统计命中率', async () => {
+        const inner = new CountingEmbeddings('m1');
+        const embeddings = new CachedEmbeddings(inner, new EmbeddingCache(filePath));
+
+        expect(await embeddings.embedDocuments(['a', 'bb', 'a'])).to.deep.equal([[1, 1], [2, 1], [1, 1]]);
+        expect(await embeddings.embedQuery('bb')).to.deep.equal([2, 1]);
+        expect(inner.embedded).to.deep.equal(['a', 'bb']);
+
+        const stats = await embeddings.cache.getStats();
+        expect(stats).to.include({ entries: 2, hits: 1, misses: 3 });
+        expect(stats.models).to.deep.equal({ m1: 2 });
+    });
+
+    it('重启后应该从文件读取缓存，不同模型互不命中', async () => {
+        await new CachedEmbeddings(new CountingEmbeddings('m1'), new EmbeddingCache(filePath)).embedDocuments(['a']);
+
+        const sameModel = new CountingEmbeddings('m1');
+        const otherModel = new CountingEmbeddings('m2');
+        const cache = new EmbeddingCache(filePath);
+        await new CachedEmbeddings(sameModel, cache).embedQuery('a');
+        await new CachedEmbeddings(otherModel, cache).embedQuery('a');
+
+        expect(sameModel.embedded).to.deep.equal([]);
+        expect(otherModel.embedded).to.deep.equal(['a']);
+    });
+
+    it('prune 应该删除其他模型的向量，天数为 0 时清空', async () => {
+        const cache = new EmbeddingCache(filePath);
+        await cache.setMany('m1', ['a'], [[1]]);
+        await cache.setMany('m2', ['b'], [[2]]);
+
+        expect(await cache.prune({ keepModels: ['m1'] })).to.deep.equal({ removed: 1, remaining: 1 });
+        expect((await new EmbeddingCache(filePath).getStats()).models).to.deep.equal({ m1: 1 });
+        expect(await cache.prune({ maxAgeDays: 0 })).to.deep.equal({ removed: 1, remaining: 0 });
+    });
+
+    it('重启后 prune 应该按最近一次使用的时间删除，而不是写入的时间', async () => {
+        const old = Date.now() - 10 * 24 * 60 * 60 * 1000;
+        await fs.writeFile(filePath, [
+            { key: EmbeddingCache.key('m1', 'used'), model: 'm1', embedding: [1], usedAt: old },
+            { key: EmbeddingCache.key('m1', 'unused'), model: 'm1', embedding: [2], usedAt: old }
+        ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        expect(await new EmbeddingCache(filePath).getMany('m1', ['used', 'used'])).to.deep.equal([[1], [1]]);
+        // 同一小时内重复命中只记录一次
+        expect((await fs.readFile(filePath, 'utf8')).trim().split('\n')).to.have.length(3);
+
+        const reloaded = new EmbeddingCache(filePath);
+        expect(await reloaded.prune({ maxAgeDays: 5 })).to.deep.equal({ removed: 1, remaining: 1 });
+        expect(await new EmbeddingCache(filePath).getMany('m1', ['used', 'unused'])).to.deep.equal([[1], undefined]);
+        expect((await fs.readFile(filePath, 'utf8')).trim().split('\n')).to.have.length(1);
+    });
+});
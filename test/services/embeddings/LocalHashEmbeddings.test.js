@@ -0,0 +1,33 @@
+import { expect } from 'chai';
+import { LocalHashEmbeddings } from '../../../src/services/embeddings/LocalHashEmbeddings.js';
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+describe('本地哈希向量测试', () => {
+    const embeddings = new LocalHashEmbeddings({ dimensions: 256 });
+
+    it('相同文本应该得到相同的归一化向量', async () => {
+        const [first, second] = await embeddings.embedDocuments(['年假申请流程', '年假申请流程']);
+        expect(first).to.have.length(256);
+        expect(first).to.deep.equal(second);
+        expect(Math.hypot(...first)).to.be.closeTo(1, 1e-9);
+        expect(await embeddings.embedQuery('年假申请流程')).to.deep.equal(first);
+    });
+
+    it('字面相近的文本应该比无关文本更相似', async () => {
+        const [query, related, unrelated] = await embeddings.embedDocuments([
+            '如何申请年假',
+            '年假申请需要提前三天提交',
+            'The server restarts every night'
+        ]);
+        expect(cosine(query, related)).to.be.greaterThan(cosine(query, unrelated));
+
+        const [english, plural, other] = await embeddings.embedDocuments(['deploy the service', 'deploying services', 'annual leave policy']);
+        expect(cosine(english, plural)).to.be.greaterThan(cosine(english, other));
+    });
+
+    it('模型标识应该包含维度，空文本返回零向量', async () => {
+        expect(embeddings.model).to.equal('local-hash-256-3');
+        expect((await embeddings.embedQuery('  ')).every(value => value === 0)).to.equal(true);
+    });
+});
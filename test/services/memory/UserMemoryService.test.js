@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import { UserStore } from '../../../src/services/user-store.js';
+import { UserMemoryService, withMemories } from '../../../src/services/memory/UserMemoryService.js';
+import { MemoryExtractor, parseOperations } from '../../../src/services/memory/MemoryExtractor.js';
+
+describe('用户长期记忆测试', () => {
+    let userStore;
+
+    beforeEach(async () => {
+        userStore = new UserStore();
+        // 不写入 user-data 目录
+        userStore.saveUsers = async () => true;
+        userStore.users['user-1'] = { id: 'user-1', conversations: [] };
+    });
+
+    function createVectorStore() {
+        const entries = [];
+        return {
+            entries,
+            addMemory: async (content, metadata) => entries.push({ content, metadata }),
+            deleteMemories: async predicate => {
+                const kept = entries.filter(entry => !predicate(entry.metadata));
+                const removed = entries.length - kept.length;
+                entries.splice(0, entries.length, ...kept);
+                return removed;
+            },
+            searchMemories: async (userId, query, limit) => entries
+                .filter(entry => entry.metadata.userId === userId)
+                .slice()
+                .reverse()
+                .slice(0, limit)
+        };
+    }
+
+    it('应该解析模型返回的操作，把编号映射为记忆 id 并丢弃无效的操作', () => {
+        const memories = [{ id: 'a' }, { id: 'b' }];
+        const response = '```json\n{"operations": ['
+            + '{"action": "add", "content": " 用户叫小明 ", "type": "identity"},'
+            + '{"action": "update", "id": "m2", "content": "用户偏好 Go", "type": "unknown"},'
+            + '{"action": "delete", "id": "m9"},'
+            + '{"action": "add", "content": ""}'
+            + ']}\n```';
+        expect(parseOperations(response, memories)).to.deep.equal([
+            { action: 'add', content: '用户叫小明', type: 'identity' },
+            { action: 'update', id: 'b', content: '用户偏好 Go', type: 'other' }
+        ]);
+        expect(parseOperations('没有可记录的信息')).to.deep.equal([]);
+    });
+
+    it('应该新增、修改和删除记忆，跳过重复内容并写入向量库', async () => {
+        const python = await userStore.addMemory('user-1', '用户偏好使用 Python');
+        const team = await userStore.addMemory('user-1', '用户在数据团队工作');
+        // 未指定类型时与提取器相同，归为 other
+        expect(python.type).to.equal('other');
+        const prompts = [];
+        const client = {
+            chatCompletion: async messages => {
+                prompts.push(messages[1].content);
+                return JSON.stringify({
+                    operations: [
+                        { action: 'add', content: '用户偏好使用python', type: 'preference' },
+                        { action: 'add', content: '用户在开发一个 RAG 项目', type: 'project' },
+                        { action: 'update', id: 'm1', content: '用户现在偏好使用 Go', type: 'preference' },
+                        { action: 'delete', id: 'm2' }
+                    ]
+                });
+            }
+        };
+        const vectorStore = createVectorStore();
+        const service = new UserMemoryService({
+            userStore,
+            vectorStore,
+            extractor: new MemoryExtractor({ client })
+        });
+
+        const result = await service.extract('user-1', {
+            userMessage: '我换团队了，最近改用 Go 写 RAG 项目',
+            assistantMessage: '好的',
+            conversationId: 'conv-1'
+        });
+        expect(prompts[0]).to.include('m1. 用户偏好使用 Python');
+        expect(result.added.map(memory => memory.content)).to.deep.equal(['用户在开发一个 RAG 项目']);
+        expect(result.added[0]).to.include({ source: 'extracted', type: 'project', conversationId: 'conv-1' });
+        expect(result.updated[0]).to.include({ id: python.id, content: '用户现在偏好使用 Go' });
+        expect(result.removed[0].id).to.equal(team.id);
+
+        expect(userStore.getMemories('user-1').map(memory => memory.content))
+            .to.deep.equal(['用户现在偏好使用 Go', '用户在开发一个 RAG 项目']);
+        expect(vectorStore.entries.map(entry => entry.metadata.memoryId))
+            .to.deep.equal([result.added[0].id, python.id]);
+    });
+
+    it('应该手动添加、按 id 开头删除和清空记忆，并同步删除向量库中的记录', async () => {
+        const vectorStore = createVectorStore();
+        const service = new UserMemoryService({ userStore, vectorStore });
+
+        const added = await service.add('user-1', '  用户住在上海 ');
+        expect(added).to.include({ success: true });
+        expect(added.memory).to.include({ content: '用户住在上海', source: 'manual' });
+        expect((await service.add('user-1', '用户住在 上海')).success).to.equal(false);
+        expect((await service.add('user-1', '   ')).success).to.equal(false);
+        await service.add('user-1', '用户养了一只猫');
+
+        const forgotten = await service.forget('user-1', added.memory.id.slice(0, 8));
+        expect(forgotten.success).to.equal(true);
+        expect(service.list('user-1').map(memory => memory.content)).to.deep.equal(['用户养了一只猫']);
+        expect(vectorStore.entries.map(entry => entry.content)).to.deep.equal(['用户养了一只猫']);
+        expect((await service.forget('user-1', 'missing')).success).to.equal(false);
+
+        expect(service.export('user-1').memories).to.have.length(1);
+        expect((await service.wipe('user-1')).count).to.equal(1);
+        expect(service.list('user-1')).to.deep.equal([]);
+        expect(vectorStore.entries).to.deep.equal([]);
+    });
+
+    it('召回应该融合向量和关键词检索，忽略向量库中过期的记忆', async () => {
+        const vectorStore = createVectorStore();
+        const service = new UserMemoryService({ userStore, vectorStore, recallLimit: 2 });
+        const deploy = await userStore.addMemory('user-1', '用户负责 kubernetes 部署');
+        const editor = await userStore.addMemory('user-1', '用户使用 vim 编辑器');
+        await userStore.addMemory('user-1', '用户喜欢喝咖啡');
+        // 向量库中 editor 的内容已被修改，另一条记忆已被删除
+        vectorStore.entries.push(
+            { content: '用户使用 emacs 编辑器', metadata: { userId: 'user-1', memoryId: editor.id } },
+            { content: '已删除的记忆', metadata: { userId: 'user-1', memoryId: 'removed' } },
+            { content: deploy.content, metadata: { userId: 'user-1', memoryId: deploy.id } }
+        );
+
+        const recalled = await service.recall('user-1', 'kubernetes 部署出错了');
+        expect(recalled[0].id).to.equal(deploy.id);
+        expect(recalled[0].score).to.equal(1);
+        expect(recalled.every(memory => memory.content !== '已删除的记忆')).to.equal(true);
+
+        expect(withMemories('你是助手', [])).to.equal('你是助手');
+        expect(withMemories('你是助手', recalled.slice(0, 1))).to.match(/^你是助手\n\n以下是关于用户的已知信息.*\n- 用户负责 kubernetes 部署$/);
+    });
+});
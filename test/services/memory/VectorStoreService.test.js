@@ -0,0 +1,131 @@
+import { expect } from 'chai';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { VectorStoreService } from '../../../src/services/vector-store.js';
+import { LocalHashEmbeddings } from '../../../src/services/embeddings/index.js';
+
+describe('记忆向量库测试', () => {
+    let dir;
+    let storagePath;
+    const embeddings = new LocalHashEmbeddings({ dimensions: 256 });
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'memory-store-'));
+        storagePath = join(dir, 'memories.json');
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('应该读取旧版文件并补全 id 和向量，重新加载后可以按 id 删除', async () => {
+        await writeFile(storagePath, JSON.stringify([
+            { text: '用户喜欢爬山', metadata: { userId: 'u1' } },
+            { pageContent: '用户住在杭州', metadata: { userId: 'u1' } }
+        ]));
+        const store = new VectorStoreService({ storagePath, embeddings });
+        const memories = await store.getMemories('u1');
+        expect(memories.map(memory => memory.content)).to.have.members(['用户喜欢爬山', '用户住在杭州']);
+
+        const saved = JSON.parse(await readFile(storagePath, 'utf8'));
+        expect(saved.embeddingModel).to.equal(embeddings.model);
+        expect(saved.memories.every(entry => entry.id && entry.embedding.length === 256)).to.equal(true);
+
+        expect(await store.removeMemory(memories[0].id)).to.equal(true);
+        expect(await store.removeMemory('missing')).to.equal(false);
+        const reloaded = new VectorStoreService({ storagePath, embeddings });
+        expect((await reloaded.getMemories('u1')).map(memory => memory.id)).to.deep.equal([memories[1].id]);
+    });
+
+    it('记忆文件无法解析时应该报错，且不覆盖原文件', async () => {
+        await writeFile(storagePath, '{"memories": [');
+        const store = new VectorStoreService({ storagePath, embeddings });
+
+        let error = null;
+        try {
+            await store.addMemory('用户喜欢爬山', { userId: 'u1' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.include('读取记忆文件');
+        expect(await readFile(storagePath, 'utf8')).to.equal('{"memories": [');
+    });
+
+    it('更换模型后重新生成向量失败时应该丢弃旧向量，并保留旧的模型名称以便下次重试', async () => {
+        await writeFile(storagePath, JSON.stringify({
+            embeddingModel: 'old-model',
+            memories: [{ id: 'a', content: '用户喜欢爬山', embedding: [1, 0, 0], metadata: { userId: 'u1' } }]
+        }));
+        const failing = {
+            model: embeddings.model,
+            embedQuery: text => embeddings.embedQuery(text),
+            embedDocuments: async () => { throw new Error('请求超时'); }
+        };
+        const store = new VectorStoreService({ storagePath, embeddings: failing });
+        await store.addMemory('用户喜欢爬山和徒步', { userId: 'u1' });
+
+        const results = await store.searchMemories('u1', '爬山', 5);
+        expect(results.map(result => result.content)).to.deep.equal(['用户喜欢爬山和徒步']);
+        expect(results.every(result => Number.isFinite(result.score))).to.equal(true);
+        const saved = JSON.parse(await readFile(storagePath, 'utf8'));
+        expect(saved.embeddingModel).to.equal('old-model');
+        expect(saved.memories.find(entry => entry.id === 'a').embedding).to.equal(null);
+
+        const reloaded = new VectorStoreService({ storagePath, embeddings });
+        expect((await reloaded.searchMemories('u1', '爬山', 5)).map(result => result.id)).to.include('a');
+        expect(JSON.parse(await readFile(storagePath, 'utf8')).embeddingModel).to.equal(embeddings.model);
+    });
+
+    it('应该先按用户筛选再取相似度最高的记忆，并按会话和用户删除', async () => {
+        const store = new VectorStoreService({ storagePath, embeddings });
+        await store.initialize();
+        for (let i = 0; i < 5; i++) {
+            await store.addMemory(`用户喜欢 Python 编程 ${i}`, { userId: 'u2', conversationId: 'c2' });
+        }
+        await store.addMemory('用户喜欢 Python 编程', { userId: 'u1', conversationId: 'c1' });
+        await store.addMemory('用户养了一只猫', { userId: 'u1', conversationId: 'c3' });
+
+        const results = await store.searchMemories('u1', 'Python 编程', 1);
+        expect(results).to.have.length(1);
+        expect(results[0]).to.include({ content: '用户喜欢 Python 编程' });
+        expect(results[0].metadata.userId).to.equal('u1');
+
+        expect(await store.deleteConversationMemories('c1')).to.equal(1);
+        expect((await store.searchMemories('u1', 'Python 编程', 5)).map(memory => memory.content)).to.deep.equal(['用户养了一只猫']);
+        expect(await store.deleteUserMemories('u2')).to.equal(5);
+        expect((await store.getStats()).totalMemories).to.equal(1);
+    });
+
+    it('应该把同一天的旧记忆压缩为摘要并删除原记忆，摘要失败时保持不变', async () => {
+        const prompts = [];
+        const client = {
+            chatCompletion: async messages => {
+                prompts.push(messages[1].content);
+                return '用户喜欢户外运动。';
+            }
+        };
+        const store = new VectorStoreService({ storagePath, embeddings, client });
+        for (let i = 0; i < 6; i++) {
+            await store.addMemory(`用户周末去运动 ${i}`, { userId: 'u1', timestamp: '2024-01-01T08:00:00.000Z' });
+        }
+        // UserStore 记忆的索引不参与压缩
+        await store.addMemory('用户叫小明', { userId: 'u1', memoryId: 'm1', timestamp: '2024-01-01T09:00:00.000Z' });
+
+        const failing = new VectorStoreService({
+            storagePath,
+            embeddings,
+            client: { chatCompletion: async () => { throw new Error('请求超时'); } }
+        });
+        expect(await failing.compressOldMemories('u1', 3)).to.deep.equal({ compressedGroups: 0, removed: 0 });
+        expect(await failing.getMemories('u1')).to.have.length(7);
+
+        expect(await store.compressOldMemories('u1', 3)).to.deep.equal({ compressedGroups: 1, removed: 6 });
+        expect(prompts[0]).to.include('- 用户周末去运动 0');
+        const memories = await store.getMemories('u1');
+        expect(memories.map(memory => memory.content)).to.have.members(['用户叫小明', '用户喜欢户外运动。']);
+        const summary = memories.find(memory => memory.metadata.messageType === 'summary');
+        expect(summary.metadata).to.include({ originalCount: 6 });
+        expect(summary.metadata.sourceIds).to.have.length(6);
+    });
+});
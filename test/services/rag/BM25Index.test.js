@@ -0,0 +1,56 @@
+import { expect } from 'chai';
+import { BM25Index, tokenize } from '../../../src/services/rag/BM25Index.js';
+import { reciprocalRankFusion } from '../../../src/services/rag/RankFusion.js';
+
+describe('BM25 关键词检索测试', () => {
+    describe('分词', () => {
+        it('应该把中文切分为单字和双字', () => {
+            expect(tokenize('知识库')).to.deep.equal(['知', '知识', '识', '识库', '库']);
+        });
+
+        it('应该保留产品编号的完整形式和组成部分', () => {
+            const tokens = tokenize('型号 AB-1234');
+            expect(tokens).to.include('ab-1234');
+            expect(tokens).to.include('ab');
+            expect(tokens).to.include('1234');
+        });
+    });
+
+    describe('检索', () => {
+        const index = new BM25Index([
+            '旗舰型号 AB-1234 支持快速充电',
+            '入门型号 AB-5678 价格便宜',
+            '自然语言处理是人工智能的一个分支'
+        ]);
+
+        it('应该优先返回精确匹配产品编号的分块', () => {
+            const results = index.search('AB-1234 的参数');
+            expect(results[0].index).to.equal(0);
+        });
+
+        it('应该能匹配中文关键词', () => {
+            const results = index.search('什么是自然语言处理');
+            expect(results[0].index).to.equal(2);
+        });
+
+        it('没有任何词命中时应该返回空数组', () => {
+            expect(index.search('XYZ')).to.deep.equal([]);
+        });
+    });
+
+    describe('倒数排名融合', () => {
+        it('两路都排名靠前的结果应该排在最前面', () => {
+            const fused = reciprocalRankFusion([
+                [{ index: 1 }, { index: 2 }],
+                [{ index: 2 }, { index: 3 }]
+            ]);
+            expect(fused[0].index).to.equal(2);
+            expect(fused[0].ranks).to.deep.equal([2, 1]);
+        });
+
+        it('在所有列表中都排第一的结果得分应该为 1', () => {
+            const fused = reciprocalRankFusion([[{ index: 5 }], [{ index: 5 }]]);
+            expect(fused[0].score).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+import { expect } from 'chai';
+import path from 'path';
+import { extractCitations, formatSource, getSourceLocation, validateCitations } from '../../../src/services/rag/Citations.js';
+
+describe('引用标注测试', () => {
+    const references = [{ id: 1 }, { id: 2 }];
+
+    it('应该记录有效引用并移除无效编号，全部无效的标记保留原文', () => {
+        const result = validateCitations('支持快充[1]。价格便宜[2, 5]。型号众多[7]。发布于[2024]。', references);
+        expect(result.answer).to.equal('支持快充[1]。价格便宜[2]。型号众多[7]。发布于[2024]。');
+        expect(result.cited).to.deep.equal([1, 2]);
+        expect(result.invalid).to.deep.equal([5, 7, 2024]);
+    });
+
+    it('不应该把行内代码和代码块中的方括号当作引用', () => {
+        const answer = '取第一个元素[1]：`arr[0, 1]`\n```js\nconst first = arr[0];\nmatrix[2, 5] = 1;\n```\n完成[2, 5]';
+        const result = validateCitations(answer, references);
+        expect(result.answer).to.equal('取第一个元素[1]：`arr[0, 1]`\n```js\nconst first = arr[0];\nmatrix[2, 5] = 1;\n```\n完成[2]');
+        expect(result.cited).to.deep.equal([1, 2]);
+        expect(result.invalid).to.deep.equal([5]);
+
+        const { text, ids } = extractCitations('见 `list[3]` 的说明[1]');
+        expect(text).to.equal('见 `list[3]` 的说明');
+        expect(ids).to.deep.equal([1]);
+
+        // 未闭合的代码块延续到回答末尾
+        expect(validateCitations('```python\nprint(a[1])', references).answer).to.equal('```python\nprint(a[1])');
+    });
+
+    it('应该从分块元数据中提取页码、行号和章节', () => {
+        const location = getSourceLocation({ page: 3, loc: { lines: { from: 10, to: 12 } }, section: '安装' });
+        expect(location).to.deep.equal({ page: 3, lines: { from: 10, to: 12 }, section: '安装' });
+    });
+
+    it('应该把工作目录下的来源格式化为相对路径', () => {
+        const source = path.join(process.cwd(), 'docs', 'guide.md');
+        expect(formatSource({ source, location: { lines: { from: 5, to: 5 }, section: '安装' } }))
+            .to.equal(`${path.join('docs', 'guide.md')} 第 5 行 · 安装`);
+    });
+});
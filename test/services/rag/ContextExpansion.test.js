@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { joinChunks, expandHits, packGroups } from '../../../src/services/rag/ContextExpansion.js';
+
+describe('上下文扩展测试', () => {
+    // 两个文件的分块，相邻分块之间有重叠文本
+    const vectors = [
+        { content: 'alpha one. shared tail', metadata: { source: 'a.md', parentIndex: 0 } },
+        { content: 'shared tail two. next', metadata: { source: 'a.md', parentIndex: 0 } },
+        { content: 'three section', metadata: { source: 'a.md', parentIndex: 1 } },
+        { content: 'four section', metadata: { source: 'a.md', parentIndex: 1 } },
+        { content: 'other file', metadata: { source: 'b.md', parentIndex: 0 } }
+    ];
+    const getVectors = () => vectors;
+
+    it('应该拼接相邻分块并去掉重叠的文本', () => {
+        expect(joinChunks(['alpha one. shared tail', 'shared tail two.'])).to.equal('alpha one. shared tail two.');
+        expect(joinChunks(['first', 'second'])).to.equal('first\nsecond');
+    });
+
+    it('neighbors 方式应该合并重叠的范围，且不跨越来源文件', () => {
+        const hits = [
+            { knowledgeBase: 'kb', chunkId: 3 },
+            { knowledgeBase: 'kb', chunkId: 0 },
+            { knowledgeBase: 'kb', chunkId: 2 }
+        ];
+        const groups = expandHits(hits, { mode: 'neighbors', neighbors: 1, getVectors });
+        expect(groups).to.have.length(1);
+        expect(groups[0].hits).to.deep.equal([0, 1, 2]);
+        expect(groups[0].content).to.equal('alpha one. shared tail two. next\nthree section\nfour section');
+        expect(groups[0].content).to.not.include('other file');
+    });
+
+    it('parent 方式应该把同一章节的结果合并为一个段落，没有章节时使用相邻分块', () => {
+        const hits = [
+            { knowledgeBase: 'kb', chunkId: 3 },
+            { knowledgeBase: 'kb', chunkId: 4 },
+            { knowledgeBase: 'kb', chunkId: 2 }
+        ];
+        const groups = expandHits(hits, {
+            mode: 'parent',
+            getVectors,
+            getParent: (kb, vector) => vector.metadata.source === 'a.md'
+                ? { key: `a.md#${vector.metadata.parentIndex}`, content: `章节 ${vector.metadata.parentIndex}` }
+                : null
+        });
+        expect(groups.map(group => group.hits)).to.deep.equal([[0, 2], [1]]);
+        expect(groups[0]).to.include({ content: '章节 1', parent: 'a.md#1', expanded: true });
+        expect(groups[1]).to.include({ content: 'other file', expanded: false });
+    });
+
+    it('应该在预算内选择段落，放不下时退回为命中的分块', () => {
+        const groups = [
+            { hits: [0], content: 'x'.repeat(30), expanded: true },
+            { hits: [1], content: 'y'.repeat(50), expanded: true },
+            { hits: [2], content: 'z'.repeat(40), expanded: false }
+        ];
+        const packed = packGroups(groups, {
+            budget: 50,
+            measure: group => group.content.length,
+            fallback: group => ({ ...group, content: group.content.slice(0, 10), expanded: false })
+        });
+        expect(packed.groups.map(group => group.hits[0])).to.deep.equal([0, 1]);
+        expect(packed.groups[1]).to.include({ tokens: 10, expanded: false });
+        expect(packed.tokens).to.equal(40);
+        expect(packed.dropped).to.equal(1);
+    });
+});
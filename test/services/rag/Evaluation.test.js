@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RagEvaluator, loadEvalSet, recallAtK, reciprocalRank } from '../../../src/services/rag/Evaluation.js';
+import { ChatError, ErrorCodes } from '../../../src/utils/ErrorHandler.js';
+
+describe('RAG 评估测试', () => {
+    const references = [
+        { chunkId: 'docs#4', source: '/data/docs/faq.md' },
+        { chunkId: 'docs#1', source: '/data/docs/guide/install.md' },
+        { chunkId: 'docs#7', source: '/data/docs/release.md' }
+    ];
+
+    it('应该按分块编号和来源文件结尾计算 recall@k 和倒数排名', () => {
+        const testCase = { expectedChunks: ['docs#1'], expectedSources: ['release.md'] };
+        expect(recallAtK(references, testCase, 1)).to.equal(0);
+        expect(recallAtK(references, testCase, 2)).to.equal(0.5);
+        expect(recallAtK(references, testCase, 3)).to.equal(1);
+        expect(reciprocalRank(references, testCase)).to.equal(0.5);
+
+        const bySource = { expectedChunks: [], expectedSources: ['guide/install.md'] };
+        expect(reciprocalRank(references, bySource)).to.equal(0.5);
+        expect(recallAtK(references, { expectedChunks: [], expectedSources: [] }, 3)).to.equal(null);
+    });
+
+    it('应该读取 JSON Lines 评估集并报告出错的行号', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-eval-'));
+        const file = path.join(dir, 'golden.jsonl');
+        await fs.writeFile(file, '{"question": "如何安装", "expectedSources": ["install.md"]}\n\n{"question": "发布周期"}\n');
+        const cases = await loadEvalSet(file);
+        expect(cases.map(testCase => testCase.id)).to.deep.equal([1, 3]);
+        expect(cases[1].expectedChunks).to.deep.equal([]);
+
+        await fs.writeFile(file, '{"question": "a"}\n{"expected": []}\n');
+        try {
+            await loadEvalSet(file);
+            expect.fail('应该抛出错误');
+        } catch (error) {
+            expect(error.message).to.include('第 2 行');
+        }
+    });
+
+    it('应该汇总检索指标、忠实度并把未命中计为零分', async () => {
+        const ragService = {
+            async processMessage(question, options) {
+                if (question === '无关问题') {
+                    throw new ChatError('没有找到相关的知识库内容', ErrorCodes.RAG_NO_HIT);
+                }
+                return {
+                    context: '参考内容',
+                    metadata: { references: references.slice(0, options.limit).map((reference, index) => ({ ...reference, id: index + 1 })) }
+                };
+            }
+        };
+        const client = {
+            chatCompletion: async () => '安装需要 Node.js [1][9]',
+            toolsCompletion: async () => '评估结果：{"faithfulness": 0.8, "correctness": null, "unsupported": []}'
+        };
+
+        const evaluator = new RagEvaluator(ragService, { client });
+        const { summary, results } = await evaluator.evaluate([
+            { id: 1, question: '如何安装', expectedChunks: ['docs#1'], expectedSources: [] },
+            { id: 2, question: '无关问题', expectedChunks: ['docs#9'], expectedSources: [] }
+        ], { k: 2 });
+
+        expect(results[0].answer).to.equal('安装需要 Node.js [1]');
+        expect(results[1].noHit).to.equal(true);
+        expect(summary).to.include({ questions: 2, noHitRate: 0.5, recallAtK: 0.5, mrr: 0.25, faithfulness: 0.8, correctness: null });
+    });
+});
@@ -0,0 +1,53 @@
+import { expect } from 'chai';
+import { GroundingChecker, splitClaims } from '../../../src/services/rag/Grounding.js';
+
+describe('回答依据检查测试', () => {
+    const references = [
+        { id: 1, excerpt: '年假需要提前三天在系统中提交申请，由直属主管审批。' },
+        { id: 2, excerpt: 'The deploy script restarts the API server after migrations finish.' }
+    ];
+
+    it('应该按句子和列表项拆分陈述，记录位置和引用编号', () => {
+        const answer = '好的。\n- 年假需要提前三天提交申请[1]。\n- The deploy script restarts the server [2].';
+        const claims = splitClaims(answer);
+        expect(claims.map(claim => claim.text)).to.deep.equal([
+            '年假需要提前三天提交申请。',
+            'The deploy script restarts the server.'
+        ]);
+        expect(claims[0].citations).to.deep.equal([1]);
+        expect(answer.slice(claims[1].start, claims[1].end)).to.include('deploy script');
+    });
+
+    it('应该标出检索内容中没有依据的句子', async () => {
+        const checker = new GroundingChecker();
+        const result = await checker.check(
+            '年假需要提前三天提交申请[1]。病假每年有三十天带薪假期。The deploy script restarts the API server.',
+            references
+        );
+        expect(result.total).to.equal(3);
+        expect(result.supported).to.equal(2);
+        expect(result.unsupported).to.deep.equal(['病假每年有三十天带薪假期。']);
+        expect(result.claims[0].sources).to.deep.equal([1]);
+    });
+
+    it('llm 方式应该只复核字面重合不足的句子，调用失败时保留字面结果', async () => {
+        const requests = [];
+        const client = {
+            toolsCompletion: async messages => {
+                requests.push(messages[1].content);
+                return '[{"id": 1, "supported": true}]';
+            }
+        };
+        const answer = '年假需要提前三天提交申请。休假申请由经理批准。';
+        const result = await new GroundingChecker({ method: 'llm', client }).check(answer, references);
+        expect(requests).to.have.length(1);
+        expect(requests[0]).to.include('1. 休假申请由经理批准。').and.not.include('提前三天提交申请。\n');
+        expect(result.score).to.equal(1);
+        expect(result.claims[1].judgedBy).to.equal('llm');
+
+        const failing = { toolsCompletion: async () => 'no json' };
+        const fallback = await new GroundingChecker({ method: 'llm', client: failing }).check(answer, references);
+        expect(fallback.supported).to.equal(1);
+        expect(fallback.judgeError).to.be.a('string');
+    });
+});
@@ -0,0 +1,29 @@
+import { expect } from 'chai';
+import { parseSelector, resolveSelector } from '../../../src/services/rag/KnowledgeBaseSelector.js';
+
+describe('知识库选择测试', () => {
+    const knowledgeBases = new Map([
+        ['hr', { tags: ['policy'] }],
+        ['finance', { tags: ['policy', 'report'] }],
+        ['product', { tags: [] }]
+    ]);
+    const collections = { legal: ['finance', 'deleted'] };
+
+    it('应该解析名称、标签和集合条件', () => {
+        expect(parseSelector('hr, tag:policy collection:legal')).to.deep.equal(['hr', 'tag:policy', 'collection:legal']);
+        expect(() => parseSelector('foo:bar')).to.throw('无效的知识库选择');
+        expect(() => parseSelector(' , ')).to.throw('不能为空');
+    });
+
+    it('应该按知识库顺序返回匹配任一条件的知识库', () => {
+        expect(resolveSelector(['product', 'tag:policy'], { knowledgeBases, collections }))
+            .to.deep.equal(['hr', 'finance', 'product']);
+        expect(resolveSelector(['collection:legal'], { knowledgeBases, collections })).to.deep.equal(['finance']);
+    });
+
+    it('严格模式下不存在的知识库或集合应该报错，检索时跳过', () => {
+        expect(() => resolveSelector(['missing'], { knowledgeBases, collections }, { strict: true })).to.throw('不存在');
+        expect(() => resolveSelector(['tag:none'], { knowledgeBases, collections }, { strict: true })).to.throw('没有标签');
+        expect(resolveSelector(['missing', 'hr'], { knowledgeBases, collections })).to.deep.equal(['hr']);
+    });
+});
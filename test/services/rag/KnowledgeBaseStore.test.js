@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { KnowledgeBaseStore } from '../../../src/services/rag/KnowledgeBaseStore.js';
+
+describe('知识库版本存储测试', () => {
+    let store;
+
+    const record = (contents) => ({
+        type: 'user',
+        path: '/docs',
+        embeddingModel: 'test-model',
+        sources: { '/docs/a.md': { hash: KnowledgeBaseStore.hashContent(contents.join('')) } },
+        vectors: contents.map(content => ({ content, embedding: [1, 0], metadata: { source: '/docs/a.md' } }))
+    });
+
+    beforeEach(async () => {
+        store = new KnowledgeBaseStore(await fs.mkdtemp(path.join(os.tmpdir(), 'kb-store-')));
+    });
+
+    it('应该按顺序编号并在清单中记录版本摘要', async () => {
+        expect(await store.saveVersion('docs', record(['a']))).to.equal(1);
+        expect(await store.saveVersion('docs', record(['a', 'b']))).to.equal(2);
+
+        const versions = await store.listVersions('docs');
+        expect(versions.map(entry => entry.version)).to.deep.equal([1, 2]);
+        expect(versions[1]).to.include({ embeddingModel: 'test-model', chunkCount: 2 });
+        expect(versions[1].sources).to.have.key('/docs/a.md');
+    });
+
+    it('应该读取保存的版本，删除活动索引后继续编号', async () => {
+        await store.saveVersion('docs', record(['a']));
+        await store.remove('docs');
+        expect(await store.saveVersion('docs', record(['b']))).to.equal(2);
+
+        const loaded = await store.loadVersion('docs', 1);
+        expect(loaded.version).to.equal(1);
+        expect(loaded.vectors[0].content).to.equal('a');
+        expect(await store.loadVersion('docs', 3)).to.equal(null);
+    });
+
+    it('超过 maxVersions 时应该删除最早的版本，版本号继续递增', async () => {
+        store = new KnowledgeBaseStore(store.storagePath, { maxVersions: 2 });
+        for (const content of ['a', 'b', 'c']) {
+            await store.saveVersion('docs', record([content]));
+        }
+
+        expect((await store.listVersions('docs')).map(entry => entry.version)).to.deep.equal([2, 3]);
+        expect(await store.loadVersion('docs', 1)).to.equal(null);
+        expect((await fs.readdir(store._getVersionDir('docs'))).sort()).to.deep.equal(['2.json', '3.json', 'manifest.json']);
+        expect(await store.saveVersion('docs', record(['d']))).to.equal(4);
+    });
+
+    it('removeVersions 应该删除全部版本', async () => {
+        await store.saveVersion('docs', record(['a']));
+        await store.removeVersions('docs');
+        expect(await store.listVersions('docs')).to.deep.equal([]);
+    });
+});
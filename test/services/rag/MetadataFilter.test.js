@@ -0,0 +1,35 @@
+import { expect } from 'chai';
+import { compileFilter, parseFilter } from '../../../src/services/rag/MetadataFilter.js';
+
+describe('元数据过滤测试', () => {
+    const chunk = {
+        source: '/docs/年报-2024.pdf',
+        section: '第三章 > 财务',
+        page: 12,
+        tags: ['财务', 'report'],
+        year: 2024
+    };
+
+    it('应该解析多个条件和带引号的值', () => {
+        expect(parseFilter('year>=2024 file="年报 2024.pdf" tags=a,b')).to.deep.equal([
+            { field: 'year', operator: '>=', values: ['2024'] },
+            { field: 'file', operator: '=', values: ['年报 2024.pdf'] },
+            { field: 'tags', operator: '=', values: ['a', 'b'] }
+        ]);
+    });
+
+    it('文本表达式应该按全部条件匹配', () => {
+        expect(compileFilter('year=2024 section~第三章')(chunk)).to.be.true;
+        expect(compileFilter('year=2024 page>20')(chunk)).to.be.false;
+        expect(compileFilter('tag=REPORT file~年报')(chunk)).to.be.true;
+    });
+
+    it('应该支持对象形式的条件', () => {
+        expect(compileFilter({ year: { $lt: 2024 } })(chunk)).to.be.false;
+        expect(compileFilter({ tags: ['其他', '财务'], page: { $gte: 10, $lte: 20 } })(chunk)).to.be.true;
+    });
+
+    it('无效的表达式应该抛出错误', () => {
+        expect(() => compileFilter('year 2024')).to.throw('无效的过滤条件');
+    });
+});
@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import {
+    validateNoHitPolicy,
+    getNoHitPrompt,
+    answerWithoutHits,
+    DONT_KNOW_REPLY
+} from '../../../src/services/rag/NoHitPolicy.js';
+
+describe('知识库未命中策略测试', () => {
+    // 记录发给模型的系统提示词
+    function createModel(reply) {
+        const prompts = [];
+        return {
+            prompts,
+            buildMessages: systemPrompt => [{ role: 'system', content: systemPrompt }],
+            complete: async messages => {
+                prompts.push(messages[0].content);
+                return reply;
+            }
+        };
+    }
+
+    it('应该拒绝不支持的策略', () => {
+        expect(validateNoHitPolicy('clarify')).to.equal('clarify');
+        expect(() => validateNoHitPolicy('ignore')).to.throw('不支持的未命中策略');
+        expect(() => getNoHitPrompt('ignore')).to.throw('不支持的未命中策略');
+    });
+
+    it('提示词应该包含本次检索的知识库', () => {
+        expect(getNoHitPrompt('dont_know', ['hr'])).to.equal(null);
+        expect(getNoHitPrompt('general', ['hr', 'finance'])).to.include('未参考知识库')
+            .and.include('本次检索的知识库: hr, finance');
+        expect(getNoHitPrompt('clarify')).to.include('澄清').and.not.include('本次检索的知识库');
+    });
+
+    it('dont_know 策略应该直接拒绝回答，不调用模型', async () => {
+        const model = createModel('不应该调用');
+        expect(await answerWithoutHits({ policy: 'dont_know', knowledgeBases: ['hr'], ...model })).to.equal(DONT_KNOW_REPLY);
+        expect(model.prompts).to.deep.equal([]);
+    });
+
+    it('general 策略应该用通用知识回答并声明，clarify 策略应该请用户澄清', async () => {
+        const general = createModel('该回答未参考知识库内容……');
+        expect(await answerWithoutHits({ policy: 'general', knowledgeBases: ['hr'], ...general })).to.equal('该回答未参考知识库内容……');
+        expect(general.prompts[0]).to.include('通用知识').and.include('本次检索的知识库: hr');
+
+        const clarify = createModel('请问您指的是哪个产品？');
+        expect(await answerWithoutHits({ policy: 'clarify', knowledgeBases: ['hr'], ...clarify })).to.equal('请问您指的是哪个产品？');
+        expect(clarify.prompts[0]).to.include('澄清问题');
+    });
+});
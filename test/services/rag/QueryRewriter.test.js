@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+import { QueryRewriter } from '../../../src/services/rag/QueryRewriter.js';
+
+describe('检索问题改写测试', () => {
+    function createRewriter(reply) {
+        const requests = [];
+        const rewriter = new QueryRewriter({
+            client: {
+                toolsCompletion: async messages => {
+                    requests.push(messages[1].content);
+                    return reply();
+                }
+            }
+        });
+        return { rewriter, requests };
+    }
+
+    it('没有对话历史时不调用模型', async () => {
+        const { rewriter, requests } = createRewriter(() => '不应调用');
+        expect(await rewriter.condense('什么是 RAG')).to.equal('什么是 RAG');
+        expect(requests).to.have.length(0);
+    });
+
+    it('应该结合对话历史改写追问', async () => {
+        const { rewriter, requests } = createRewriter(() => '第二个型号的价格是多少？');
+        const history = [
+            { role: 'user', content: '有哪些型号' },
+            { role: 'assistant', content: 'AB-1234 和 AB-5678' }
+        ];
+        expect(await rewriter.condense('第二个多少钱', history)).to.equal('第二个型号的价格是多少？');
+        expect(requests[0]).to.include('AB-5678');
+    });
+
+    it('应该解析等价问法并去掉重复和原问题', async () => {
+        const { rewriter } = createRewriter(() => '["快充功率", "快充功率", "充电速度", "快充"]');
+        expect(await rewriter.expand('快充', 3)).to.deep.equal(['快充功率', '充电速度']);
+    });
+
+    it('模型调用失败时应该退回原问题', async () => {
+        const { rewriter } = createRewriter(() => { throw new Error('请求超时'); });
+        expect(await rewriter.condense('第二个呢', [{ role: 'user', content: '型号' }])).to.equal('第二个呢');
+        expect(await rewriter.expand('第二个呢')).to.deep.equal([]);
+    });
+});
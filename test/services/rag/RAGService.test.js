@@ -0,0 +1,188 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RAGService } from '../../../src/services/rag-service.js';
+import { ErrorCodes } from '../../../src/utils/ErrorHandler.js';
+
+describe('RAG 服务状态测试', () => {
+    let dir;
+
+    // 状态和索引都写入临时目录，使用本地 embedding
+    function createService(config = {}) {
+        return new RAGService({
+            embeddingProvider: 'local',
+            ...config,
+            statePath: path.join(dir, 'rag-state.json'),
+            indexPath: path.join(dir, 'kb-data'),
+            knowledgeBasePath: path.join(dir, 'docs')
+        });
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-service-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('创建后立即修改的全局设置不应该被启动时加载的状态覆盖', async () => {
+        await fs.writeFile(path.join(dir, 'rag-state.json'), JSON.stringify({
+            defaults: { enabled: true, mode: 'multi' },
+            conversations: { c1: { enabled: false } }
+        }));
+
+        const service = createService();
+        service.enabled = false;
+        service.mode = 'single';
+
+        expect(await service.getSettings()).to.include({ enabled: false, mode: 'single' });
+        const state = JSON.parse(await fs.readFile(path.join(dir, 'rag-state.json'), 'utf8'));
+        expect(state.defaults).to.include({ enabled: false, mode: 'single' });
+        expect(state.conversations.c1).to.deep.equal({ enabled: false });
+    });
+
+    it('未命中时应该给出策略和当前作用域实际检索的知识库', async () => {
+        for (const name of ['hr', 'finance', 'legal']) {
+            await fs.mkdir(path.join(dir, name));
+            await fs.writeFile(path.join(dir, name, 'a.md'), `# ${name}\n\n${name} 部门的报销流程说明`);
+        }
+        const service = createService({ noHitPolicy: 'clarify', minRelevanceScore: 0.99 });
+        for (const name of ['hr', 'finance', 'legal']) {
+            expect((await service.addKnowledgeBase(path.join(dir, name), name)).success).to.equal(true);
+        }
+        const scope = { userId: 'u1', conversationId: 'c1' };
+        await service.updateSettings(scope, { enabled: true, mode: 'multi', knowledgeBases: 'hr,finance' });
+
+        let error = null;
+        try {
+            await service.processMessage('火星的天气怎么样', scope);
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.code).to.equal(ErrorCodes.RAG_NO_HIT);
+        expect(error.metadata).to.include({ noHitPolicy: 'clarify' });
+        expect(error.metadata.knowledgeBases).to.deep.equal(['hr', 'finance']);
+    });
+
+    it('kb sync 应该识别新增、修改和删除的文件，只为变化的文件生成向量', async () => {
+        const docs = path.join(dir, 'guide');
+        await fs.mkdir(docs);
+        await fs.writeFile(path.join(docs, 'a.md'), '# 安装\n\n运行 npm install 安装依赖');
+        await fs.writeFile(path.join(docs, 'b.md'), '# 配置\n\n在 .env 中填写密钥');
+        await fs.writeFile(path.join(docs, 'c.md'), '# 部署\n\n使用 docker 部署服务');
+        const service = createService();
+        expect((await service.addKnowledgeBase(docs, 'guide')).version).to.equal(1);
+
+        const embedded = [];
+        const embedDocuments = service.embeddings.embedDocuments.bind(service.embeddings);
+        service.embeddings.embedDocuments = async texts => {
+            embedded.push(...texts);
+            return embedDocuments(texts);
+        };
+        await fs.writeFile(path.join(docs, 'b.md'), '# 配置\n\n在 .env 中填写 OPENAI_API_KEY');
+        await fs.rm(path.join(docs, 'c.md'));
+        await fs.writeFile(path.join(docs, 'd.md'), '# 升级\n\n升级前先备份数据');
+
+        const result = await service.syncKnowledgeBase('guide');
+        expect(result).to.include({ success: true, version: 2 });
+        expect(result.changes.added).to.deep.equal([path.join(docs, 'd.md')]);
+        expect(result.changes.changed).to.deep.equal([path.join(docs, 'b.md')]);
+        expect(result.changes.removed).to.deep.equal([path.join(docs, 'c.md')]);
+        expect(result.changes.unchanged).to.deep.equal([path.join(docs, 'a.md')]);
+        expect(embedded.some(text => text.includes('OPENAI_API_KEY'))).to.equal(true);
+        expect(embedded.some(text => text.includes('升级前先备份数据'))).to.equal(true);
+        expect(embedded.some(text => text.includes('npm install'))).to.equal(false);
+
+        const { chunks } = await service.getKnowledgeBaseChunks('guide');
+        expect(chunks.map(chunk => chunk.content).join('\n')).to.not.include('docker');
+        expect((await service.syncKnowledgeBase('guide')).changes.unchanged).to.have.length(3);
+    });
+
+    it('相对路径的目录和绝对路径的 glob 导入同一批文件时应该复用已有向量', async () => {
+        const docs = path.join(dir, 'guide');
+        await fs.mkdir(docs);
+        await fs.writeFile(path.join(docs, 'a.md'), '# 安装\n\n运行 npm install 安装依赖');
+        await fs.writeFile(path.join(docs, 'b.md'), '# 配置\n\n在 .env 中填写密钥');
+        const service = createService();
+        expect((await service.addKnowledgeBase(path.relative(process.cwd(), docs), 'guide')).version).to.equal(1);
+
+        const embedded = [];
+        const embedDocuments = service.embeddings.embedDocuments.bind(service.embeddings);
+        service.embeddings.embedDocuments = async texts => {
+            embedded.push(...texts);
+            return embedDocuments(texts);
+        };
+        const result = await service.addKnowledgeBase(path.join(docs, '*.md'), 'guide');
+        expect(result).to.include({ success: true, version: 1 });
+        expect(embedded).to.deep.equal([]);
+    });
+
+    it('多知识库关键词检索时，弱匹配知识库的最佳结果不应该与强匹配的结果并列', async () => {
+        const contents = {
+            strong: ['报销流程：填写报销单，主管审批报销流程后财务打款', '年假按工龄计算', '办公室在三楼'],
+            weak: ['项目立项的流程说明，包括需求评审和排期', '服务器每周备份', '会议室需要提前预约']
+        };
+        const service = createService({ retrievalMode: 'keyword', maxRetrievedDocs: 4 });
+        for (const [name, docs] of Object.entries(contents)) {
+            await fs.mkdir(path.join(dir, name));
+            for (const [index, content] of docs.entries()) {
+                await fs.writeFile(path.join(dir, name, `${index}.txt`), content);
+            }
+            expect((await service.addKnowledgeBase(path.join(dir, name), name)).success).to.equal(true);
+        }
+
+        const { documents } = await service.multiSearch('报销流程', { knowledgeBases: 'strong,weak' });
+        const strong = documents.find(doc => doc.knowledgeBase === 'strong');
+        const weak = documents.find(doc => doc.knowledgeBase === 'weak');
+        expect(documents[0].knowledgeBase).to.equal('strong');
+        expect(strong.score - weak.score).to.be.above(0.2);
+        expect(strong.score).to.be.below(1);
+    });
+
+    describe('索引持久化', () => {
+        let docs;
+
+        // 记录启动后调用 embedding 接口的文本
+        function trackEmbeddings(service) {
+            const embedded = [];
+            const embedDocuments = service.embeddings.embedDocuments.bind(service.embeddings);
+            service.embeddings.embedDocuments = async texts => {
+                embedded.push(...texts);
+                return embedDocuments(texts);
+            };
+            return embedded;
+        }
+
+        beforeEach(async () => {
+            docs = path.join(dir, 'guide');
+            await fs.mkdir(docs);
+            await fs.writeFile(path.join(docs, 'a.md'), '# 安装\n\n运行 npm install 安装依赖');
+            await fs.writeFile(path.join(docs, 'b.md'), '# 配置\n\n在 .env 中填写密钥');
+            expect((await createService().addKnowledgeBase(docs, 'guide')).success).to.equal(true);
+        });
+
+        it('重启后应该从磁盘恢复索引，不再调用 embedding 接口', async () => {
+            const service = createService();
+            const embedded = trackEmbeddings(service);
+
+            const { total, chunks } = await service.getKnowledgeBaseChunks('guide');
+            expect(total).to.equal(2);
+            expect(chunks.map(chunk => chunk.content).join('\n')).to.include('npm install');
+            expect(embedded).to.deep.equal([]);
+        });
+
+        it('格式版本不兼容的索引应该被忽略', async () => {
+            const indexFile = path.join(dir, 'kb-data', 'guide.json');
+            const record = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+            await fs.writeFile(indexFile, JSON.stringify({ ...record, formatVersion: 1 }));
+
+            const service = createService();
+            const embedded = trackEmbeddings(service);
+
+            expect((await service.listKnowledgeBases()).map(kb => kb.name)).to.not.include('guide');
+            expect(embedded).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RagSettingsStore } from '../../../src/services/rag/RagSettingsStore.js';
+
+describe('RAG 设置存储测试', () => {
+    let filePath;
+
+    beforeEach(async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-settings-'));
+        filePath = path.join(dir, 'rag-state.json');
+    });
+
+    it('应该按会话、用户、全局默认的顺序合并设置', async () => {
+        const store = new RagSettingsStore(filePath);
+        await store.update(null, { currentKnowledgeBase: 'docs', knowledgeBases: null });
+        await store.update({ userId: 'u1' }, { mode: 'multi' });
+        await store.update({ userId: 'u1', conversationId: 'c1' }, { enabled: false });
+
+        expect(store.resolve('c1')).to.deep.equal({ enabled: false, mode: 'multi', currentKnowledgeBase: 'docs', knowledgeBases: null });
+        expect(store.resolve({ userId: 'u1', conversationId: 'c2' })).to.deep.equal({ enabled: true, mode: 'multi', currentKnowledgeBase: 'docs', knowledgeBases: null });
+        expect(store.resolve({ userId: 'u2' })).to.deep.equal({ enabled: true, mode: 'single', currentKnowledgeBase: 'docs', knowledgeBases: null });
+    });
+
+    it('多个实例修改不同会话时不应该互相覆盖', async () => {
+        const first = new RagSettingsStore(filePath);
+        const second = new RagSettingsStore(filePath);
+        await first.update('c1', { mode: 'multi' });
+        await second.update('c2', { enabled: false });
+
+        await first.load();
+        expect(first.resolve('c1').mode).to.equal('multi');
+        expect(first.resolve('c2').enabled).to.equal(false);
+    });
+
+    it('保存全局默认设置时不应该覆盖其他实例的会话设置', async () => {
+        const first = new RagSettingsStore(filePath);
+        const second = new RagSettingsStore(filePath);
+        await first.load();
+        await second.update({ userId: 'u1', conversationId: 'c1' }, { mode: 'multi' });
+
+        first.defaults.currentKnowledgeBase = 'docs';
+        await first.save();
+
+        await second.load();
+        expect(second.resolve('c1')).to.include({ mode: 'multi', currentKnowledgeBase: 'docs' });
+    });
+
+    it('应该把旧版 rag-state.json 读取为全局默认设置', async () => {
+        await fs.writeFile(filePath, JSON.stringify({ enabled: false, mode: 'multi', currentKnowledgeBase: 'docs' }));
+        const store = new RagSettingsStore(filePath);
+        await store.load();
+
+        expect(store.resolve('c1')).to.deep.equal({ enabled: false, mode: 'multi', currentKnowledgeBase: 'docs', knowledgeBases: null });
+    });
+});
@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+import { LLMReranker, LocalReranker, rerankDocuments } from '../../../src/services/rag/Reranker.js';
+
+describe('检索结果重排序测试', () => {
+    const docs = [
+        { content: '入门型号价格便宜', score: 0.9 },
+        { content: '旗舰型号支持快速充电', score: 0.8 },
+        { content: '自然语言处理', score: 0.7 }
+    ];
+
+    it('应该按模型打分重排序并记录前后名次', async () => {
+        const reranker = new LLMReranker({
+            client: { toolsCompletion: async () => '[{"id": 2, "score": 9}, {"id": 1, "score": 3}]' }
+        });
+        const results = await rerankDocuments('哪个型号支持快充', docs, reranker, 2);
+        expect(results.map(doc => doc.content)).to.deep.equal([docs[1].content, docs[0].content]);
+        expect(results[0].rerank).to.include({ before: 2, after: 1, originalScore: 0.8 });
+        expect(results[0].score).to.equal(0.9);
+    });
+
+    it('模型调用失败时应该保持原有顺序', async () => {
+        const reranker = new LLMReranker({
+            client: { toolsCompletion: async () => { throw new Error('请求超时'); } }
+        });
+        const results = await rerankDocuments('快充', docs, reranker, 2);
+        expect(results.map(doc => doc.score)).to.deep.equal([0.9, 0.8]);
+        expect(results[0].rerank.error).to.equal('请求超时');
+    });
+
+    it('本地打分应该优先覆盖问题关键词的段落', async () => {
+        const results = await rerankDocuments('快速充电', docs, new LocalReranker(), 3);
+        expect(results[0].content).to.equal(docs[1].content);
+    });
+});
@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+import { applyWeighting, weightScores } from '../../../src/services/rag/ScoreWeighting.js';
+
+describe('检索分数加权测试', () => {
+    it('应该按固定区间归一化并保留原始分数', () => {
+        const weighted = weightScores([{ score: 0.4 }, { score: 0.2 }]);
+        expect(weighted.map(doc => doc.score)).to.deep.equal([0.4, 0.2]);
+        expect(weighted[1].retrieval.rawScore).to.equal(0.2);
+
+        const floored = weightScores([{ score: 0.85 }, { score: 0.65 }], { floor: 0.7 });
+        expect(floored[0].score).to.be.closeTo(0.5, 1e-9);
+        expect(floored[1].score).to.equal(0);
+    });
+
+    it('最佳匹配较弱的知识库不应该与强相关的知识库并列', () => {
+        const strong = weightScores([{ score: 0.95 }, { score: 0.9 }], { floor: 0.7 });
+        const weak = weightScores([{ score: 0.75 }], { floor: 0.7 });
+        expect(strong[0].score).to.be.closeTo(5 / 6, 1e-9);
+        expect(weak[0].score).to.be.closeTo(1 / 6, 1e-9);
+        // 合并后强相关知识库的两个结果都排在弱相关知识库之前
+        const merged = [...strong, ...weak].sort((a, b) => b.score - a.score);
+        expect(merged.map(doc => doc.retrieval.rawScore)).to.deep.equal([0.95, 0.9, 0.75]);
+
+        // floor 可以按结果分别计算
+        const [doc] = weightScores([{ score: 0.85, retrieval: { mode: 'vector' } }], {
+            floor: item => item.retrieval.mode === 'vector' ? 0.7 : 0
+        });
+        expect(doc.score).to.be.closeTo(0.5, 1e-9);
+    });
+
+    it('exponential 加权应该压低低分结果且保持端点不变', () => {
+        expect(applyWeighting(1, 'exponential')).to.be.closeTo(1, 1e-9);
+        expect(applyWeighting(0, 'exponential')).to.equal(0);
+        expect(applyWeighting(0.5, 'exponential')).to.be.below(0.5);
+    });
+
+    it('应该应用知识库权重和先验', () => {
+        const [doc] = weightScores([{ score: 1 }], { weight: 0.5, prior: 0.1 });
+        expect(doc.score).to.be.closeTo(0.6, 1e-9);
+    });
+});
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, getGlobBase, resolveSourceFiles } from '../../../src/services/rag/SourceFiles.js';
+
+describe('知识库来源文件测试', () => {
+    describe('globToRegExp', () => {
+        const matches = (pattern, file) => globToRegExp(pattern).test(file);
+
+        it('** 应该匹配零个或多个目录，* 和 ? 不跨目录', () => {
+            expect(matches('docs/**/*.md', 'docs/a.md')).to.equal(true);
+            expect(matches('docs/**/*.md', 'docs/x/y/a.md')).to.equal(true);
+            expect(matches('docs/*.md', 'docs/x/a.md')).to.equal(false);
+            expect(matches('docs/**', 'docs/x/a.md')).to.equal(true);
+            expect(matches('docs/?.md', 'docs/a.md')).to.equal(true);
+            expect(matches('docs/?.md', 'docs/ab.md')).to.equal(false);
+        });
+
+        it('应该支持花括号和方括号', () => {
+            expect(matches('docs/*.{md,txt}', 'docs/a.txt')).to.equal(true);
+            expect(matches('docs/*.{md,txt}', 'docs/a.pdf')).to.equal(false);
+            expect(matches('docs/[ab].md', 'docs/b.md')).to.equal(true);
+            expect(matches('docs/[!ab].md', 'docs/b.md')).to.equal(false);
+            expect(matches('docs/[!ab].md', 'docs/c.md')).to.equal(true);
+            expect(matches('docs/a+b(1).md', 'docs/a+b(1).md')).to.equal(true);
+        });
+
+        it('通配符不应该匹配隐藏的文件和目录，模式中写出 . 时可以匹配', () => {
+            expect(matches('docs/*.md', 'docs/.draft.md')).to.equal(false);
+            expect(matches('docs/**/*.md', 'docs/.cache/a.md')).to.equal(false);
+            expect(matches('docs/**', 'docs/x/.draft.md')).to.equal(false);
+            expect(matches('docs/?draft.md', 'docs/.draft.md')).to.equal(false);
+            expect(matches('docs/.*.md', 'docs/.draft.md')).to.equal(true);
+            expect(matches('docs/.cache/*.md', 'docs/.cache/a.md')).to.equal(true);
+        });
+
+        it('应该取第一个含通配符的段之前的部分作为遍历起点', () => {
+            expect(getGlobBase('docs/guide/**/*.md')).to.equal('docs/guide');
+            expect(getGlobBase('*.md')).to.equal('.');
+        });
+    });
+
+    describe('resolveSourceFiles', () => {
+        let dir;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'source-files-'));
+            const files = [
+                'a.md', 'b.txt', 'c.js', '.draft.md',
+                'guide/d.md', 'guide/deep/e.md',
+                '.cache/f.md', 'node_modules/pkg/g.md'
+            ];
+            for (const file of files) {
+                await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+                await fs.writeFile(path.join(dir, file), file);
+            }
+        });
+
+        afterEach(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        const relative = files => files.map(file => path.relative(dir, file).split(path.sep).join('/'));
+
+        it('目录应该递归列出支持的文件，跳过隐藏文件和 node_modules', async () => {
+            expect(relative(await resolveSourceFiles(dir))).to.deep.equal([
+                'a.md', 'b.txt', 'guide/d.md', 'guide/deep/e.md'
+            ]);
+        });
+
+        it('glob 应该只返回匹配且支持的文件', async () => {
+            expect(relative(await resolveSourceFiles(path.join(dir, '**/*.md')))).to.deep.equal([
+                'a.md', 'guide/d.md', 'guide/deep/e.md'
+            ]);
+            expect(relative(await resolveSourceFiles(path.join(dir, '*.{md,txt,js}')))).to.deep.equal(['a.md', 'b.txt']);
+            expect(relative(await resolveSourceFiles(path.join(dir, 'guide/?.md')))).to.deep.equal(['guide/d.md']);
+            expect(relative(await resolveSourceFiles(path.join(dir, '.cache/*.md')))).to.deep.equal(['.cache/f.md']);
+        });
+
+        it('没有匹配的文件或来源不存在时应该返回空列表', async () => {
+            expect(await resolveSourceFiles(path.join(dir, '**/*.pdf'))).to.deep.equal([]);
+            expect(await resolveSourceFiles(path.join(dir, 'missing/**/*.md'))).to.deep.equal([]);
+            expect(await resolveSourceFiles(path.join(dir, 'missing.md'))).to.deep.equal([]);
+        });
+
+        it('存在的路径含有方括号或花括号时应该按普通文件和目录处理', async () => {
+            await fs.mkdir(path.join(dir, 'notes{old}'));
+            await fs.writeFile(path.join(dir, 'notes{old}', 'h.md'), 'h');
+            await fs.writeFile(path.join(dir, 'report[2024].md'), 'report');
+
+            expect(relative(await resolveSourceFiles(path.join(dir, 'report[2024].md')))).to.deep.equal(['report[2024].md']);
+            expect(relative(await resolveSourceFiles(path.join(dir, 'notes{old}')))).to.deep.equal(['notes{old}/h.md']);
+        });
+
+        it('相对路径的目录、文件和 glob 都应该返回绝对路径', async () => {
+            const cwd = process.cwd();
+            process.chdir(dir);
+            try {
+                expect(await resolveSourceFiles('guide')).to.deep.equal([
+                    path.resolve(dir, 'guide/d.md'), path.resolve(dir, 'guide/deep/e.md')
+                ]);
+                expect(await resolveSourceFiles('a.md')).to.deep.equal([path.resolve(dir, 'a.md')]);
+                expect(await resolveSourceFiles('guide/*.md')).to.deep.equal([path.resolve(dir, 'guide/d.md')]);
+            } finally {
+                process.chdir(cwd);
+            }
+        });
+    });
+});
@@ -0,0 +1,29 @@
+import { expect } from 'chai';
+import { Document } from '@langchain/core/documents';
+import { resolveChunker, splitDocuments } from '../../../../src/services/rag/chunkers/index.js';
+
+describe('分块方式测试', () => {
+    const baseConfig = { chunkSize: 1000, chunkOverlap: 200 };
+
+    it('应该补全默认参数并转换数值参数', () => {
+        expect(resolveChunker({ name: 'sentence', params: { chunkSize: '300' } }, baseConfig))
+            .to.deep.equal({ name: 'sentence', params: { chunkSize: 300, chunkOverlap: 200 } });
+    });
+
+    it('应该拒绝未知的分块方式和参数', () => {
+        expect(() => resolveChunker('unknown', baseConfig)).to.throw('不支持的分块方式');
+        expect(() => resolveChunker({ name: 'markdown', params: { foo: 1 } }, baseConfig)).to.throw('不支持参数: foo');
+    });
+
+    it('markdown 分块不应该切断代码块', async () => {
+        const code = '```js\nconst a = 1;\n\nconst b = 2;\n```';
+        const doc = new Document({
+            pageContent: `# 安装\n\n${'说明文字。'.repeat(10)}\n\n${code}\n\n## 配置\n\n${'配置说明。'.repeat(10)}`,
+            metadata: { source: 'guide.md' }
+        });
+        const chunks = await splitDocuments([doc], resolveChunker({ name: 'markdown', params: { chunkSize: 60 } }, baseConfig));
+
+        expect(chunks.some(chunk => chunk.pageContent.includes(code))).to.equal(true);
+        chunks.forEach(chunk => expect(chunk.metadata.loc.lines.from).to.be.at.least(1));
+    });
+});
@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+import { Document } from '@langchain/core/documents';
+import { lineStarts, lineAt, packUnits, sentenceUnits } from '../../../../src/services/rag/chunkers/utils.js';
+
+describe('分块工具函数测试', () => {
+    it('lineAt 应该返回位置所在的行号，换行符属于它所在的行', () => {
+        const text = '第一行\n第二行\n\n第四行';
+        const starts = lineStarts(text);
+
+        expect(starts).to.deep.equal([0, 4, 8, 9]);
+        expect(lineAt(starts, 0)).to.equal(1);
+        expect(lineAt(starts, 3)).to.equal(1);
+        expect(lineAt(starts, 4)).to.equal(2);
+        expect(lineAt(starts, 8)).to.equal(3);
+        expect(lineAt(starts, text.length - 1)).to.equal(4);
+        expect(lineAt(lineStarts(''), 0)).to.equal(1);
+    });
+
+    it('多个分块的行号应该与逐字符统计的结果一致', () => {
+        const text = Array.from({ length: 200 }, (_, i) => `第 ${i + 1} 行的内容。`).join('\n');
+        const doc = new Document({ pageContent: text, metadata: {} });
+        const chunks = packUnits(doc, sentenceUnits(text), { maxLength: 100 });
+
+        let offset = 0;
+        for (const chunk of chunks) {
+            const start = text.indexOf(chunk.pageContent, offset);
+            const end = start + chunk.pageContent.length - 1;
+            const countLines = position => text.slice(0, position).split('\n').length;
+            expect(chunk.metadata.loc.lines).to.deep.equal({ from: countLines(start), to: countLines(end) });
+            offset = start + 1;
+        }
+        expect(chunks.length).to.be.greaterThan(10);
+    });
+});
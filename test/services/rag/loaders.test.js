@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import documentLoaders from '../../../src/services/rag/loaders/index.js';
+
+describe('文档加载器测试', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-loaders-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function writeFile(name, content) {
+        const filePath = path.join(tempDir, name);
+        await fs.writeFile(filePath, content, 'utf-8');
+        return filePath;
+    }
+
+    it('应该按扩展名识别支持的文件类型', () => {
+        expect(documentLoaders.isSupported('a.txt')).to.be.true;
+        expect(documentLoaders.isSupported('a.MD')).to.be.true;
+        expect(documentLoaders.isSupported('a.pdf')).to.be.true;
+        expect(documentLoaders.isSupported('a.exe')).to.be.false;
+    });
+
+    it('应该按标题拆分 Markdown 并忽略代码块中的 #', async () => {
+        const filePath = await writeFile('guide.md', '# 指南\n简介\n\n## 安装\n```\n# 注释\n```\n步骤\n');
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs).to.have.length(2);
+        expect(docs[1].metadata.section).to.equal('指南 > 安装');
+        expect(docs[1].metadata.lineStart).to.equal(4);
+        expect(docs[1].pageContent).to.include('# 注释');
+        expect(docs[1].metadata.source).to.equal(filePath);
+        expect(docs[1].metadata.loader).to.equal('markdown');
+    });
+
+    it('应该读取 Markdown front matter 中的标签和日期', async () => {
+        const filePath = await writeFile('notes-2023.md', '---\ntags: [faq, 发布]\ndate: 2024-05-01\n---\n# 发布说明\n内容\n');
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs).to.have.length(1);
+        expect(docs[0].pageContent).to.not.include('tags');
+        expect(docs[0].metadata.tags).to.deep.equal(['faq', '发布']);
+        expect(docs[0].metadata.lineStart).to.equal(5);
+        // front matter 中的日期优先于文件名中的日期
+        expect(docs[0].metadata.year).to.equal(2024);
+    });
+
+    it('应该把 CSV 每行转换为带表头的记录', async () => {
+        const filePath = await writeFile('tasks.csv', '任务,负责人\nUI设计,张三\n测试,王五\n');
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs).to.have.length(2);
+        expect(docs[1].pageContent).to.equal('任务: 测试\n负责人: 王五');
+        expect(docs[1].metadata.row).to.equal(2);
+        expect(docs[1].metadata.lineStart).to.equal(3);
+    });
+
+    it('CSV 字段中有引号包裹的换行时应该记录每条记录实际所在的行', async () => {
+        const filePath = await writeFile('notes.csv', '标题,说明\n安装,"第一步\n第二步\n第三步"\n配置,"填写 ""密钥"""\n\n部署,"使用\r\ndocker"\r\n');
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs.map(doc => doc.pageContent)).to.deep.equal([
+            '标题: 安装\n说明: 第一步\n第二步\n第三步',
+            '标题: 配置\n说明: 填写 "密钥"',
+            '标题: 部署\n说明: 使用\r\ndocker'
+        ]);
+        expect(docs.map(doc => [doc.metadata.lineStart, doc.metadata.lineEnd])).to.deep.equal([[2, 4], [5, 5], [7, 8]]);
+    });
+
+    it('应该提取 JSON 中的字符串字段', async () => {
+        const filePath = await writeFile('data.json', JSON.stringify([
+            { title: '周报', stats: { count: 3 } },
+            { title: '月报', tags: ['财务'] }
+        ]));
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs).to.have.length(2);
+        expect(docs[0].pageContent).to.equal('title: 周报');
+        expect(docs[1].pageContent).to.equal('title: 月报\ntags[0]: 财务');
+        expect(docs[1].metadata.record).to.equal(1);
+    });
+
+    it('未注册的扩展名应该按纯文本加载', async () => {
+        const filePath = await writeFile('notes.log', '第一行\n第二行');
+        const docs = await documentLoaders.load(filePath);
+
+        expect(docs).to.have.length(1);
+        expect(docs[0].metadata.loader).to.equal('text');
+    });
+});
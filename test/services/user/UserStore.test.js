@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UserStore } from '../../../src/services/user-store.js';
+
+describe('用户数据存储测试', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'user-store-'));
+        store = new UserStore(path.join(dir, 'users.json'));
+        store.users['user-1'] = { id: 'user-1', conversations: [] };
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('同时保存对话和记忆时文件应该包含两者的修改', async () => {
+        const user = store.getUser('user-1');
+        const writes = [];
+        for (let i = 0; i < 5; i++) {
+            // 后台提取记忆与保存对话交错进行
+            writes.push(store.addMemory('user-1', `记忆 ${i}`));
+            user.conversations.push({ id: `c${i}`, messages: [] });
+            writes.push(store.saveUserData('user-1', user));
+        }
+        await Promise.all(writes);
+
+        const saved = JSON.parse(await fs.readFile(store.dataPath, 'utf8'));
+        expect(saved['user-1'].memories.map(memory => memory.content)).to.have.length(5);
+        expect(saved['user-1'].conversations.map(conversation => conversation.id)).to.deep.equal(['c0', 'c1', 'c2', 'c3', 'c4']);
+        expect(await fs.readdir(dir)).to.deep.equal(['users.json']);
+    });
+
+    it('写入失败后之后的保存应该继续执行', async () => {
+        store.dataPath = path.join(dir, 'missing', 'users.json');
+        const blocked = path.join(dir, 'missing');
+        await fs.writeFile(blocked, '');
+
+        let error = null;
+        try {
+            await store.saveUsers();
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.equal(null);
+
+        store.dataPath = path.join(dir, 'users.json');
+        expect(await store.saveUsers()).to.equal(true);
+    });
+});